@@ -0,0 +1,122 @@
+/**
+ * Scripted quest agent for the mock gateway.
+ *
+ * Understands the messages the app sends ("Show today's tasks",
+ * "Task 2 completed: ...", "Task 2 reopened: ...", "Add quest: ...") and
+ * answers in the emoji quest format parser.js reads. Anything else gets a
+ * short echo.
+ */
+
+const XP_PER_QUEST = 50;
+const XP_PER_LEVEL = 250;
+
+const DEFAULT_QUESTS = [
+  { id: 1, text: 'Review PR for auth module', completed: true },
+  { id: 2, text: '🔥 Complete API integration tests (+50 XP) #backend by 14:00', completed: false },
+  { id: 3, text: 'Update documentation for new endpoints #docs', completed: false },
+  { id: 4, text: 'Deploy staging environment', completed: false },
+];
+
+const COMPLETED_PATTERN = /^Task\s+(\S+)\s+completed\b/i;
+const FOCUSED_PATTERN = /\(focused\s+(\d+)\s+min\)/i;
+const XP_PER_FOCUS_MINUTE = 1;
+const REOPENED_PATTERN = /^Task\s+(\S+)\s+reopened\b/i;
+const ADD_PATTERN = /^Add quest:\s*(.+)$/im;
+const ADD_BLOCK_PATTERN = /```quest-add\s*\n([\s\S]*?)```/;
+
+/**
+ * The quest line for an add request, with its hints written back in.
+ */
+function questLineFor(text) {
+  let fields = { text: text.match(ADD_PATTERN)[1].trim() };
+  const block = text.match(ADD_BLOCK_PATTERN);
+  if (block) {
+    try {
+      fields = JSON.parse(block[1]);
+    } catch {
+      // Plain line only
+    }
+  }
+  return [
+    fields.priority === 'high' ? '🔥' : null,
+    fields.text,
+    fields.xp != null ? `(+${fields.xp} XP)` : null,
+    ...(fields.tags || []).map((tag) => `#${tag}`),
+    fields.due ? `by ${fields.due}` : null,
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * @param {{ day?: number, stats?: object, quests?: object[] }} options
+ */
+export function createQuestAgent({
+  day = 42,
+  stats = { streak: 5, hearts: 3, xp: 1250, level: 6 },
+  quests = DEFAULT_QUESTS,
+} = {}) {
+  const state = {
+    day,
+    stats: { ...stats },
+    quests: quests.map((q) => ({ ...q })),
+  };
+
+  function render() {
+    const { streak, hearts, xp, level } = state.stats;
+    const lines = state.quests.map((q) => `${q.id}. ${q.completed ? '✅' : '⬜️'} ${q.text}`);
+    return [
+      `Day ${state.day} | Streak: ${streak} | Hearts: ${hearts} | XP: ${xp} | Level: ${level}`,
+      '',
+      "Today's Quests:",
+      ...lines,
+    ].join('\n');
+  }
+
+  function setCompleted(id, completed, bonus = 0) {
+    const quest = state.quests.find((q) => String(q.id) === id);
+    if (!quest || quest.completed === completed) return quest;
+    quest.completed = completed;
+    // A reopen takes back whatever the completion awarded
+    if (completed) quest.reward = XP_PER_QUEST + bonus;
+    state.stats.xp += completed ? quest.reward : -(quest.reward ?? XP_PER_QUEST);
+    state.stats.level = Math.max(1, Math.floor(state.stats.xp / XP_PER_LEVEL) + 1);
+    return quest;
+  }
+
+  function addQuest(text) {
+    const id = Math.max(0, ...state.quests.map((q) => Number(q.id) || 0)) + 1;
+    const quest = { id, text, completed: false };
+    state.quests.push(quest);
+    return quest;
+  }
+
+  return {
+    get state() {
+      return state;
+    },
+
+    reply(text) {
+      const completed = text.match(COMPLETED_PATTERN);
+      if (completed) {
+        const focused = text.match(FOCUSED_PATTERN);
+        const bonus = focused ? Number(focused[1]) * XP_PER_FOCUS_MINUTE : 0;
+        const quest = setCompleted(completed[1], true, bonus);
+        return quest ? `Nice work! +${quest.reward ?? XP_PER_QUEST} XP\n\n${render()}` : `I don't see task ${completed[1]} today.`;
+      }
+
+      const reopened = text.match(REOPENED_PATTERN);
+      if (reopened) {
+        const quest = setCompleted(reopened[1], false);
+        return quest ? `Reopened task ${reopened[1]}.\n\n${render()}` : `I don't see task ${reopened[1]} today.`;
+      }
+
+      if (ADD_PATTERN.test(text)) {
+        const quest = addQuest(questLineFor(text));
+        return `Added task ${quest.id}.\n\n${render()}`;
+      }
+
+      if (/\b(tasks?|quests?)\b/i.test(text)) return render();
+
+      return `Mock agent here - you said: ${text}`;
+    },
+  };
+}
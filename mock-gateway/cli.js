@@ -0,0 +1,118 @@
+/**
+ * Run the mock gateway from the command line:
+ *
+ *   npm run mock-gateway -- --port 18789 --token dev-token
+ *
+ * Flags: --port, --host, --token, --auto-approve, --tick <ms>,
+ *        --reply-delay <ms>, --drop-after <ms>, --reject <method>,
+ *        --ignore <method>, --stream-error, --protocol <version>
+ *
+ * While running, type commands on stdin:
+ *   approve [deviceId]   approve waiting devices (all if no id)
+ *   drop                 drop every connection
+ *   reject <method> | ignore <method> | delay <ms> | stream-error on|off
+ *   reset                clear failure modes
+ *   status | quit
+ */
+
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import { startMockGateway } from './server.js';
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: '18789' },
+    host: { type: 'string', default: '127.0.0.1' },
+    token: { type: 'string', default: 'dev-token' },
+    'auto-approve': { type: 'boolean', default: false },
+    tick: { type: 'string', default: '15000' },
+    'reply-delay': { type: 'string', default: '0' },
+    'drop-after': { type: 'string' },
+    reject: { type: 'string', multiple: true, default: [] },
+    ignore: { type: 'string', multiple: true, default: [] },
+    'stream-error': { type: 'boolean', default: false },
+    protocol: { type: 'string' },
+  },
+});
+
+function rejection(method) {
+  return { code: 'MOCK_REJECTED', message: `mock gateway rejected ${method}` };
+}
+
+const rejected = Object.fromEntries(args.reject.map((method) => [method, rejection(method)]));
+const ignored = [...args.ignore];
+
+const gateway = await startMockGateway({
+  port: Number(args.port),
+  host: args.host,
+  token: args.token,
+  autoApprove: args['auto-approve'],
+  tickIntervalMs: Number(args.tick),
+  protocol: args.protocol ? Number(args.protocol) : undefined,
+  failures: {
+    replyDelayMs: Number(args['reply-delay']),
+    dropAfterMs: args['drop-after'] ? Number(args['drop-after']) : null,
+    reject: { ...rejected },
+    ignore: [...ignored],
+    streamError: args['stream-error'],
+  },
+  log: console.log,
+});
+
+console.log(`Mock gateway listening on ${gateway.url} (token: ${gateway.token})`);
+console.log('Commands: approve [id], drop, reject <method>, ignore <method>, delay <ms>, stream-error on|off, reset, status, quit');
+
+const rl = createInterface({ input: process.stdin });
+
+rl.on('line', (line) => {
+  const [command, arg] = line.trim().split(/\s+/);
+  switch (command) {
+    case 'approve': {
+      const ids = gateway.approve(arg);
+      console.log(ids.length > 0 ? `approved ${ids.join(', ')}` : 'no devices waiting');
+      break;
+    }
+    case 'drop':
+      gateway.dropConnections();
+      break;
+    case 'reject':
+      rejected[arg] = rejection(arg);
+      gateway.setFailures({ reject: { ...rejected } });
+      break;
+    case 'ignore':
+      ignored.push(arg);
+      gateway.setFailures({ ignore: [...ignored] });
+      break;
+    case 'delay':
+      gateway.setFailures({ replyDelayMs: Number(arg) || 0 });
+      break;
+    case 'stream-error':
+      gateway.setFailures({ streamError: arg !== 'off' });
+      break;
+    case 'reset':
+      Object.keys(rejected).forEach((method) => delete rejected[method]);
+      ignored.length = 0;
+      gateway.resetFailures();
+      break;
+    case 'status':
+      console.log({
+        sessions: gateway.sessionCount,
+        pending: gateway.pendingDevices,
+        approved: gateway.approvedDevices,
+      });
+      break;
+    case 'quit':
+      rl.close();
+      break;
+    case '':
+    case undefined:
+      break;
+    default:
+      console.log(`unknown command: ${command}`);
+  }
+});
+
+rl.on('close', async () => {
+  await gateway.close();
+  process.exit(0);
+});
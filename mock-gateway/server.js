@@ -0,0 +1,400 @@
+/**
+ * Mock OpenClaw gateway for local development and automated tests.
+ *
+ * Speaks enough of the real protocol for the app to run end to end:
+ *   - `connect.challenge` with a nonce, then a `connect` request whose device
+ *     signature is checked against `buildDeviceAuthPayload`
+ *   - unknown devices get NOT_PAIRED until approved (their sockets are then
+ *     closed so the client reconnects, like the real gateway)
+ *   - protocol negotiation: `protocol` is the one version it speaks, and
+ *     hello-ok advertises `methods` plus the tick interval as policy
+ *   - periodic `tick` events
+ *   - `chat.send` answered by a scripted quest agent, streamed as `chat`
+ *     delta/final events; `chat.history` returns the session transcript
+ *
+ * Failure modes can be set at start or changed at runtime with setFailures():
+ *   replyDelayMs   delay every response by this much
+ *   reject         { [method]: { code, message } } answer with an error
+ *   ignore         [method]  never answer (client-side timeouts)
+ *   dropOn         [method]  close the socket when the request arrives
+ *   dropAfterMs    close every session this long after hello-ok
+ *   streamError    end chat runs with state 'error' instead of 'final'
+ */
+
+import { randomUUID, webcrypto, createHash } from 'node:crypto';
+import { WebSocketServer } from 'ws';
+import { buildDeviceAuthPayload } from '../src/gateway/device-identity.js';
+import { createQuestAgent } from './agent.js';
+
+const PROTOCOL_VERSION = 3;
+const SIGNATURE_MAX_AGE_MS = 10 * 60 * 1000;
+const CHUNK_SIZE = 24;
+
+const METHODS = ['connect', 'chat.send', 'chat.history', 'health'];
+const EVENTS = ['connect.challenge', 'tick', 'chat'];
+
+const NO_FAILURES = {
+  replyDelayMs: 0,
+  reject: {},
+  ignore: [],
+  dropOn: [],
+  dropAfterMs: null,
+  streamError: false,
+};
+
+// ── Device verification ────────────────────────────────────────────
+
+function fingerprint(rawKey) {
+  return createHash('sha256').update(rawKey).digest('hex');
+}
+
+/**
+ * Check a connect request's device block. Returns an error message or null.
+ */
+async function verifyDevice(params, device, nonce) {
+  if (!device?.id || !device.publicKey || !device.signature) return 'device identity required';
+
+  const rawKey = Buffer.from(device.publicKey, 'base64url');
+  if (fingerprint(rawKey) !== device.id) return 'device id does not match public key';
+  if (device.nonce !== nonce) return 'nonce mismatch';
+  if (Math.abs(Date.now() - device.signedAt) > SIGNATURE_MAX_AGE_MS) return 'signature expired';
+
+  const payload = buildDeviceAuthPayload({
+    deviceId: device.id,
+    clientId: params.client?.id,
+    clientMode: params.client?.mode,
+    role: params.role,
+    scopes: params.scopes || [],
+    signedAtMs: device.signedAt,
+    token: params.auth?.token || null,
+    nonce: device.nonce,
+  });
+
+  const key = await webcrypto.subtle.importKey('raw', rawKey, { name: 'Ed25519' }, false, ['verify']);
+  const valid = await webcrypto.subtle.verify(
+    'Ed25519', key, Buffer.from(device.signature, 'base64url'), new TextEncoder().encode(payload),
+  );
+  return valid ? null : 'invalid device signature';
+}
+
+// ── Server ─────────────────────────────────────────────────────────
+
+/**
+ * Start a mock gateway. Resolves once it is listening.
+ *
+ * @param {{
+ *   port?: number, host?: string, token?: string, autoApprove?: boolean,
+ *   tickIntervalMs?: number, chunkDelayMs?: number, failures?: object,
+ *   protocol?: number, methods?: string[],
+ *   agent?: { reply: (text: string) => string }, log?: (...args) => void,
+ * }} options
+ */
+export function startMockGateway({
+  port = 0,
+  host = '127.0.0.1',
+  token = 'dev-token',
+  autoApprove = false,
+  tickIntervalMs = 15_000,
+  chunkDelayMs = 20,
+  failures = {},
+  protocol = PROTOCOL_VERSION,
+  methods = METHODS,
+  agent = createQuestAgent(),
+  log = () => {},
+} = {}) {
+  let currentFailures = { ...NO_FAILURES, ...failures };
+  const approved = new Set();
+  const pending = new Map(); // deviceId → Set of sockets waiting for approval
+  const sessions = new Set();
+  const transcripts = new Map(); // sessionKey → messages
+  const runsByKey = new Map(); // idempotencyKey → runId
+
+  const wss = new WebSocketServer({ port, host });
+
+  function send(socket, frame) {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(frame));
+  }
+
+  function respond(socket, id, result) {
+    const frame = result.error
+      ? { type: 'res', id, ok: false, error: result.error }
+      : { type: 'res', id, ok: true, payload: result.payload };
+    const delay = currentFailures.replyDelayMs;
+    if (delay > 0) {
+      setTimeout(() => send(socket, frame), delay);
+    } else {
+      send(socket, frame);
+    }
+  }
+
+  function transcriptFor(sessionKey) {
+    if (!transcripts.has(sessionKey)) transcripts.set(sessionKey, []);
+    return transcripts.get(sessionKey);
+  }
+
+  /**
+   * Stream a reply as chat events, cumulative text in each delta.
+   */
+  function streamReply(session, sessionKey, runId, text) {
+    const chunks = text.match(new RegExp(`[\\s\\S]{1,${CHUNK_SIZE}}`, 'g')) || [''];
+    let seq = 0;
+    let sent = '';
+
+    const message = (body) => ({ role: 'assistant', content: [{ type: 'text', text: body }] });
+    const chatEvent = (payload) => send(session.socket, {
+      type: 'event', event: 'chat', payload: { runId, sessionKey, seq: seq++, ...payload },
+    });
+
+    const next = () => {
+      if (!sessions.has(session)) return;
+      if (chunks.length === 0) {
+        if (currentFailures.streamError) {
+          chatEvent({ state: 'error', errorMessage: 'mock agent failure' });
+          return;
+        }
+        transcriptFor(sessionKey).push({ ...message(text), timestamp: Date.now() });
+        chatEvent({ state: 'final', message: message(text) });
+        return;
+      }
+      sent += chunks.shift();
+      chatEvent({ state: 'delta', message: message(sent) });
+      setTimeout(next, chunkDelayMs);
+    };
+    setTimeout(next, chunkDelayMs);
+  }
+
+  // ── Methods ────────────────────────────────────────────────────────
+
+  async function handleConnect(session, params) {
+    if (params.auth?.token !== token) {
+      return { error: { code: 'UNAUTHORIZED', message: 'invalid auth token' } };
+    }
+    if (params.maxProtocol < protocol || params.minProtocol > protocol) {
+      return {
+        error: {
+          code: 'PROTOCOL_MISMATCH',
+          message: `server speaks protocol ${protocol}`,
+          details: { minProtocol: protocol, maxProtocol: protocol },
+        },
+      };
+    }
+
+    const problem = await verifyDevice(params, params.device, session.nonce);
+    if (problem) return { error: { code: 'DEVICE_AUTH_FAILED', message: problem } };
+
+    const deviceId = params.device.id;
+    if (!approved.has(deviceId) && !autoApprove) {
+      if (!pending.has(deviceId)) {
+        pending.set(deviceId, new Set());
+        log(`[mock] device awaiting approval: ${deviceId}`);
+      }
+      pending.get(deviceId).add(session.socket);
+      return { error: { code: 'NOT_PAIRED', message: 'NOT_PAIRED: device is not approved' } };
+    }
+
+    approved.add(deviceId);
+    session.deviceId = deviceId;
+    session.authenticated = true;
+    startSession(session);
+    log(`[mock] device connected: ${deviceId}`);
+
+    return {
+      payload: {
+        type: 'hello-ok',
+        protocol,
+        server: { version: 'mock', connId: session.id },
+        features: { methods, events: EVENTS },
+        snapshot: {},
+        policy: { tickIntervalMs },
+      },
+    };
+  }
+
+  function handleChatSend(session, params) {
+    if (typeof params.sessionKey !== 'string' || typeof params.message !== 'string') {
+      return { error: { code: 'INVALID_REQUEST', message: 'sessionKey and message are required' } };
+    }
+
+    // Retries with the same key must not run the agent twice
+    const existing = params.idempotencyKey && runsByKey.get(params.idempotencyKey);
+    if (existing) return { payload: { runId: existing, status: 'in_flight' } };
+
+    const runId = randomUUID();
+    if (params.idempotencyKey) runsByKey.set(params.idempotencyKey, runId);
+
+    transcriptFor(params.sessionKey).push({
+      role: 'user', content: [{ type: 'text', text: params.message }], timestamp: Date.now(),
+    });
+    streamReply(session, params.sessionKey, runId, agent.reply(params.message));
+    return { payload: { runId, status: 'started' } };
+  }
+
+  function handleChatHistory(params) {
+    const messages = transcriptFor(params.sessionKey || '');
+    const limit = params.limit || messages.length;
+    return { payload: { sessionKey: params.sessionKey, messages: messages.slice(-limit) } };
+  }
+
+  async function handleRequest(session, frame) {
+    const { id, method, params = {} } = frame;
+
+    if (currentFailures.dropOn.includes(method)) {
+      log(`[mock] dropping connection on ${method}`);
+      session.socket.terminate();
+      return;
+    }
+    if (currentFailures.ignore.includes(method)) return;
+    if (currentFailures.reject[method]) {
+      respond(session.socket, id, { error: currentFailures.reject[method] });
+      return;
+    }
+
+    if (method === 'connect') {
+      respond(session.socket, id, await handleConnect(session, params));
+      return;
+    }
+    if (!session.authenticated) {
+      respond(session.socket, id, { error: { code: 'UNAUTHORIZED', message: 'connect first' } });
+      return;
+    }
+
+    if (!methods.includes(method)) {
+      respond(session.socket, id, { error: { code: 'UNKNOWN_METHOD', message: `unknown method ${method}` } });
+      return;
+    }
+
+    switch (method) {
+      case 'chat.send':
+        respond(session.socket, id, handleChatSend(session, params));
+        break;
+      case 'chat.history':
+        respond(session.socket, id, handleChatHistory(params));
+        break;
+      case 'health':
+        respond(session.socket, id, { payload: { ok: true, ts: Date.now() } });
+        break;
+      default:
+        respond(session.socket, id, { error: { code: 'UNKNOWN_METHOD', message: `unknown method ${method}` } });
+    }
+  }
+
+  // ── Sessions ───────────────────────────────────────────────────────
+
+  function startSession(session) {
+    session.tickTimer = setInterval(() => {
+      send(session.socket, { type: 'event', event: 'tick', payload: { ts: Date.now() } });
+    }, tickIntervalMs);
+
+    if (currentFailures.dropAfterMs != null) {
+      session.dropTimer = setTimeout(() => {
+        log(`[mock] dropping session ${session.id}`);
+        session.socket.terminate();
+      }, currentFailures.dropAfterMs);
+    }
+  }
+
+  function endSession(session) {
+    clearInterval(session.tickTimer);
+    clearTimeout(session.dropTimer);
+    sessions.delete(session);
+    pending.forEach((sockets) => sockets.delete(session.socket));
+  }
+
+  // The token is also sent in the URL; like the real gateway we only
+  // judge it in `connect`, so the client gets a proper error response.
+  wss.on('connection', (socket) => {
+    const session = { id: randomUUID(), socket, nonce: randomUUID(), authenticated: false };
+    sessions.add(session);
+
+    socket.on('message', (data) => {
+      let frame;
+      try {
+        frame = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      if (frame.type !== 'req') return;
+      handleRequest(session, frame).catch((err) => {
+        log('[mock] request failed', err);
+        respond(socket, frame.id, { error: { code: 'INTERNAL', message: err.message } });
+      });
+    });
+    socket.on('close', () => endSession(session));
+
+    send(socket, { type: 'event', event: 'connect.challenge', payload: { nonce: session.nonce, ts: Date.now() } });
+  });
+
+  return new Promise((resolve, reject) => {
+    wss.once('error', reject);
+    wss.once('listening', () => {
+      const address = wss.address();
+
+      resolve({
+        url: `ws://${host}:${address.port}`,
+        port: address.port,
+        token,
+
+        get pendingDevices() {
+          return [...pending.keys()];
+        },
+
+        get approvedDevices() {
+          return [...approved];
+        },
+
+        get sessionCount() {
+          return [...sessions].filter((s) => s.authenticated).length;
+        },
+
+        /**
+         * Approve a waiting device (all of them if no id is given). Its
+         * sockets are closed so the client reconnects and is let in.
+         */
+        approve(deviceId) {
+          const ids = deviceId ? [deviceId] : [...pending.keys()];
+          for (const id of ids) {
+            approved.add(id);
+            pending.get(id)?.forEach((socket) => socket.close(4000, 'device approved'));
+            pending.delete(id);
+            log(`[mock] approved ${id}`);
+          }
+          return ids;
+        },
+
+        revoke(deviceId) {
+          approved.delete(deviceId);
+          sessions.forEach((s) => {
+            if (s.deviceId === deviceId) s.socket.close(4003, 'device revoked');
+          });
+        },
+
+        setFailures(partial) {
+          currentFailures = { ...currentFailures, ...partial };
+        },
+
+        resetFailures() {
+          currentFailures = { ...NO_FAILURES };
+        },
+
+        /** Drop every open socket without a close handshake. */
+        dropConnections() {
+          sessions.forEach((s) => s.socket.terminate());
+        },
+
+        broadcast(event, payload) {
+          sessions.forEach((s) => {
+            if (s.authenticated) send(s.socket, { type: 'event', event, payload });
+          });
+        },
+
+        close() {
+          sessions.forEach((s) => {
+            endSession(s);
+            s.socket.terminate();
+          });
+          return new Promise((done) => wss.close(() => done()));
+        },
+      });
+    });
+  });
+}
@@ -0,0 +1,182 @@
+/**
+ * Achievements: milestones detected by diffing quest state as it changes.
+ *
+ * Earned badges are kept per profile in IndexedDB as
+ *   { id, earnedAt, lastEarnedAt, count }
+ * and every milestone (new or repeated) is handed to the celebration handler.
+ */
+
+import { store } from './store.js';
+import { dbGetAll, dbGet, dbPut } from './db.js';
+import { listDays, localDateKey } from './history.js';
+import { dayKey } from './rollover.js';
+import { t } from './i18n.js';
+
+const STORE_NAME = 'achievements';
+const STREAK_MILESTONES = [7, 30, 100];
+const LEVEL_BADGES = [5, 10, 25, 50];
+const PERFECT_WEEK_DAYS = 7;
+
+// Titles and descriptions are getters so they follow the current language
+export const ACHIEVEMENTS = [
+  ...STREAK_MILESTONES.map((days) => ({
+    id: `streak-${days}`,
+    icon: '\u{1F525}',
+    get title() { return t('achievements.streak.title', { days }); },
+    get description() { return t('achievements.streak.description', { days }); },
+  })),
+  ...LEVEL_BADGES.map((level) => ({
+    id: `level-${level}`,
+    icon: '\u{2B50}',
+    get title() { return t('achievements.level.title', { level }); },
+    get description() { return t('achievements.level.description', { level }); },
+  })),
+  {
+    id: 'perfect-day',
+    icon: '\u{2705}',
+    get title() { return t('achievements.perfectDay.title'); },
+    get description() { return t('achievements.perfectDay.description'); },
+  },
+  {
+    id: 'perfect-week',
+    icon: '\u{1F3C6}',
+    get title() { return t('achievements.perfectWeek.title'); },
+    get description() { return t('achievements.perfectWeek.description', { days: PERFECT_WEEK_DAYS }); },
+  },
+];
+
+const celebrationHandlers = new Set();
+
+export function getAchievement(id) {
+  return ACHIEVEMENTS.find((a) => a.id === id) || null;
+}
+
+export function listEarned() {
+  return dbGetAll(STORE_NAME);
+}
+
+async function award(id) {
+  const now = Date.now();
+  const existing = await dbGet(STORE_NAME, id);
+  await dbPut(STORE_NAME, existing
+    ? { ...existing, lastEarnedAt: now, count: existing.count + 1 }
+    : { id, earnedAt: now, lastEarnedAt: now, count: 1 });
+  return !existing;
+}
+
+function isPerfect(items) {
+  return items.length > 0 && items.every((item) => item.completed);
+}
+
+/**
+ * True for a quest state no agent list has filled in yet.
+ */
+function isUnloaded(tasks) {
+  return !tasks.date && tasks.items.length === 0;
+}
+
+/**
+ * Milestones crossed between two quest states. Level-ups and perfect days
+ * are celebrated every time; badges record the first (and count repeats).
+ *
+ * The first list after install, on a new profile or into an empty import
+ * only sets the baseline: its stats were earned before we were watching.
+ */
+export function detectMilestones(prev, next) {
+  if (isUnloaded(prev)) return [];
+
+  const events = [];
+  const before = prev.stats;
+  const after = next.stats;
+
+  for (const days of STREAK_MILESTONES) {
+    if (before.streak < days && after.streak >= days) {
+      events.push({ id: `streak-${days}`, badge: `streak-${days}` });
+    }
+  }
+
+  if (after.level > before.level) {
+    // A jump can cross several milestone levels; each earns its badge, the
+    // highest one along with the level-up itself
+    const crossed = LEVEL_BADGES.filter((level) => before.level < level && after.level >= level);
+    const highest = crossed.pop();
+    for (const level of crossed) {
+      events.push({ id: `level-${level}`, badge: `level-${level}` });
+    }
+    events.push({
+      id: 'level-up',
+      level: after.level,
+      badge: highest ? `level-${highest}` : null,
+    });
+  }
+
+  if (prev.date === next.date && !isPerfect(prev.items) && isPerfect(next.items)) {
+    events.push({ id: 'perfect-day', badge: 'perfect-day' });
+  }
+
+  return events;
+}
+
+/**
+ * True if today plus the previous six archived days were all perfect.
+ */
+async function isPerfectWeek(today) {
+  if (today !== dayKey()) return false;
+
+  const days = await listDays();
+  const byDate = new Map(days.map((entry) => [entry.date, entry]));
+  const [y, m, d] = today.split('-').map(Number);
+  const cursor = new Date(y, m - 1, d);
+  for (let i = 1; i < PERFECT_WEEK_DAYS; i++) {
+    cursor.setDate(cursor.getDate() - 1);
+    const entry = byDate.get(localDateKey(cursor));
+    if (!entry || !isPerfect(entry.items)) return false;
+  }
+  return true;
+}
+
+async function handleMilestones(events, tasks) {
+  for (const event of events) {
+    const isNew = event.badge ? await award(event.badge) : false;
+    celebrationHandlers.forEach((fn) => fn({ ...event, isNew }));
+  }
+
+  if (events.some((e) => e.id === 'perfect-day') && await isPerfectWeek(tasks.date)) {
+    const existing = await dbGet(STORE_NAME, 'perfect-week');
+    // "First perfect week" — only ever celebrated once
+    if (!existing) {
+      await award('perfect-week');
+      celebrationHandlers.forEach((fn) => fn({ id: 'perfect-week', badge: 'perfect-week', isNew: true }));
+    }
+  }
+}
+
+export function onCelebrate(handler) {
+  celebrationHandlers.add(handler);
+  return () => celebrationHandlers.delete(handler);
+}
+
+/**
+ * Watch quest state for milestones.
+ */
+export function startAchievements() {
+  let { tasks, activeProfileId } = store.get();
+
+  store.subscribe((state) => {
+    if (state.tasks === tasks) return;
+    const prev = tasks;
+    tasks = state.tasks;
+
+    // A profile switch swaps the whole state — nothing was achieved
+    if (state.activeProfileId !== activeProfileId) {
+      activeProfileId = state.activeProfileId;
+      return;
+    }
+
+    const events = detectMilestones(prev, state.tasks);
+    if (events.length === 0) return;
+    handleMilestones(events, state.tasks).catch((err) => {
+      console.warn('[achievements] failed to record milestone', err);
+    });
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * Background Sync for the outbox.
+ *
+ * While entries are pending, ask the service worker to flush them once the
+ * network is back, even if the app has been closed by then (see sw.js and
+ * outbox-flush.js). Browsers without one-off Background Sync get a periodic
+ * sync instead, where the installed PWA is allowed one.
+ *
+ * The service worker can't read localStorage, so the active profile's
+ * gateway settings are mirrored into the device database for it. Results
+ * come back as messages; the outbox is then reloaded from IndexedDB.
+ */
+
+import { store } from './store.js';
+import { outbox } from './outbox.js';
+import { putDeviceSecret } from './gateway/device-identity.js';
+import { SYNC_TAG, SYNC_MESSAGE, SYNC_TARGET_KEY } from './outbox-flush.js';
+import { showToast } from './ui/status.js';
+import { t } from './i18n.js';
+
+// Browsers treat this as a lower bound and usually wait much longer
+const PERIODIC_MIN_INTERVAL = 60 * 60_000;
+
+function syncTarget({ settings, activeProfileId }) {
+  return {
+    profileId: activeProfileId,
+    gatewayUrl: settings.gatewayUrl,
+    authToken: settings.authToken,
+    agentId: settings.agentId,
+  };
+}
+
+function hasPending(state) {
+  return state.pendingQueue.some((entry) => entry.status === 'pending');
+}
+
+async function canSyncPeriodically() {
+  try {
+    const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+    return status.state === 'granted';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Register the sync while there is something to send; drop the periodic
+ * registration once the outbox is empty.
+ */
+async function updateRegistration(pending) {
+  const reg = await navigator.serviceWorker.getRegistration();
+  if (!reg) return;
+
+  try {
+    if (pending && 'sync' in reg) {
+      await reg.sync.register(SYNC_TAG);
+    } else if (pending && 'periodicSync' in reg && await canSyncPeriodically()) {
+      await reg.periodicSync.register(SYNC_TAG, { minInterval: PERIODIC_MIN_INTERVAL });
+    } else if (!pending && 'periodicSync' in reg) {
+      await reg.periodicSync.unregister(SYNC_TAG);
+    }
+  } catch (err) {
+    console.warn('[sync] could not register background sync', err);
+  }
+}
+
+function handleWorkerMessage(event) {
+  const result = event.data;
+  if (result?.type !== SYNC_MESSAGE) return;
+
+  console.log('[sync] background flush:', result);
+  if (result.sent > 0) {
+    outbox.reload();
+    showToast(t('sync.sentInBackground', { count: result.sent }), 'success');
+  }
+}
+
+export function startBackgroundSync() {
+  if (!('serviceWorker' in navigator)) return;
+
+  let target = null;
+  let pending = false;
+
+  const check = (state) => {
+    const next = syncTarget(state);
+    if (JSON.stringify(next) !== JSON.stringify(target)) {
+      target = next;
+      putDeviceSecret(SYNC_TARGET_KEY, next).catch((err) => {
+        console.warn('[sync] could not save sync target', err);
+      });
+    }
+
+    if (hasPending(state) !== pending) {
+      pending = hasPending(state);
+      updateRegistration(pending);
+    }
+  };
+
+  store.subscribe(check);
+  check(store.get());
+
+  // The app may be closed from here on; make sure the worker will take over
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden' && pending) updateRegistration(true);
+  });
+
+  navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+}
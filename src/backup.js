@@ -0,0 +1,374 @@
+/**
+ * Backup export/import and CSV history export.
+ *
+ * A backup is a versioned JSON document covering every profile: connection
+ * settings (auth tokens only when asked for), quests, outbox, history and
+ * badges, plus app-wide preferences. Importing merges into what is already
+ * here rather than replacing it.
+ */
+
+import { store } from './store.js';
+import { dbGetAll, dbGet, dbPut } from './db.js';
+import { outbox } from './outbox.js';
+import { decryptToken, encryptToken, TOKEN_LOCKED } from './gateway/token-vault.js';
+import { MAX_DAY_START_HOUR } from './rollover.js';
+import { FOCUS_LENGTHS } from './focus-timer.js';
+import { SORT_MODES } from './quests.js';
+import { setLocale, LANGUAGES } from './i18n.js';
+
+export const BACKUP_FORMAT = 'agent-forge-streak-backup';
+export const BACKUP_VERSION = 1;
+
+// Code of the error importBackup throws for a backup that fails validation
+export const INVALID_BACKUP = 'INVALID_BACKUP';
+
+// Per-profile connection fields; everything else in `settings` is a preference
+const CONNECTION_KEYS = ['gatewayUrl', 'authToken', 'agentId'];
+
+function codedError(code, message, params = null) {
+  const err = new Error(message);
+  err.code = code;
+  err.params = params;
+  return err;
+}
+
+function preferencesOf(settings) {
+  const prefs = { ...settings };
+  CONNECTION_KEYS.forEach((key) => delete prefs[key]);
+  return prefs;
+}
+
+// ── Export ─────────────────────────────────────────────────────────
+
+/**
+ * Stored tokens are bound to this device's key, so backups carry them
+ * decrypted (and only when asked to).
+ */
+async function exportToken(stored, profileName) {
+  try {
+    return await decryptToken(stored);
+  } catch (err) {
+    throw err.code === TOKEN_LOCKED
+      ? codedError('EXPORT_TOKEN_LOCKED', `Unlock the token for "${profileName}" before exporting it`, { profile: profileName })
+      : codedError('EXPORT_TOKEN_UNREADABLE', `Token for "${profileName}" could not be decrypted`, { profile: profileName });
+  }
+}
+
+export async function buildBackup({ includeSecrets = false } = {}) {
+  const { settings, tasks, profiles, activeProfileId } = store.get();
+
+  const exported = [];
+  for (const profile of profiles) {
+    const isActive = profile.id === activeProfileId;
+    const { tasks: stashed, authToken, ...fields } = profile;
+    exported.push({
+      ...fields,
+      ...(isActive ? { gatewayUrl: settings.gatewayUrl, agentId: settings.agentId } : {}),
+      ...(includeSecrets
+        ? { authToken: await exportToken(isActive ? settings.authToken : authToken, profile.name) }
+        : {}),
+      tasks: isActive ? tasks : stashed || null,
+      outbox: await dbGetAll('outbox', profile.id),
+      history: await dbGetAll('history', profile.id),
+      achievements: await dbGetAll('achievements', profile.id),
+    });
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    includesSecrets: includeSecrets,
+    activeProfileId,
+    preferences: preferencesOf(settings),
+    profiles: exported,
+  };
+}
+
+// ── Validation ─────────────────────────────────────────────────────
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// App-wide preferences a backup may set, with the check each value must
+// pass; anything else in `preferences` is ignored on import
+const PREFERENCE_CHECKS = {
+  taskSort: (value) => SORT_MODES.includes(value),
+  dayStartHour: (value) => Number.isInteger(value) && value >= 0 && value <= MAX_DAY_START_HOUR,
+  locale: (value) => value === 'auto' || Object.hasOwn(LANGUAGES, value),
+  focusMinutes: (value) => FOCUS_LENGTHS.includes(value),
+  reminders: isObject,
+};
+
+const OUTBOX_KINDS = ['complete', 'reopen', 'add'];
+const OUTBOX_STATUSES = ['pending', 'dead'];
+
+// Views and the CSV export read these fields off every quest
+function isQuest(item) {
+  return isObject(item)
+    && (typeof item.id === 'string' || typeof item.id === 'number')
+    && typeof item.text === 'string'
+    && typeof item.completed === 'boolean';
+}
+
+// A validation problem: `code` picks the `errors.<code>` string, `field`
+// is the JSON path it is about
+function problem(code, field, params = {}) {
+  return { code, params: { field, ...params } };
+}
+
+function validateItems(items, at, errors) {
+  if (!Array.isArray(items)) {
+    errors.push(problem('FIELD_NOT_ARRAY', at));
+    return;
+  }
+  items.forEach((item, i) => {
+    if (!isQuest(item)) errors.push(problem('ENTRY_INCOMPLETE', `${at}[${i}]`, { required: 'id, text, completed' }));
+  });
+}
+
+function validatePreferences(preferences, errors) {
+  if (preferences == null) return;
+  if (!isObject(preferences)) {
+    errors.push(problem('FIELD_NOT_OBJECT', 'preferences'));
+    return;
+  }
+  for (const [key, check] of Object.entries(PREFERENCE_CHECKS)) {
+    if (preferences[key] != null && !check(preferences[key])) {
+      errors.push(problem('FIELD_INVALID', `preferences.${key}`));
+    }
+  }
+}
+
+function validateTasks(tasks, at, errors) {
+  if (tasks == null) return;
+  if (!isObject(tasks)) {
+    errors.push(problem('FIELD_NOT_OBJECT', at));
+    return;
+  }
+  validateItems(tasks.items, `${at}.items`, errors);
+  if (!isObject(tasks.stats)) errors.push(problem('FIELD_NOT_OBJECT', `${at}.stats`));
+}
+
+/**
+ * Check a decoded backup. Returns a list of problems, { code, params }
+ * like the errors shown through errorMessage (see i18n.js); empty means
+ * valid.
+ */
+export function validateBackup(backup) {
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) return [{ code: 'NOT_A_BACKUP', params: {} }];
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    return [{ code: 'BACKUP_VERSION', params: { version: String(backup.version) } }];
+  }
+
+  const errors = [];
+  validatePreferences(backup.preferences, errors);
+  if (!Array.isArray(backup.profiles) || backup.profiles.length === 0) {
+    errors.push(problem('NO_PROFILES', 'profiles'));
+    return errors;
+  }
+
+  backup.profiles.forEach((profile, i) => {
+    const at = `profiles[${i}]`;
+    if (!isObject(profile)) {
+      errors.push(problem('FIELD_NOT_OBJECT', at));
+      return;
+    }
+    if (typeof profile.id !== 'string' || !profile.id) errors.push(problem('FIELD_NOT_STRING', `${at}.id`));
+    if (typeof profile.name !== 'string') errors.push(problem('FIELD_NOT_STRING', `${at}.name`));
+    for (const key of CONNECTION_KEYS) {
+      if (profile[key] != null && typeof profile[key] !== 'string') {
+        errors.push(problem('FIELD_NOT_STRING', `${at}.${key}`));
+      }
+    }
+    validateTasks(profile.tasks, `${at}.tasks`, errors);
+    for (const key of ['outbox', 'history', 'achievements']) {
+      if (profile[key] != null && !Array.isArray(profile[key])) {
+        errors.push(problem('FIELD_NOT_ARRAY', `${at}.${key}`));
+      }
+    }
+    (profile.history || []).forEach((day, j) => {
+      if (!isObject(day) || typeof day.date !== 'string' || !Array.isArray(day.items)) {
+        errors.push(problem('ENTRY_INCOMPLETE', `${at}.history[${j}]`, { required: 'date, items' }));
+        return;
+      }
+      validateItems(day.items, `${at}.history[${j}].items`, errors);
+    });
+    (profile.outbox || []).forEach((entry, j) => {
+      if (!isObject(entry) || typeof entry.idempotencyKey !== 'string' || typeof entry.text !== 'string') {
+        errors.push(problem('ENTRY_INCOMPLETE', `${at}.outbox[${j}]`, { required: 'idempotencyKey, text' }));
+        return;
+      }
+      if (!OUTBOX_KINDS.includes(entry.kind)) errors.push(problem('FIELD_INVALID', `${at}.outbox[${j}].kind`));
+      if (!OUTBOX_STATUSES.includes(entry.status)) errors.push(problem('FIELD_INVALID', `${at}.outbox[${j}].status`));
+      if (!Number.isFinite(entry.createdAt)) errors.push(problem('FIELD_INVALID', `${at}.outbox[${j}].createdAt`));
+    });
+    (profile.achievements || []).forEach((badge, j) => {
+      if (!isObject(badge) || typeof badge.id !== 'string') {
+        errors.push(problem('ENTRY_INCOMPLETE', `${at}.achievements[${j}]`, { required: 'id' }));
+      }
+    });
+  });
+
+  return errors;
+}
+
+// ── Import ─────────────────────────────────────────────────────────
+
+/**
+ * The known preferences of a validated backup. Connection fields only come
+ * from profiles, where tokens get encrypted.
+ */
+function importedPreferences(preferences) {
+  return Object.fromEntries(Object.entries(preferencesOf(preferences ?? {}))
+    .filter(([key, value]) => Object.hasOwn(PREFERENCE_CHECKS, key) && value != null));
+}
+
+/**
+ * Prefer whichever quest list was loaded for the later day.
+ */
+function mergeTasks(current, incoming) {
+  if (!incoming) return current;
+  if (!current || (incoming.date || '') > (current.date || '')) return incoming;
+  return current;
+}
+
+async function mergeRecords(profileId, imported) {
+  let added = 0;
+
+  for (const day of imported.history || []) {
+    const existing = await dbGet('history', day.date, profileId);
+    if (!existing || (day.archivedAt || 0) > (existing.archivedAt || 0)) {
+      await dbPut('history', day, profileId);
+      added++;
+    }
+  }
+
+  for (const entry of imported.outbox || []) {
+    if (!(await dbGet('outbox', entry.idempotencyKey, profileId))) {
+      await dbPut('outbox', entry, profileId);
+      added++;
+    }
+  }
+
+  for (const badge of imported.achievements || []) {
+    const existing = await dbGet('achievements', badge.id, profileId);
+    await dbPut('achievements', existing
+      ? {
+          ...existing,
+          earnedAt: Math.min(existing.earnedAt, badge.earnedAt ?? existing.earnedAt),
+          count: Math.max(existing.count, badge.count ?? 1),
+        }
+      : badge, profileId);
+    if (!existing) added++;
+  }
+
+  return added;
+}
+
+/**
+ * Merge a validated backup into the store and IndexedDB.
+ * Returns { profiles, records } counts of what was added or updated.
+ * Throws an INVALID_BACKUP error, with the list in `problems`, if the
+ * backup fails validation.
+ */
+export async function importBackup(backup) {
+  const problems = validateBackup(backup);
+  if (problems.length > 0) {
+    const summary = problems.slice(0, 3).map(({ code, params }) => `${code} ${params.field ?? ''}`.trim());
+    const err = codedError(INVALID_BACKUP, `Invalid backup: ${summary.join('; ')}`);
+    err.problems = problems;
+    throw err;
+  }
+
+  let { settings, tasks, profiles } = store.get();
+  const { activeProfileId } = store.get();
+  let newProfiles = 0;
+  let records = 0;
+
+  for (const imported of backup.profiles) {
+    const existing = profiles.find((p) => p.id === imported.id);
+    const isActive = imported.id === activeProfileId;
+    const connection = {};
+    for (const key of CONNECTION_KEYS) {
+      // Never blank out a token we have just because the backup left it out
+      if (imported[key]) connection[key] = imported[key];
+    }
+    if (connection.authToken) connection.authToken = await encryptToken(connection.authToken);
+
+    if (existing) {
+      profiles = profiles.map((p) => (p.id === imported.id
+        ? { ...p, name: imported.name || p.name, ...connection, ...(isActive ? {} : { tasks: mergeTasks(p.tasks, imported.tasks) }) }
+        : p));
+    } else {
+      newProfiles++;
+      profiles = [...profiles, {
+        id: imported.id,
+        name: imported.name || 'Imported',
+        gatewayUrl: '',
+        authToken: '',
+        agentId: 'personal',
+        ...connection,
+        tasks: imported.tasks || null,
+      }];
+    }
+
+    if (isActive) {
+      settings = { ...settings, ...connection };
+      tasks = mergeTasks(tasks, imported.tasks);
+    }
+
+    records += await mergeRecords(imported.id, imported);
+  }
+
+  settings = { ...settings, ...importedPreferences(backup.preferences) };
+  store.set({ settings, tasks, profiles });
+  setLocale(settings.locale);
+
+  // Pick up imported outbox entries for the active profile
+  await outbox.load();
+
+  return { profiles: newProfiles, records };
+}
+
+// ── CSV ────────────────────────────────────────────────────────────
+
+const CSV_COLUMNS = [
+  'date', 'day', 'streak', 'hearts', 'xp', 'level',
+  'quest_id', 'quest', 'completed', 'completed_at', 'priority', 'tags', 'xp_reward', 'due',
+];
+
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  // Keep spreadsheets from evaluating quest text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function questRows(day, items) {
+  return items.flatMap((item) => [
+    [
+      day.date, day.day, day.stats?.streak, day.stats?.hearts, day.stats?.xp, day.stats?.level,
+      item.id, item.text, item.completed ? 'yes' : 'no',
+      item.completedAt ? new Date(item.completedAt).toISOString() : '',
+      item.priority, (item.tags || []).join(' '), item.xp, item.due,
+    ],
+    ...questRows(day, item.subtasks || []),
+  ]);
+}
+
+/**
+ * One row per quest (subtasks included) per archived day, oldest first.
+ */
+export async function buildHistoryCsv() {
+  const days = (await dbGetAll('history')).sort((a, b) => a.date.localeCompare(b.date));
+  const rows = days.flatMap((day) => (day.items.length > 0
+    ? questRows(day, day.items)
+    : [[day.date, day.day, day.stats?.streak, day.stats?.hearts, day.stats?.xp, day.stats?.level]]));
+
+  return [CSV_COLUMNS, ...rows]
+    .map((row) => row.map(csvCell).join(','))
+    .join('\r\n');
+}
@@ -0,0 +1,51 @@
+/**
+ * App data in IndexedDB (the device identity lives in its own database,
+ * see gateway/device-identity.js).
+ *
+ * Thin layer over idb.js that defaults to the active profile's database.
+ */
+
+import { store } from './store.js';
+import { openProfileDB, deleteProfileDB, runInProfile } from './idb.js';
+
+function activeProfile(profileId) {
+  return profileId ?? store.get().activeProfileId;
+}
+
+export function openDB(profileId) {
+  return openProfileDB(activeProfile(profileId));
+}
+
+/**
+ * Drop a profile's database entirely.
+ */
+export function deleteDB(profileId) {
+  return deleteProfileDB(profileId);
+}
+
+function run(storeName, mode, fn, profileId) {
+  return runInProfile(activeProfile(profileId), storeName, mode, fn);
+}
+
+// ── Helpers ────────────────────────────────────────────────────────
+// `profileId` defaults to the active profile.
+
+export function dbGet(storeName, key, profileId) {
+  return run(storeName, 'readonly', (store) => store.get(key), profileId);
+}
+
+export function dbGetAll(storeName, profileId) {
+  return run(storeName, 'readonly', (store) => store.getAll(), profileId);
+}
+
+export function dbPut(storeName, value, profileId) {
+  return run(storeName, 'readwrite', (store) => store.put(value), profileId);
+}
+
+export function dbDelete(storeName, key, profileId) {
+  return run(storeName, 'readwrite', (store) => store.delete(key), profileId);
+}
+
+export function dbClear(storeName, profileId) {
+  return run(storeName, 'readwrite', (store) => store.clear(), profileId);
+}
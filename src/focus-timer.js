@@ -0,0 +1,213 @@
+/**
+ * Pomodoro-style focus sessions on a quest.
+ *
+ * The running session lives in `tasks.focusSession` ({ taskId, text,
+ * startedAt, duration }), so it survives reloads and stays with its
+ * profile. Time spent adds up per quest in `tasks.focusTracked` (id → ms)
+ * for the loaded day and goes out with the quest's completion (see
+ * buildCompletionMessage in quests.js), so the agent can award XP for it.
+ *
+ * While a session runs the remaining time is shown in the document title.
+ * Its end is notified from here, and - where notification triggers exist -
+ * also handed to the service worker, so it fires with the app closed. A
+ * session that ended while the app was closed is recorded without another
+ * notification on the next load.
+ */
+
+import { store } from './store.js';
+import { notify } from './reminders.js';
+import { t } from './i18n.js';
+
+export const DEFAULT_FOCUS_MINUTES = 25;
+export const FOCUS_LENGTHS = [15, 25, 45, 50];
+
+const TAG_FOCUS = 'forge-focus';
+const TICK_MS = 1000;
+
+let ticker = null;
+let tickingSince = 0;
+let baseTitle = null;
+let finishHandler = () => {};
+const tickListeners = new Set();
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+export function getFocusMinutes() {
+  const minutes = Number(store.get().settings.focusMinutes);
+  return FOCUS_LENGTHS.includes(minutes) ? minutes : DEFAULT_FOCUS_MINUTES;
+}
+
+/**
+ * Where `session` stands at `now`: { elapsed, remaining, fraction, done }.
+ */
+export function focusProgress(session, now = Date.now()) {
+  const elapsed = Math.min(Math.max(now - session.startedAt, 0), session.duration);
+  return {
+    elapsed,
+    remaining: session.duration - elapsed,
+    fraction: elapsed / session.duration,
+    done: elapsed >= session.duration,
+  };
+}
+
+/** m:ss, rounded up so the last second reads 0:01 rather than 0:00. */
+export function formatRemaining(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export function getFocusSession() {
+  return store.get().tasks.focusSession ?? null;
+}
+
+export function isFocusing(taskId) {
+  return String(getFocusSession()?.taskId) === String(taskId);
+}
+
+/**
+ * Whole minutes spent on a quest in the loaded day, a running session
+ * included.
+ */
+export function trackedMinutes(taskId, now = Date.now()) {
+  const { focusTracked } = store.get().tasks;
+  let ms = focusTracked?.[String(taskId)] ?? 0;
+  if (isFocusing(taskId)) ms += focusProgress(getFocusSession(), now).elapsed;
+  return Math.round(ms / 60_000);
+}
+
+// ── Sessions ───────────────────────────────────────────────────────
+
+/**
+ * Start a session on a quest, ending any other one first.
+ */
+export function startFocus(taskId, text, now = Date.now()) {
+  stopFocus(now);
+
+  const session = {
+    taskId: String(taskId),
+    text,
+    startedAt: now,
+    duration: getFocusMinutes() * 60_000,
+  };
+  const { tasks } = store.get();
+  store.update('tasks', { ...tasks, focusSession: session });
+  scheduleEndNotification(session);
+  return session;
+}
+
+/**
+ * End the running session early, keeping the time spent so far.
+ * Returns the stopped session, or null if none was running.
+ */
+export function stopFocus(now = Date.now()) {
+  const session = getFocusSession();
+  if (!session) return null;
+  record(session, focusProgress(session, now).elapsed);
+  cancelEndNotification();
+  return session;
+}
+
+function record(session, elapsed) {
+  const { tasks } = store.get();
+  const focusTracked = { ...tasks.focusTracked };
+  focusTracked[session.taskId] = (focusTracked[session.taskId] ?? 0) + elapsed;
+  store.update('tasks', { ...tasks, focusSession: null, focusTracked });
+}
+
+function finish(session, { announce = true } = {}) {
+  record(session, session.duration);
+  if (!announce) return;
+  const minutes = Math.round(session.duration / 60_000);
+  notify(t('focus.doneTitle'), {
+    body: t('focus.doneBody', { minutes, text: session.text }),
+    tag: TAG_FOCUS,
+  });
+  finishHandler(session);
+}
+
+// ── Notifications with the app closed ──────────────────────────────
+
+async function scheduleEndNotification(session) {
+  if (typeof TimestampTrigger === 'undefined' || !('showTrigger' in Notification.prototype)) return;
+  if (Notification.permission !== 'granted') return;
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    await reg?.showNotification(t('focus.doneTitle'), {
+      body: t('focus.doneBody', { minutes: Math.round(session.duration / 60_000), text: session.text }),
+      tag: TAG_FOCUS,
+      data: { url: '/' },
+      showTrigger: new TimestampTrigger(session.startedAt + session.duration),
+    });
+  } catch (err) {
+    console.warn('[focus] could not schedule the end notification', err);
+  }
+}
+
+async function cancelEndNotification() {
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    const pending = await reg?.getNotifications({ tag: TAG_FOCUS, includeTriggered: true });
+    pending?.forEach((notification) => notification.close());
+  } catch { /* nothing scheduled */ }
+}
+
+// ── Ticking ────────────────────────────────────────────────────────
+
+/**
+ * Call `fn(session, progress)` every second while a session runs, and
+ * `fn(null)` once when it stops or finishes. Returns an unsubscribe.
+ */
+export function onFocusTick(fn) {
+  tickListeners.add(fn);
+  return () => tickListeners.delete(fn);
+}
+
+function tick() {
+  const session = getFocusSession();
+  const progress = session && focusProgress(session);
+
+  // Ran out. If that was before we started ticking the app was closed, and
+  // the service worker's trigger (if any) already announced it
+  if (progress?.done) {
+    finish(session, { announce: session.startedAt + session.duration >= tickingSince });
+  }
+
+  const running = getFocusSession();
+  if (!running) {
+    stopTicker();
+    return;
+  }
+  document.title = `⏱ ${formatRemaining(progress.remaining)} · ${running.text} - ${baseTitle}`;
+  tickListeners.forEach((fn) => fn(running, progress));
+}
+
+function stopTicker() {
+  if (!ticker) return;
+  clearInterval(ticker);
+  ticker = null;
+  document.title = baseTitle;
+  tickListeners.forEach((fn) => fn(null));
+}
+
+/**
+ * Run the ticker whenever the active profile has a session, from boot
+ * (picking up one that survived a reload) and after every start.
+ * `onFinish(session)` runs when a session reaches its end.
+ */
+export function startFocusTimer({ onFinish }) {
+  finishHandler = onFinish;
+  baseTitle = document.title;
+
+  const check = (state) => {
+    if (state.tasks.focusSession && !ticker) {
+      ticker = setInterval(tick, TICK_MS);
+      tickingSince = Date.now();
+      tick();
+    } else if (!state.tasks.focusSession && ticker) {
+      stopTicker();
+    }
+  };
+
+  store.subscribe(check);
+  check(store.get());
+}
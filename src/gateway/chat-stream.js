@@ -0,0 +1,146 @@
+/**
+ * Chat streaming for the OpenClaw gateway.
+ *
+ * The gateway reports agent replies as `chat` events:
+ *   { type: 'event', event: 'chat', payload: {
+ *       runId, sessionKey, seq,
+ *       state: 'delta' | 'final' | 'aborted' | 'error',
+ *       message?: { role, content }, delta?: string, errorMessage?: string,
+ *   } }
+ *
+ * Each run gets its own accumulator so concurrent replies never mix, and
+ * events for sessions other than the configured agent's are ignored.
+ */
+
+import { store } from '../store.js';
+import { gateway } from './connection.js';
+import { getSessionKey } from './protocol.js';
+import { createDeltaAccumulator } from '../parser.js';
+
+const runs = new Map();
+const completeHandlers = new Set();
+const deltaHandlers = new Set();
+const failedHandlers = new Set();
+
+/**
+ * Pull plain text out of a chat message. Content may be a string or an
+ * array of typed parts; only `text` parts are kept (tool calls are skipped).
+ */
+export function extractMessageText(message) {
+  if (message == null) return '';
+  if (typeof message === 'string') return message;
+  if (typeof message.text === 'string') return message.text;
+
+  const { content } = message;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part?.type === 'text' && typeof part.text === 'string')
+      .map((part) => part.text)
+      .join('');
+  }
+  return '';
+}
+
+function notify(handlers, ...args) {
+  handlers.forEach((fn) => {
+    try {
+      fn(...args);
+    } catch (err) {
+      console.error('[chat] handler failed', err);
+    }
+  });
+}
+
+function getRun(runId, sessionKey) {
+  let run = runs.get(runId);
+  if (!run) {
+    run = { runId, sessionKey, seq: -1, accumulator: createDeltaAccumulator() };
+    runs.set(runId, run);
+  }
+  return run;
+}
+
+function handleChatEvent(frame) {
+  const payload = frame.payload;
+  if (!payload?.runId) return;
+
+  const { settings } = store.get();
+  if (payload.sessionKey && payload.sessionKey !== getSessionKey(settings.agentId)) {
+    return;
+  }
+
+  const run = getRun(payload.runId, payload.sessionKey);
+
+  // Drop duplicated or out-of-order events
+  if (typeof payload.seq === 'number') {
+    if (payload.seq <= run.seq) return;
+    run.seq = payload.seq;
+  }
+
+  // `delta` carries an increment; `message` carries the reply so far
+  if (typeof payload.delta === 'string') {
+    run.accumulator.append(payload.delta);
+  } else if (payload.message != null) {
+    run.accumulator.reset();
+    run.accumulator.append(extractMessageText(payload.message));
+  }
+
+  switch (payload.state) {
+    case 'delta':
+      notify(deltaHandlers, run.sessionKey, run.accumulator.text, run.runId);
+      break;
+    case 'final':
+      runs.delete(run.runId);
+      notify(completeHandlers, run.sessionKey, run.accumulator.text, run.runId);
+      break;
+    case 'aborted':
+    case 'error':
+      runs.delete(run.runId);
+      notify(failedHandlers, run.sessionKey, {
+        runId: run.runId,
+        state: payload.state,
+        error: payload.errorMessage || null,
+        text: run.accumulator.text,
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+gateway.on('chat', handleChatEvent);
+
+// Runs in flight on a dropped socket will never finish
+gateway.on('connected', () => runs.clear());
+
+export const chatStream = {
+  /**
+   * Called with (sessionKey, text, runId) once a run reaches `final`.
+   */
+  onRunComplete(handler) {
+    completeHandlers.add(handler);
+    return () => completeHandlers.delete(handler);
+  },
+
+  /**
+   * Called with (sessionKey, textSoFar, runId) on every streamed delta.
+   */
+  onRunDelta(handler) {
+    deltaHandlers.add(handler);
+    return () => deltaHandlers.delete(handler);
+  },
+
+  /**
+   * Called with (sessionKey, { runId, state, error, text }) when a run
+   * is aborted or errors out.
+   */
+  onRunFailed(handler) {
+    failedHandlers.add(handler);
+    return () => failedHandlers.delete(handler);
+  },
+
+  get activeRuns() {
+    return runs.size;
+  },
+};
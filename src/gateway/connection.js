@@ -1,105 +1,233 @@
+/**
+ * Gateway connection: socket lifecycle, signed handshake, RPC and events.
+ *
+ * State lives in two places: the state machine (what the UI sees, see
+ * state-machine.js) and `session`, which holds everything tied to the current
+ * socket and is thrown away as a whole on disconnect or reconnect.
+ *
+ * What the gateway agreed to in hello-ok (protocol version, methods, tick
+ * interval) is kept on the session and mirrored to `store.capabilities`.
+ *
+ * Liveness: any incoming frame counts as a sign of life. Each heartbeat
+ * interval the gateway is probed with `health`, which doubles as the round
+ * trip sample published to `store.latency`. pause()/resume() are driven by
+ * the page lifecycle (see lifecycle.js): reconnects wait while the app is
+ * hidden or offline, and resuming checks the socket straight away.
+ */
+
 import { store } from '../store.js';
 import {
-  buildAuthUrl, buildConnectRequest, parseFrame, getSessionKey,
-  CLIENT_ID, CLIENT_MODE, ROLE, SCOPES,
+  buildAuthUrl, buildConnectRequest, buildRequest, parseFrame, getSessionKey,
+  isNotPairedError, isProtocolMismatchError, describeProtocolMismatch, negotiateHello,
+  PROTOCOL_MISMATCH, NOT_PAIRED,
 } from './protocol.js';
+import { getOrCreateDeviceIdentity } from './device-identity.js';
+import { buildSignedDevice, openGatewaySession, CONNECT_SEND_DELAY } from './handshake.js';
+import {
+  createRequestTracker, RequestError, isTransportError, CLOSED, NOT_CONNECTED, TIMEOUT, UNSUPPORTED,
+} from './requests.js';
+import { decryptToken, TOKEN_LOCKED } from './token-vault.js';
 import {
-  getOrCreateDeviceIdentity, buildDeviceAuthPayload, signPayload,
-} from './device-identity.js';
+  createConnectionMachine, connectionError,
+  DISCONNECTED, LOCKED, CONNECTING, HANDSHAKING, PAIRING, CONNECTED, RECONNECTING,
+} from './state-machine.js';
+import { createFrameLog, redactUrl } from './frame-log.js';
+import { createLatencyTracker } from './latency.js';
 
+// Used until the gateway's policy says otherwise
 const HEARTBEAT_INTERVAL = 30_000;
+const MISSED_TICKS = 3;
+const PROBE_METHOD = 'health';
+const PROBE_TIMEOUT = 5000;
 const RECONNECT_BASE = 1000;
 const RECONNECT_CAP = 30_000;
-const CONNECT_SEND_DELAY = 750;
-
-let ws = null;
-let heartbeatTimer = null;
+const TEST_TIMEOUT = 5000;
+const FRAME_LOG_SIZE = 100;
+
+// Local error codes besides those of requests.js and protocol.js
+const TOKEN_UNREADABLE = 'TOKEN_UNREADABLE';
+const AUTH_REJECTED = 'AUTH_REJECTED';
+
+// Closing any of these sockets means "try again"; elsewhere it is final
+const RETRY_ON_CLOSE = [CONNECTING, HANDSHAKING, PAIRING, CONNECTED];
+
+const eventHandlers = new Map();
+const requests = createRequestTracker(send);
+const frames = createFrameLog(FRAME_LOG_SIZE);
+const machine = createConnectionMachine({
+  onChange: (snapshot) => store.update('connection', snapshot),
+});
+const latency = createLatencyTracker({
+  onChange: (snapshot) => store.update('latency', snapshot),
+});
+
+/**
+ * The current socket and its handshake state:
+ *   { ws, settings, url, token, identity, nonce, connectSent, authenticated,
+ *     capabilities, lastSeenAt, probing, connectTimer, heartbeatTimer }
+ */
+let session = null;
 let reconnectTimer = null;
-let connectTimer = null;
-let reconnectAttempt = 0;
-let authenticated = false;
-let connectSent = false;
-let currentAuthToken = null;
-let connectId = null;
-let challengeNonce = null;
-let deviceIdentity = null;
-let eventHandlers = new Map();
-
-function setState(connectionState, error = null) {
-  store.update('connection', { state: connectionState, error });
-}
+let reconnectSettings = null;
+// Page hidden/frozen or offline: scheduled reconnects wait for resume()
+let paused = false;
 
-function getReconnectDelay() {
-  const base = Math.min(RECONNECT_BASE * 2 ** reconnectAttempt, RECONNECT_CAP);
+function getReconnectDelay(attempt) {
+  const base = Math.min(RECONNECT_BASE * 2 ** attempt, RECONNECT_CAP);
   const jitter = base * 0.3 * Math.random();
   return base + jitter;
 }
 
+function heartbeatInterval() {
+  return session?.capabilities?.policy.tickIntervalMs || HEARTBEAT_INTERVAL;
+}
+
 function startHeartbeat() {
   stopHeartbeat();
-  let lastTick = Date.now();
-  gateway.on('tick', () => { lastTick = Date.now(); });
-  heartbeatTimer = setInterval(() => {
-    if (Date.now() - lastTick > HEARTBEAT_INTERVAL * 3) {
-      console.log('[gateway] heartbeat timeout, reconnecting...');
-      const { settings } = store.get();
-      cleanup();
-      scheduleReconnect(settings);
-    }
-  }, HEARTBEAT_INTERVAL);
+  session.lastSeenAt = Date.now();
+  session.heartbeatTimer = setInterval(checkLiveness, heartbeatInterval());
 }
 
 function stopHeartbeat() {
-  if (heartbeatTimer) {
-    clearInterval(heartbeatTimer);
-    heartbeatTimer = null;
+  if (session?.heartbeatTimer) {
+    clearInterval(session.heartbeatTimer);
+    session.heartbeatTimer = null;
+  }
+}
+
+/**
+ * Reconnect if nothing has arrived for MISSED_TICKS heartbeat intervals,
+ * otherwise probe the gateway.
+ */
+function checkLiveness() {
+  if (!session?.authenticated) return;
+  if (Date.now() - session.lastSeenAt > heartbeatInterval() * MISSED_TICKS) {
+    console.log('[gateway] heartbeat timeout, reconnecting...');
+    connectionLost('HEARTBEAT_TIMEOUT', 'No heartbeat from the gateway');
+    return;
   }
+  probe();
+}
+
+/**
+ * Time a `health` request. Any answer, even an error, proves the socket is
+ * alive and gives a latency sample; no answer means it is dead.
+ */
+async function probe() {
+  const current = session;
+  if (!current?.authenticated || current.probing || !gateway.supports(PROBE_METHOD)) return;
+
+  current.probing = true;
+  const startedAt = performance.now();
+  try {
+    await requests.call(buildRequest(PROBE_METHOD), { timeout: PROBE_TIMEOUT });
+    if (session === current) latency.record(performance.now() - startedAt);
+  } catch (err) {
+    if (session !== current) return;
+    if (err.code === TIMEOUT) {
+      console.log('[gateway] probe timed out, reconnecting...');
+      connectionLost('PROBE_TIMEOUT', 'Gateway stopped answering');
+    } else if (!isTransportError(err)) {
+      latency.record(performance.now() - startedAt);
+    }
+  } finally {
+    current.probing = false;
+  }
+}
+
+function connectionLost(code, message) {
+  const { settings } = session;
+  teardown();
+  scheduleReconnect(settings, connectionError(code, message, { retryable: true }));
 }
 
 function send(obj) {
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify(obj));
+  if (session?.ws.readyState === WebSocket.OPEN) {
+    frames.record('out', obj);
+    session.ws.send(JSON.stringify(obj));
     return true;
   }
   return false;
 }
 
 async function sendConnect() {
-  if (connectSent) return;
-  connectSent = true;
-  if (connectTimer) {
-    clearTimeout(connectTimer);
-    connectTimer = null;
-  }
+  const current = session;
+  if (!current || current.connectSent) return;
+  current.connectSent = true;
+  clearTimeout(current.connectTimer);
+
+  const { identity, token, nonce, settings } = current;
+  const device = identity ? await buildSignedDevice(identity, token, nonce) : null;
+  if (session !== current) return;
+
+  const frame = buildConnectRequest(token, device, nonce);
+  machine.transition(HANDSHAKING, { reason: nonce ? 'challenge received' : 'no challenge, connecting anyway' });
+
+  let hello;
+  try {
+    hello = await requests.call(frame);
+  } catch (err) {
+    // Socket was replaced or torn down while we waited — nothing to report
+    if (session !== current || !(err instanceof RequestError) || err.code === CLOSED) return;
+
+    // Device not paired yet — show pairing UI
+    if (isNotPairedError(err)) {
+      console.log('[gateway] device not paired, awaiting approval');
+      // Keep connection open — gateway may close us, then we reconnect
+      machine.transition(PAIRING, { reason: 'device not paired', deviceId: identity?.id || null });
+      return;
+    }
+
+    if (isProtocolMismatchError(err)) {
+      failNegotiation(describeProtocolMismatch(err.details, err.message), err.details);
+      return;
+    }
+
+    if (err.code === TIMEOUT) {
+      console.warn('[gateway] connect timed out, reconnecting...');
+      teardown();
+      scheduleReconnect(settings, connectionError(TIMEOUT, 'Gateway did not answer the handshake', {
+        retryable: true, params: { variant: 'handshake' },
+      }));
+      return;
+    }
 
-  // Build signed device block
-  let device = null;
-  if (deviceIdentity) {
-    const signedAtMs = Date.now();
-    const payload = buildDeviceAuthPayload({
-      deviceId: deviceIdentity.id,
-      clientId: CLIENT_ID,
-      clientMode: CLIENT_MODE,
-      role: ROLE,
-      scopes: SCOPES,
-      signedAtMs,
-      token: currentAuthToken || null,
-      nonce: challengeNonce || undefined,
+    console.error('[gateway] connect failed:', err.message);
+    teardown();
+    machine.transition(DISCONNECTED, {
+      reason: 'connect rejected',
+      error: connectionError(err.code, err.message, { details: err.details }),
     });
-    const signature = await signPayload(deviceIdentity.keyPair.privateKey, payload);
-    device = {
-      id: deviceIdentity.id,
-      publicKey: deviceIdentity.publicKeyRaw,
-      signature,
-      signedAt: signedAtMs,
-      nonce: challengeNonce || undefined,
-    };
+    return;
   }
 
-  const frame = buildConnectRequest(currentAuthToken, device, challengeNonce);
-  connectId = frame.id;
-  send(frame);
-  console.log('[gateway] sent connect request', frame);
+  if (session !== current) return;
+  try {
+    current.capabilities = negotiateHello(hello);
+  } catch (err) {
+    failNegotiation(err, { protocol: hello?.protocol ?? null });
+    return;
+  }
+  current.authenticated = true;
+  store.update('capabilities', current.capabilities);
+  machine.transition(CONNECTED, { reason: `hello-ok (protocol ${current.capabilities.protocol})`, attempt: 0 });
+  startHeartbeat();
+  probe();
+  emit('connected', hello);
+  console.log('[gateway] connected (hello-ok)', hello);
+}
+
+/**
+ * Negotiation failed: retrying would only fail again, so stop here.
+ * `mismatch` is { message, params } as from describeProtocolMismatch.
+ */
+function failNegotiation({ message, params }, details) {
+  console.error('[gateway] protocol negotiation failed:', message);
+  teardown();
+  machine.transition(DISCONNECTED, {
+    reason: 'protocol mismatch',
+    error: connectionError(PROTOCOL_MISMATCH, message, { details, params }),
+  });
 }
 
 function emit(event, data) {
@@ -109,43 +237,20 @@ function emit(event, data) {
   wildcardHandlers.forEach((fn) => fn(data));
 }
 
-function handleMessage(raw, settings) {
+function handleMessage(raw) {
   const frame = parseFrame(raw);
-  console.log('[gateway frame]', frame);
+  frames.record('in', frame);
+  session.lastSeenAt = Date.now();
 
   // Challenge received — extract nonce and send signed connect
   if (frame.type === 'event' && frame.event === 'connect.challenge') {
-    challengeNonce = frame.payload?.nonce || null;
+    session.nonce = frame.payload?.nonce || null;
     sendConnect();
     return;
   }
 
-  // Response to our connect request
-  if (frame.type === 'res' && frame.id === connectId) {
-    if (frame.ok !== false && !frame.error) {
-      authenticated = true;
-      reconnectAttempt = 0;
-      setState('CONNECTED');
-      startHeartbeat();
-      flushQueue(settings);
-      emit('connected', frame);
-      console.log('[gateway] connected (hello-ok)', frame);
-    } else {
-      const errCode = frame.error?.code || '';
-      const errMsg = frame.error?.message || 'Connect rejected';
-
-      // Device not paired yet — show pairing UI
-      if (errCode === 'NOT_PAIRED' || errMsg.includes('NOT_PAIRED')) {
-        console.log('[gateway] device not paired, awaiting approval');
-        setState('PAIRING', deviceIdentity?.id || null);
-        // Keep connection open — gateway may close us, then we reconnect
-        return;
-      }
-
-      console.error('[gateway] connect failed:', errMsg);
-      setState('DISCONNECTED', errMsg);
-      cleanup();
-    }
+  // Response to one of our requests (including connect)
+  if (requests.settle(frame)) {
     return;
   }
 
@@ -156,21 +261,23 @@ function handleMessage(raw, settings) {
   }
 }
 
-function cleanup() {
+/**
+ * Close the socket and drop the session. Leaves the state alone; callers
+ * transition right after.
+ */
+function teardown() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectSettings = null;
+  latency.reset();
+  if (!session) return;
+
+  const { ws } = session;
   stopHeartbeat();
-  authenticated = false;
-  connectSent = false;
-  currentAuthToken = null;
-  connectId = null;
-  challengeNonce = null;
-  if (reconnectTimer) {
-    clearTimeout(reconnectTimer);
-    reconnectTimer = null;
-  }
-  if (connectTimer) {
-    clearTimeout(connectTimer);
-    connectTimer = null;
-  }
+  clearTimeout(session.connectTimer);
+  session = null;
+  requests.rejectAll();
+
   if (ws) {
     ws.onopen = null;
     ws.onclose = null;
@@ -179,14 +286,24 @@ function cleanup() {
     if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
       ws.close();
     }
-    ws = null;
   }
 }
 
-function scheduleReconnect(settings) {
-  const delay = getReconnectDelay();
-  reconnectAttempt++;
-  setState('RECONNECTING');
+function scheduleReconnect(settings, error) {
+  const attempt = machine.current.attempt + 1;
+  reconnectSettings = settings;
+  if (paused) {
+    machine.transition(RECONNECTING, { reason: `${error?.message || 'reconnect'} (paused)`, error, attempt });
+    return;
+  }
+
+  const delay = getReconnectDelay(attempt - 1);
+  machine.transition(RECONNECTING, {
+    reason: error?.message || 'reconnect',
+    error,
+    attempt,
+    nextRetryAt: Date.now() + delay,
+  });
   reconnectTimer = setTimeout(() => {
     gateway.connect(settings);
   }, delay);
@@ -194,74 +311,142 @@ function scheduleReconnect(settings) {
 
 export const gateway = {
   async connect(settings) {
-    cleanup();
-    setState('CONNECTING');
+    teardown();
+    const current = { settings, connectSent: false, authenticated: false, nonce: null, capabilities: null };
+    session = current;
+    store.update('capabilities', null);
+    machine.transition(CONNECTING, { reason: 'connect' });
 
-    const { gatewayUrl, authToken } = settings;
-    currentAuthToken = authToken;
+    try {
+      current.token = await decryptToken(settings.authToken);
+    } catch (err) {
+      if (session !== current) return;
+      session = null;
+      if (err.code === TOKEN_LOCKED) {
+        machine.transition(LOCKED, { reason: 'token needs PIN', error: connectionError(TOKEN_LOCKED, err.message) });
+      } else {
+        console.error('[gateway] failed to decrypt auth token:', err);
+        machine.transition(DISCONNECTED, {
+          reason: 'token unreadable',
+          error: connectionError(TOKEN_UNREADABLE, 'Saved token could not be decrypted - enter it again in settings'),
+        });
+      }
+      return;
+    }
 
     // Load or create device identity
     try {
-      deviceIdentity = await getOrCreateDeviceIdentity();
-      console.log('[gateway] device identity:', deviceIdentity.id);
+      current.identity = await getOrCreateDeviceIdentity();
+      console.log('[gateway] device identity:', current.identity.id);
     } catch (err) {
       console.warn('[gateway] failed to load device identity, connecting without it:', err);
-      deviceIdentity = null;
+      current.identity = null;
     }
+    if (session !== current) return;
 
-    const url = buildAuthUrl(gatewayUrl, authToken);
-
+    current.url = buildAuthUrl(settings.gatewayUrl, current.token);
     try {
-      ws = new WebSocket(url);
+      current.ws = new WebSocket(current.url);
     } catch (err) {
-      setState('DISCONNECTED', err.message);
+      session = null;
+      machine.transition(DISCONNECTED, {
+        reason: 'socket failed',
+        error: connectionError('SOCKET_ERROR', err.message),
+      });
       return;
     }
 
+    const { ws } = current;
     ws.onopen = () => {
       console.log('[gateway] WebSocket open, waiting for challenge...');
-      connectTimer = setTimeout(() => sendConnect(), CONNECT_SEND_DELAY);
+      current.connectTimer = setTimeout(sendConnect, CONNECT_SEND_DELAY);
     };
 
-    ws.onmessage = (event) => handleMessage(event.data, settings);
+    ws.onmessage = (event) => handleMessage(event.data);
 
     ws.onerror = () => {};
 
-    ws.onclose = () => {
-      const prevState = store.get().connection.state;
-      cleanup();
-      if (prevState === 'CONNECTED' || prevState === 'CONNECTING' || prevState === 'PAIRING') {
-        scheduleReconnect(settings);
+    ws.onclose = (event) => {
+      const prevState = machine.current.state;
+      teardown();
+      const error = connectionError(CLOSED, `Connection closed${event?.code ? ` (${event.code})` : ''}`, {
+        retryable: true,
+        params: event?.code ? { variant: 'withCode', closeCode: String(event.code) } : null,
+        details: { code: event?.code, reason: event?.reason || null },
+      });
+      if (RETRY_ON_CLOSE.includes(prevState)) {
+        scheduleReconnect(settings, error);
       } else {
-        setState('DISCONNECTED');
+        machine.transition(DISCONNECTED, { reason: 'socket closed', error });
       }
     };
   },
 
   disconnect() {
-    cleanup();
-    setState('DISCONNECTED');
+    teardown();
+    machine.transition(DISCONNECTED, { reason: 'disconnect', attempt: 0 });
+  },
+
+  /**
+   * The app went to the background or offline. A live socket is left alone
+   * (it may well survive), but a pending reconnect is put on hold.
+   */
+  pause(reason) {
+    paused = true;
+    if (!reconnectTimer) return;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    machine.transition(RECONNECTING, { reason: `paused (${reason})`, error: machine.current.error });
+  },
+
+  /**
+   * The app is usable again, or the network changed. Reconnect now instead
+   * of waiting out the backoff, or make sure a connected socket still works.
+   */
+  resume(reason) {
+    paused = false;
+    const { state } = machine.current;
+    if (state === RECONNECTING && reconnectSettings) {
+      console.log(`[gateway] ${reason}, reconnecting now`);
+      gateway.connect(reconnectSettings);
+    } else if (state === CONNECTED) {
+      checkLiveness();
+    }
+  },
+
+  /**
+   * Send an RPC request and resolve with the response payload.
+   * Rejects with a RequestError carrying the gateway's error code/message,
+   * or a local code (NOT_CONNECTED, UNSUPPORTED, CLOSED, TIMEOUT, ABORTED).
+   */
+  request(method, params = {}, options = {}) {
+    if (!session?.authenticated) {
+      return Promise.reject(new RequestError(NOT_CONNECTED, 'Not authenticated'));
+    }
+    if (!gateway.supports(method)) {
+      return Promise.reject(new RequestError(UNSUPPORTED, `Gateway does not support ${method}`, null, { method }));
+    }
+    return requests.call(buildRequest(method, params), options);
   },
 
-  sendMessage(text) {
-    if (!authenticated) return Promise.reject(new Error('Not authenticated'));
+  sendMessage(text, { idempotencyKey = crypto.randomUUID(), ...options } = {}) {
     const { settings } = store.get();
-    const sessionKey = getSessionKey(settings.agentId);
-    const payload = {
-      type: 'req',
-      id: crypto.randomUUID(),
-      method: 'chat.send',
-      params: {
-        sessionKey,
-        message: text,
-        idempotencyKey: crypto.randomUUID(),
-      },
+    const params = {
+      sessionKey: getSessionKey(settings.agentId),
+      message: text,
+      idempotencyKey,
     };
-    console.log('[gateway] sending chat.send', payload);
-    if (send(payload)) {
-      return Promise.resolve(payload);
-    }
-    return Promise.reject(new Error('Not connected'));
+    console.log('[gateway] sending chat.send', params);
+    return gateway.request('chat.send', params, options);
+  },
+
+  /**
+   * Whether the connected gateway advertised `method`. Gateways that send no
+   * method list are assumed to support everything.
+   */
+  supports(method) {
+    const methods = session?.capabilities?.methods;
+    return !methods || methods.includes(method);
   },
 
   on(event, handler) {
@@ -276,132 +461,70 @@ export const gateway = {
     eventHandlers.get(event)?.delete(handler);
   },
 
-  async testConnection(url, token) {
+  /**
+   * Try a handshake without touching the live connection. Resolves with
+   * { ok } or { ok: false, error, deviceId? }, `error` shaped like the
+   * connection's own (see connectionError).
+   */
+  async testConnection(url, storedToken) {
+    let token;
+    try {
+      token = await decryptToken(storedToken);
+    } catch (err) {
+      return {
+        ok: false,
+        error: err.code === TOKEN_LOCKED
+          ? connectionError(TOKEN_LOCKED, err.message)
+          : connectionError(TOKEN_UNREADABLE, 'Saved token could not be decrypted'),
+      };
+    }
+
     let identity = null;
     try {
       identity = await getOrCreateDeviceIdentity();
     } catch { /* continue without device identity */ }
 
-    return new Promise((resolve) => {
-      let testWs;
-      let sent = false;
-      let testNonce = null;
-      const timer = setTimeout(() => {
-        testWs?.close();
-        resolve({ ok: false, error: 'Connection timeout (5s)' });
-      }, 5000);
-
-      try {
-        testWs = new WebSocket(buildAuthUrl(url, token));
-      } catch (err) {
-        clearTimeout(timer);
-        resolve({ ok: false, error: err.message });
-        return;
+    try {
+      const test = await openGatewaySession(url, token, identity, { timeout: TEST_TIMEOUT });
+      test.close();
+      return { ok: true };
+    } catch (err) {
+      if (isProtocolMismatchError(err)) {
+        const { message, params } = err instanceof RequestError ? describeProtocolMismatch(err.details, err.message) : err;
+        return { ok: false, error: connectionError(PROTOCOL_MISMATCH, message, { params }) };
       }
-
-      async function doSendConnect() {
-        if (sent) return;
-        sent = true;
-
-        let device = null;
-        if (identity) {
-          const signedAtMs = Date.now();
-          const payload = buildDeviceAuthPayload({
-            deviceId: identity.id,
-            clientId: CLIENT_ID,
-            clientMode: CLIENT_MODE,
-            role: ROLE,
-            scopes: SCOPES,
-            signedAtMs,
-            token: token || null,
-            nonce: testNonce || undefined,
-          });
-          const signature = await signPayload(identity.keyPair.privateKey, payload);
-          device = {
-            id: identity.id,
-            publicKey: identity.publicKeyRaw,
-            signature,
-            signedAt: signedAtMs,
-            nonce: testNonce || undefined,
-          };
-        }
-
-        const frame = buildConnectRequest(token, device, testNonce);
-        testWs.send(JSON.stringify(frame));
-        return frame.id;
+      if (isNotPairedError(err)) {
+        return {
+          ok: false,
+          error: connectionError(NOT_PAIRED, 'Device not paired. Run on VM:\nopenclaw devices approve'),
+          deviceId: identity?.id,
+        };
       }
-
-      let testConnectId;
-      let sendTimer;
-
-      testWs.onopen = () => {
-        sendTimer = setTimeout(async () => {
-          testConnectId = await doSendConnect();
-        }, CONNECT_SEND_DELAY);
-      };
-
-      testWs.onmessage = async (event) => {
-        const frame = parseFrame(event.data);
-
-        if (frame.event === 'connect.challenge') {
-          if (sendTimer) clearTimeout(sendTimer);
-          testNonce = frame.payload?.nonce || null;
-          testConnectId = await doSendConnect();
-          return;
-        }
-
-        if (frame.type === 'res' && frame.id === testConnectId) {
-          clearTimeout(timer);
-          testWs.close();
-          if (frame.ok !== false && !frame.error) {
-            resolve({ ok: true });
-          } else {
-            const errCode = frame.error?.code || '';
-            const errMsg = frame.error?.message || 'Auth rejected';
-            if (errCode === 'NOT_PAIRED' || errMsg.includes('NOT_PAIRED')) {
-              resolve({ ok: false, error: `Device not paired. Run on VM:\nopenclaw devices approve`, deviceId: identity?.id });
-            } else {
-              resolve({ ok: false, error: errMsg });
-            }
-          }
-        }
-      };
-
-      testWs.onerror = () => {
-        clearTimeout(timer);
-        resolve({ ok: false, error: 'Connection failed - check URL and network' });
-      };
-    });
+      return { ok: false, error: connectionError(err.code || AUTH_REJECTED, err.message || 'Auth rejected', { params: err.params }) };
+    }
   },
 
   get isConnected() {
-    return authenticated && store.get().connection.state === 'CONNECTED';
+    return Boolean(session?.authenticated) && machine.current.state === CONNECTED;
   },
 
   get deviceId() {
-    return deviceIdentity?.id || null;
+    return session?.identity?.id || machine.current.deviceId;
   },
-};
 
-function flushQueue(settings) {
-  const { pendingQueue } = store.get();
-  if (pendingQueue.length === 0) return;
-
-  const sessionKey = getSessionKey(settings.agentId);
-
-  for (const item of pendingQueue) {
-    const payload = {
-      type: 'req',
-      id: crypto.randomUUID(),
-      method: 'chat.send',
-      params: {
-        sessionKey,
-        message: item.text,
-        idempotencyKey: item.idempotencyKey,
-      },
+  /**
+   * Everything the diagnostics view shows. Frames are already redacted.
+   */
+  get diagnostics() {
+    return {
+      ...machine.current,
+      url: session?.url ? redactUrl(session.url) : null,
+      capabilities: session?.capabilities || null,
+      latency: store.get().latency,
+      paused,
+      pendingRequests: requests.size,
+      transitions: machine.log,
+      frames: frames.entries,
     };
-    if (send(payload)) {
-      store.dequeue(item.idempotencyKey);
-    }
-  }
-}
+  },
+};
@@ -2,7 +2,9 @@
  * Device identity management for OpenClaw gateway device pairing.
  *
  * Generates an Ed25519 keypair via Web Crypto API, persists it in IndexedDB,
- * and provides signing utilities for the gateway connect handshake.
+ * and provides signing utilities for the gateway connect handshake. The
+ * identity can be rotated, deleted, or exported/imported as a
+ * passphrase-encrypted bundle so a reinstall keeps its pairing.
  */
 
 const DB_NAME = 'forge_device';
@@ -10,6 +12,10 @@ const DB_VERSION = 1;
 const STORE_NAME = 'identity';
 const IDENTITY_KEY = 'device';
 
+const EXPORT_FORMAT = 'agent-forge-device';
+const EXPORT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+
 // ── IndexedDB helpers ──────────────────────────────────────────────
 
 function openDB() {
@@ -46,6 +52,16 @@ function idbPut(db, key, value) {
   });
 }
 
+function idbDelete(db, key) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const req = store.delete(key);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
 // ── Encoding helpers ───────────────────────────────────────────────
 
 function bufToBase64Url(buf) {
@@ -55,6 +71,12 @@ function bufToBase64Url(buf) {
   return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
+function base64UrlToBuf(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
 function bufToHex(buf) {
   return Array.from(new Uint8Array(buf))
     .map((b) => b.toString(16).padStart(2, '0'))
@@ -82,53 +104,199 @@ async function fingerprintKey(key) {
   return bufToHex(hash);
 }
 
+// ── Records ────────────────────────────────────────────────────────
+
+async function createRecord(keyPair) {
+  const raw = await exportPublicKeyRaw(keyPair.publicKey);
+  return {
+    version: 1,
+    deviceId: await fingerprintKey(keyPair.publicKey),
+    publicKeyRaw: bufToBase64Url(raw),
+    jwkPublic: await crypto.subtle.exportKey('jwk', keyPair.publicKey),
+    jwkPrivate: await crypto.subtle.exportKey('jwk', keyPair.privateKey),
+    createdAt: Date.now(),
+  };
+}
+
+async function identityFromRecord(record) {
+  const privateKey = await crypto.subtle.importKey(
+    'jwk', record.jwkPrivate, { name: 'Ed25519' }, true, ['sign'],
+  );
+  const publicKey = await crypto.subtle.importKey(
+    'jwk', record.jwkPublic, { name: 'Ed25519' }, true, ['verify'],
+  );
+  return {
+    id: record.deviceId,
+    publicKeyRaw: record.publicKeyRaw,
+    createdAt: record.createdAt ?? null, // not recorded for older identities
+    keyPair: { privateKey, publicKey },
+  };
+}
+
+async function storeRecord(record) {
+  const db = await openDB();
+  try {
+    await idbPut(db, IDENTITY_KEY, record);
+  } finally {
+    db.close();
+  }
+  return identityFromRecord(record);
+}
+
+function loadRecord() {
+  return getDeviceSecret(IDENTITY_KEY);
+}
+
 // ── Public API ─────────────────────────────────────────────────────
 
+// Identity reads and changes run one at a time, so two callers that find no
+// identity (say a reconnect and the settings view after a delete) don't each
+// create and store a different keypair
+let identityQueue = Promise.resolve();
+
+function serialized(fn) {
+  const result = identityQueue.then(fn);
+  identityQueue = result.catch(() => {});
+  return result;
+}
+
 /**
  * Load or create the device identity.
  * The keypair is persisted in IndexedDB so it survives page reloads.
  */
-export async function getOrCreateDeviceIdentity() {
-  const db = await openDB();
+export function getOrCreateDeviceIdentity() {
+  return serialized(async () => {
+    const stored = await loadRecord();
+    if (stored?.version === 1) {
+      try {
+        return await identityFromRecord(stored);
+      } catch {
+        // Corrupted — regenerate below
+      }
+    }
+
+    return storeRecord(await createRecord(await generateKeyPair()));
+  });
+}
+
+/**
+ * Replace the identity with a fresh keypair. The gateway sees a new device,
+ * so it has to be approved again.
+ */
+export function rotateDeviceIdentity() {
+  return serialized(async () => storeRecord(await createRecord(await generateKeyPair())));
+}
 
-  const stored = await idbGet(db, IDENTITY_KEY);
-  if (stored?.version === 1) {
+/**
+ * Forget the identity; a new one is created on the next connect.
+ */
+export function deleteDeviceIdentity() {
+  return serialized(async () => {
+    const db = await openDB();
     try {
-      const privateKey = await crypto.subtle.importKey(
-        'jwk', stored.jwkPrivate, { name: 'Ed25519' }, true, ['sign'],
-      );
-      const publicKey = await crypto.subtle.importKey(
-        'jwk', stored.jwkPublic, { name: 'Ed25519' }, true, ['verify'],
-      );
+      await idbDelete(db, IDENTITY_KEY);
+    } finally {
       db.close();
-      return {
-        id: stored.deviceId,
-        publicKeyRaw: stored.publicKeyRaw,
-        keyPair: { privateKey, publicKey },
-      };
-    } catch {
-      // Corrupted — regenerate below
     }
+  });
+}
+
+// ── Other device-bound secrets ─────────────────────────────────────
+// Keys that must stay on this device (see token-vault.js) live next to the
+// identity, so clearing one clears both.
+
+export async function getDeviceSecret(key) {
+  const db = await openDB();
+  try {
+    return await idbGet(db, key);
+  } finally {
+    db.close();
   }
+}
 
-  const keyPair = await generateKeyPair();
-  const raw = await exportPublicKeyRaw(keyPair.publicKey);
-  const publicKeyRaw = bufToBase64Url(raw);
-  const deviceId = await fingerprintKey(keyPair.publicKey);
-  const jwkPublic = await crypto.subtle.exportKey('jwk', keyPair.publicKey);
-  const jwkPrivate = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+export async function putDeviceSecret(key, value) {
+  const db = await openDB();
+  try {
+    await idbPut(db, key, value);
+  } finally {
+    db.close();
+  }
+}
 
-  const record = {
-    version: 1,
-    deviceId,
-    publicKeyRaw,
-    jwkPublic,
-    jwkPrivate,
+// ── Encrypted export/import ────────────────────────────────────────
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+function identityError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Export the identity, private key included, encrypted with a passphrase
+ * (PBKDF2 → AES-GCM). The device id stays readable so files can be told apart.
+ */
+export async function exportDeviceIdentity(passphrase) {
+  const stored = await loadRecord();
+  if (stored?.version !== 1) throw identityError('NO_IDENTITY', 'No device identity to export');
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const plaintext = new TextEncoder().encode(JSON.stringify(stored));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    deviceId: stored.deviceId,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bufToBase64Url(salt) },
+    cipher: { name: 'AES-GCM', iv: bufToBase64Url(iv) },
+    data: bufToBase64Url(ciphertext),
   };
-  await idbPut(db, IDENTITY_KEY, record);
-  db.close();
+}
 
-  return { id: deviceId, publicKeyRaw, keyPair };
+/**
+ * Decrypt an exported identity and make it this device's identity.
+ * The keypair is checked against its fingerprint before anything is replaced.
+ */
+export function importDeviceIdentity(bundle, passphrase) {
+  return serialized(() => importRecord(bundle, passphrase));
+}
+
+async function importRecord(bundle, passphrase) {
+  if (bundle?.format !== EXPORT_FORMAT || bundle.version !== EXPORT_VERSION) {
+    throw identityError('NOT_IDENTITY_EXPORT', 'Not a device identity export');
+  }
+
+  const key = await deriveKey(passphrase, base64UrlToBuf(bundle.kdf.salt), bundle.kdf.iterations);
+  let record;
+  try {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64UrlToBuf(bundle.cipher.iv) }, key, base64UrlToBuf(bundle.data),
+    );
+    record = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw identityError('WRONG_PASSPHRASE', 'Wrong passphrase or damaged file');
+  }
+
+  const identity = await identityFromRecord(record);
+  if (await fingerprintKey(identity.keyPair.publicKey) !== record.deviceId) {
+    throw identityError('FINGERPRINT_MISMATCH', 'Identity does not match its fingerprint');
+  }
+  return storeRecord(record);
 }
 
 // ── Signing ────────────────────────────────────────────────────────
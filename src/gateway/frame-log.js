@@ -0,0 +1,55 @@
+/**
+ * Ring buffer of recent gateway frames for the diagnostics view.
+ *
+ * Frames are stored redacted: anything that looks like a credential is
+ * replaced before it is kept, and long strings are cut short, so the log can
+ * be shown (or screenshotted) safely.
+ */
+
+const SECRET_KEY_PATTERN = /token|signature|secret|password|passphrase|pin$/i;
+const MAX_STRING = 400;
+const REDACTED = '[redacted]';
+
+/**
+ * Deep copy of a frame with secrets masked and long strings truncated.
+ */
+export function redactFrame(value, key = '') {
+  if (SECRET_KEY_PATTERN.test(key) && value != null && value !== '') return REDACTED;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… (${value.length} chars)` : value;
+  }
+  if (Array.isArray(value)) return value.map((item) => redactFrame(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactFrame(v, k)]));
+  }
+  return value;
+}
+
+/**
+ * Strip the token query parameter from a gateway URL.
+ */
+export function redactUrl(url) {
+  return url.replace(/([?&]token=)[^&]*/i, `$1${REDACTED}`);
+}
+
+export function createFrameLog(size) {
+  const entries = [];
+
+  return {
+    /**
+     * @param {'in' | 'out'} direction
+     */
+    record(direction, frame) {
+      entries.push({ direction, at: Date.now(), frame: redactFrame(frame) });
+      if (entries.length > size) entries.shift();
+    },
+
+    get entries() {
+      return [...entries];
+    },
+
+    clear() {
+      entries.length = 0;
+    },
+  };
+}
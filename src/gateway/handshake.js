@@ -0,0 +1,141 @@
+/**
+ * The signed connect handshake, and short-lived gateway sessions built on it.
+ *
+ * connection.js runs the app's long-lived socket; openGatewaySession() is for
+ * one-off jobs next to it: the settings "Test" button and the service
+ * worker's background outbox flush (see outbox-flush.js).
+ */
+
+import {
+  buildAuthUrl, buildConnectRequest, buildRequest, parseFrame, negotiateHello,
+  CLIENT_ID, CLIENT_MODE, ROLE, SCOPES,
+} from './protocol.js';
+import { buildDeviceAuthPayload, signPayload } from './device-identity.js';
+import { createRequestTracker, RequestError, CLOSED, TIMEOUT } from './requests.js';
+
+// Gateways that skip connect.challenge get our connect after this long
+export const CONNECT_SEND_DELAY = 750;
+
+export const SOCKET_ERROR = 'SOCKET_ERROR';
+
+/**
+ * Build the signed device block for a connect request.
+ */
+export async function buildSignedDevice(identity, token, nonce) {
+  const signedAtMs = Date.now();
+  const payload = buildDeviceAuthPayload({
+    deviceId: identity.id,
+    clientId: CLIENT_ID,
+    clientMode: CLIENT_MODE,
+    role: ROLE,
+    scopes: SCOPES,
+    signedAtMs,
+    token: token || null,
+    nonce: nonce || undefined,
+  });
+  const signature = await signPayload(identity.keyPair.privateKey, payload);
+  return {
+    id: identity.id,
+    publicKey: identity.publicKeyRaw,
+    signature,
+    signedAt: signedAtMs,
+    nonce: nonce || undefined,
+  };
+}
+
+/**
+ * Open a socket, answer the challenge with a signed connect and negotiate.
+ *
+ * Resolves with { capabilities, request(method, params, options), close() }.
+ * Rejects, with the socket closed, when the handshake fails: a RequestError
+ * with the gateway's code (NOT_PAIRED, UNAUTHORIZED, ...) or a local one
+ * (TIMEOUT, SOCKET_ERROR, CLOSED), or a PROTOCOL_MISMATCH error from
+ * negotiateHello(). `timeout` covers the whole handshake.
+ */
+export function openGatewaySession(url, token, identity, { timeout = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    let ws;
+    let sent = false;
+    let settled = false;
+    let nonce = null;
+    let sendTimer;
+
+    const tracker = createRequestTracker((frame) => {
+      if (ws?.readyState !== WebSocket.OPEN) return false;
+      ws.send(JSON.stringify(frame));
+      return true;
+    });
+
+    function close() {
+      tracker.rejectAll();
+      if (ws?.readyState === WebSocket.OPEN || ws?.readyState === WebSocket.CONNECTING) ws.close();
+    }
+
+    function fail(err) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(sendTimer);
+      close();
+      reject(err);
+    }
+
+    const timer = setTimeout(() => {
+      fail(new RequestError(TIMEOUT, `Connection timeout (${timeout / 1000}s)`, null, {
+        variant: 'connect', seconds: timeout / 1000,
+      }));
+    }, timeout);
+
+    try {
+      ws = new WebSocket(buildAuthUrl(url, token));
+    } catch (err) {
+      fail(new RequestError(SOCKET_ERROR, err.message));
+      return;
+    }
+
+    async function sendConnect() {
+      if (sent) return;
+      sent = true;
+      clearTimeout(sendTimer);
+
+      try {
+        const device = identity ? await buildSignedDevice(identity, token, nonce) : null;
+        const hello = await tracker.call(buildConnectRequest(token, device, nonce), { timeout: 0 });
+        const capabilities = negotiateHello(hello);
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve({
+          capabilities,
+          request: (method, params = {}, options) => tracker.call(buildRequest(method, params), options),
+          close,
+        });
+      } catch (err) {
+        fail(err);
+      }
+    }
+
+    ws.onopen = () => {
+      sendTimer = setTimeout(sendConnect, CONNECT_SEND_DELAY);
+    };
+
+    ws.onmessage = (event) => {
+      const frame = parseFrame(event.data);
+      if (frame.event === 'connect.challenge') {
+        nonce = frame.payload?.nonce || null;
+        sendConnect();
+        return;
+      }
+      tracker.settle(frame);
+    };
+
+    ws.onerror = () => {
+      fail(new RequestError(SOCKET_ERROR, 'Connection failed - check URL and network'));
+    };
+
+    ws.onclose = () => {
+      tracker.rejectAll();
+      fail(new RequestError(CLOSED, 'Connection closed'));
+    };
+  });
+}
@@ -0,0 +1,47 @@
+/**
+ * Round-trip latency of the gateway connection, measured with `health`
+ * probes. The snapshot published through onChange is
+ *   { rtt, average, quality, samples, measuredAt }
+ * where `rtt` is the latest sample and `average` the mean of the recent ones.
+ */
+
+const SAMPLE_COUNT = 5;
+
+// Upper bounds (ms) of the average for each quality level; above is 'poor'
+const GOOD_RTT = 300;
+const FAIR_RTT = 1000;
+
+export function latencyQuality(ms) {
+  if (ms <= GOOD_RTT) return 'good';
+  if (ms <= FAIR_RTT) return 'fair';
+  return 'poor';
+}
+
+/**
+ * @param {{ onChange: (snapshot: object | null) => void }} options
+ */
+export function createLatencyTracker({ onChange }) {
+  const samples = [];
+
+  return {
+    record(ms) {
+      samples.push(Math.round(ms));
+      if (samples.length > SAMPLE_COUNT) samples.shift();
+
+      const average = Math.round(samples.reduce((sum, s) => sum + s, 0) / samples.length);
+      onChange({
+        rtt: samples.at(-1),
+        average,
+        quality: latencyQuality(average),
+        samples: [...samples],
+        measuredAt: Date.now(),
+      });
+    },
+
+    reset() {
+      if (samples.length === 0) return;
+      samples.length = 0;
+      onChange(null);
+    },
+  };
+}
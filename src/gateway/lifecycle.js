@@ -0,0 +1,57 @@
+/**
+ * Page lifecycle and network signals for the gateway connection.
+ *
+ * Mobile browsers freeze a backgrounded PWA without closing its socket, so
+ * the app comes back to a connection that looks open but is dead. This turns
+ * the relevant DOM events into two callbacks:
+ *
+ *   onPause(reason)   page hidden, frozen or offline; hold off reconnecting
+ *   onResume(reason)  usable again, or the network changed underneath us;
+ *                     check the connection right away
+ *
+ * Pause reasons stack: coming back online while still hidden stays paused.
+ */
+
+export function watchPageLifecycle({ onPause, onResume }) {
+  const reasons = new Set();
+
+  function pause(reason) {
+    const wasPaused = reasons.size > 0;
+    reasons.add(reason);
+    if (!wasPaused) onPause(reason);
+  }
+
+  function resume(reason, clears) {
+    clears.forEach((r) => reasons.delete(r));
+    if (reasons.size === 0) onResume(reason);
+  }
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      pause('hidden');
+    } else {
+      resume('visible', ['hidden', 'frozen']);
+    }
+  });
+
+  // Page lifecycle API (Chromium): frozen pages run no timers at all
+  document.addEventListener('freeze', () => pause('frozen'));
+  document.addEventListener('resume', () => resume('resumed', ['frozen']));
+
+  // Back/forward cache: the page is restored without reloading
+  window.addEventListener('pagehide', (event) => {
+    if (event.persisted) pause('frozen');
+  });
+  window.addEventListener('pageshow', (event) => {
+    if (event.persisted) resume('restored from cache', ['hidden', 'frozen']);
+  });
+
+  window.addEventListener('offline', () => pause('offline'));
+  window.addEventListener('online', () => resume('online', ['offline']));
+
+  // Switching between wifi and cellular often kills the socket silently
+  navigator.connection?.addEventListener?.('change', () => resume('network changed', []));
+
+  if (document.visibilityState === 'hidden') pause('hidden');
+  if (navigator.onLine === false) pause('offline');
+}
@@ -1,3 +1,5 @@
+import { getLocale } from '../i18n.js';
+
 export function buildAuthUrl(gatewayUrl, authToken) {
   const sep = gatewayUrl.includes('?') ? '&' : '?';
   return `${gatewayUrl}${sep}token=${encodeURIComponent(authToken)}`;
@@ -8,33 +10,122 @@ export const CLIENT_MODE = 'webchat';
 export const ROLE = 'operator';
 export const SCOPES = ['operator.read', 'operator.write', 'operator.admin'];
 
-export function buildConnectRequest(authToken, device, nonce) {
+// Protocol versions this client can speak, offered as minProtocol/maxProtocol
+export const MIN_PROTOCOL = 3;
+export const MAX_PROTOCOL = 3;
+
+export const PROTOCOL_MISMATCH = 'PROTOCOL_MISMATCH';
+export const NOT_PAIRED = 'NOT_PAIRED';
+
+export function buildRequest(method, params = {}) {
   return {
     type: 'req',
     id: crypto.randomUUID(),
-    method: 'connect',
-    params: {
-      auth: { token: authToken },
-      role: ROLE,
-      scopes: SCOPES,
-      minProtocol: 3,
-      maxProtocol: 3,
-      caps: [],
-      commands: [],
-      permissions: {},
-      locale: navigator.language || 'en',
-      userAgent: 'agent-forge-streak/dev',
-      client: {
-        id: CLIENT_ID,
-        mode: CLIENT_MODE,
-        version: 'dev',
-        platform: navigator.platform || 'web',
-      },
-      device: device || undefined,
+    method,
+    params,
+  };
+}
+
+export function buildConnectRequest(authToken, device, nonce) {
+  return buildRequest('connect', {
+    auth: { token: authToken },
+    role: ROLE,
+    scopes: SCOPES,
+    minProtocol: MIN_PROTOCOL,
+    maxProtocol: MAX_PROTOCOL,
+    caps: [],
+    commands: [],
+    permissions: {},
+    // The UI language, so the agent can answer in it
+    locale: getLocale(),
+    userAgent: 'agent-forge-streak/dev',
+    client: {
+      id: CLIENT_ID,
+      mode: CLIENT_MODE,
+      version: 'dev',
+      platform: navigator.platform || 'web',
+    },
+    device: device || undefined,
+  });
+}
+
+export function isNotPairedError(error) {
+  return error?.code === NOT_PAIRED || (error?.message || '').includes('NOT_PAIRED');
+}
+
+/**
+ * Read what the gateway agreed to from its hello-ok payload:
+ *   { protocol, server, methods, events, policy }
+ * `methods` / `events` are null when the gateway does not advertise them,
+ * which means "assume everything". Gateways that omit `protocol` are taken
+ * to speak MIN_PROTOCOL, the only version older gateways accepted.
+ * Throws a PROTOCOL_MISMATCH error if the version is outside our range.
+ */
+export function negotiateHello(hello = {}) {
+  const protocol = Number.isInteger(hello.protocol) ? hello.protocol : MIN_PROTOCOL;
+  if (protocol < MIN_PROTOCOL || protocol > MAX_PROTOCOL) {
+    const { message, params } = describeProtocolMismatch({ minProtocol: protocol, maxProtocol: protocol });
+    const err = new Error(message);
+    err.code = PROTOCOL_MISMATCH;
+    err.params = params;
+    throw err;
+  }
+
+  const features = hello.features || {};
+  const policy = hello.policy || {};
+  return {
+    protocol,
+    server: hello.server?.version || null,
+    methods: Array.isArray(features.methods) ? [...features.methods] : null,
+    events: Array.isArray(features.events) ? [...features.events] : null,
+    policy: {
+      tickIntervalMs: positiveNumber(policy.tickIntervalMs),
+      maxPayload: positiveNumber(policy.maxPayload),
     },
   };
 }
 
+export function isProtocolMismatchError(error) {
+  return error?.code === PROTOCOL_MISMATCH || /protocol mismatch/i.test(error?.message || '');
+}
+
+/**
+ * Explain a failed negotiation as { message, params }: `params` fill in the
+ * PROTOCOL_MISMATCH strings (`variant` is 'gatewayTooOld', 'gatewayTooNew'
+ * or null), `message` is the English text for logs. `details` is the
+ * gateway's supported range ({ minProtocol, maxProtocol }) when it sent one;
+ * otherwise the version is fished out of `message`.
+ */
+export function describeProtocolMismatch(details, message = '') {
+  let min = details?.minProtocol ?? details?.protocol;
+  let max = details?.maxProtocol ?? details?.protocol;
+  if (!Number.isInteger(min) || !Number.isInteger(max)) {
+    const found = message.match(/protocol\D*(\d+)/i);
+    min = max = found ? Number(found[1]) : null;
+  }
+
+  const ours = MIN_PROTOCOL === MAX_PROTOCOL ? `${MAX_PROTOCOL}` : `${MIN_PROTOCOL}-${MAX_PROTOCOL}`;
+  const theirs = min === max ? `${max}` : `${min}-${max}`;
+  const params = { variant: null, gateway: theirs, app: ours };
+  if (max != null && max < MIN_PROTOCOL) {
+    return {
+      message: `Gateway is too old (protocol ${theirs}, this app needs ${ours}) - update OpenClaw on the server`,
+      params: { ...params, variant: 'gatewayTooOld' },
+    };
+  }
+  if (min != null && min > MAX_PROTOCOL) {
+    return {
+      message: `Gateway is too new (protocol ${theirs}, this app speaks ${ours}) - update the app`,
+      params: { ...params, variant: 'gatewayTooNew' },
+    };
+  }
+  return { message: `Gateway and app could not agree on a protocol version (app speaks ${ours})`, params };
+}
+
+function positiveNumber(value) {
+  return typeof value === 'number' && value > 0 ? value : null;
+}
+
 export function parseFrame(data) {
   try {
     return typeof data === 'string' ? JSON.parse(data) : data;
@@ -0,0 +1,127 @@
+/**
+ * Request/response correlation for gateway RPC frames.
+ *
+ * Every `req` frame carries an id; the gateway answers with a `res` frame
+ * bearing the same id. The tracker keeps a pending entry per id and settles
+ * it when the matching response arrives, the timeout fires, the caller aborts,
+ * or the socket goes away.
+ */
+
+export const DEFAULT_REQUEST_TIMEOUT = 15_000;
+
+// Error codes produced locally (as opposed to codes sent by the gateway)
+export const NOT_CONNECTED = 'NOT_CONNECTED';
+export const CLOSED = 'CLOSED';
+export const TIMEOUT = 'TIMEOUT';
+export const ABORTED = 'ABORTED';
+export const UNSUPPORTED = 'UNSUPPORTED'; // gateway did not advertise the method
+
+const TRANSPORT_CODES = new Set([NOT_CONNECTED, CLOSED, TIMEOUT]);
+
+/**
+ * `details` come from the gateway; `params` fill in the `errors.<code>`
+ * string the UI shows for local codes (see errorMessage in i18n.js).
+ */
+export class RequestError extends Error {
+  constructor(code, message, details = null, params = null) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.details = details;
+    this.params = params;
+  }
+}
+
+/**
+ * True when the request never got a verdict from the gateway (socket down,
+ * dropped mid-flight or timed out), so retrying it later is safe.
+ */
+export function isTransportError(err) {
+  return err instanceof RequestError && TRANSPORT_CODES.has(err.code);
+}
+
+/**
+ * Create a tracker bound to a frame sender. `sendFrame(frame)` must return
+ * true when the frame was handed to an open socket.
+ */
+export function createRequestTracker(sendFrame) {
+  const pending = new Map();
+
+  function finish(id) {
+    const entry = pending.get(id);
+    if (!entry) return null;
+    pending.delete(id);
+    clearTimeout(entry.timer);
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    return entry;
+  }
+
+  return {
+    /**
+     * Send a prebuilt request frame and resolve with the response payload.
+     */
+    call(frame, { timeout = DEFAULT_REQUEST_TIMEOUT, signal } = {}) {
+      if (signal?.aborted) {
+        return Promise.reject(new RequestError(ABORTED, `${frame.method} aborted`));
+      }
+
+      return new Promise((resolve, reject) => {
+        const entry = { method: frame.method, resolve, reject, signal, timer: null, onAbort: null };
+
+        if (timeout > 0) {
+          entry.timer = setTimeout(() => {
+            finish(frame.id);
+            reject(new RequestError(TIMEOUT, `${frame.method} timed out after ${timeout}ms`));
+          }, timeout);
+        }
+
+        if (signal) {
+          entry.onAbort = () => {
+            finish(frame.id);
+            reject(new RequestError(ABORTED, `${frame.method} aborted`));
+          };
+          signal.addEventListener('abort', entry.onAbort, { once: true });
+        }
+
+        pending.set(frame.id, entry);
+
+        if (!sendFrame(frame)) {
+          finish(frame.id);
+          reject(new RequestError(NOT_CONNECTED, 'Not connected'));
+        }
+      });
+    },
+
+    /**
+     * Settle the pending request matching a `res` frame.
+     * Returns false if the frame does not belong to any tracked request.
+     */
+    settle(frame) {
+      if (frame?.type !== 'res') return false;
+      const entry = finish(frame.id);
+      if (!entry) return false;
+
+      if (frame.ok !== false && !frame.error) {
+        entry.resolve(frame.payload ?? {});
+      } else {
+        const code = frame.error?.code || 'REJECTED';
+        const message = frame.error?.message || `${entry.method} rejected`;
+        entry.reject(new RequestError(code, message, frame.error?.details ?? null));
+      }
+      return true;
+    },
+
+    /**
+     * Reject everything still in flight, e.g. when the socket closes.
+     */
+    rejectAll(message = 'Connection closed') {
+      for (const id of [...pending.keys()]) {
+        finish(id).reject(new RequestError(CLOSED, message));
+      }
+    },
+
+    get size() {
+      return pending.size;
+    },
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Gateway connection state machine.
+ *
+ *   DISCONNECTED  idle; `error` says why if a connect failed for good
+ *   CONNECTING    opening the socket (token decrypted, identity loaded)
+ *   LOCKED        the saved token needs its PIN before we can connect
+ *   HANDSHAKING   signed `connect` request sent, waiting for hello-ok
+ *   PAIRING       gateway answered NOT_PAIRED; waiting for approval
+ *   CONNECTED     authenticated, requests allowed
+ *   RECONNECTING  socket lost; a retry is scheduled (`attempt`, `nextRetryAt`),
+ *                 or on hold while paused (`nextRetryAt` null)
+ *
+ * `connect` (→ CONNECTING) and `disconnect` (→ DISCONNECTED) are allowed from
+ * any state; everything else has to follow TRANSITIONS. The snapshot
+ * published to the store is
+ *   { state, since, error, deviceId, attempt, nextRetryAt }
+ * where `error` comes from connectionError() or is null.
+ */
+
+export const DISCONNECTED = 'DISCONNECTED';
+export const LOCKED = 'LOCKED';
+export const CONNECTING = 'CONNECTING';
+export const HANDSHAKING = 'HANDSHAKING';
+export const PAIRING = 'PAIRING';
+export const CONNECTED = 'CONNECTED';
+export const RECONNECTING = 'RECONNECTING';
+
+const TRANSITIONS = {
+  [DISCONNECTED]: [],
+  [LOCKED]: [],
+  [CONNECTING]: [HANDSHAKING, LOCKED, RECONNECTING],
+  [HANDSHAKING]: [CONNECTED, PAIRING, RECONNECTING],
+  [PAIRING]: [RECONNECTING],
+  [CONNECTED]: [RECONNECTING],
+  // Re-entered when a scheduled retry is paused (app hidden or offline)
+  [RECONNECTING]: [RECONNECTING],
+};
+
+// connect() and disconnect() may interrupt whatever is going on
+const ALWAYS_ALLOWED = [CONNECTING, DISCONNECTED];
+
+const LOG_SIZE = 50;
+
+export const INITIAL_CONNECTION = {
+  state: DISCONNECTED,
+  since: null,
+  error: null,
+  deviceId: null,
+  attempt: 0,
+  nextRetryAt: null,
+};
+
+/**
+ * Error info attached to a transition.
+ * `retryable` marks failures the client recovers from on its own; `params`
+ * fill in the `errors.<code>` string shown for it (`message` is for logs).
+ */
+export function connectionError(code, message, { retryable = false, details = null, params = null } = {}) {
+  return { code, message, retryable, details, params, at: Date.now() };
+}
+
+export function canTransition(from, to) {
+  return ALWAYS_ALLOWED.includes(to) || TRANSITIONS[from].includes(to);
+}
+
+/**
+ * @param {{ onChange: (snapshot: object) => void }} options
+ */
+export function createConnectionMachine({ onChange }) {
+  let current = { ...INITIAL_CONNECTION, since: Date.now() };
+  const log = [];
+
+  return {
+    get current() {
+      return current;
+    },
+
+    /** Recent transitions, oldest first. */
+    get log() {
+      return [...log];
+    },
+
+    /**
+     * Move to `to`. Context fields not given are reset (error, deviceId,
+     * nextRetryAt) or carried over (attempt). Returns false, leaving the
+     * state alone, if the transition is not allowed.
+     */
+    transition(to, { reason = '', error = null, deviceId = null, attempt = current.attempt, nextRetryAt = null } = {}) {
+      const from = current.state;
+      if (!canTransition(from, to)) {
+        console.warn(`[gateway] ignoring transition ${from} → ${to} (${reason})`);
+        return false;
+      }
+
+      const at = Date.now();
+      log.push({ from, to, at, reason, error });
+      if (log.length > LOG_SIZE) log.shift();
+
+      current = {
+        state: to,
+        since: from === to ? current.since : at,
+        error,
+        deviceId,
+        attempt,
+        nextRetryAt,
+      };
+      onChange(current);
+      return true;
+    },
+  };
+}
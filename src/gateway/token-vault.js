@@ -0,0 +1,169 @@
+/**
+ * Auth tokens at rest.
+ *
+ * Tokens are stored in settings/profiles as an envelope encrypted with a
+ * non-extractable AES-GCM key that lives in the device database, so the
+ * localStorage copy is useless on its own. A token can additionally be
+ * wrapped with a key derived from a user PIN; it then stays locked until the
+ * PIN is entered, and the derived key is only kept in memory.
+ *
+ * Envelope: { v: 1, iv, data, pin: { salt, iterations, iv } | null }
+ * Plain strings are still accepted (pre-encryption state) and passed through;
+ * migratePlaintextTokens() in profiles.js encrypts them.
+ */
+
+import { getDeviceSecret, putDeviceSecret } from './device-identity.js';
+
+const TOKEN_KEY = 'tokenKey';
+const ENVELOPE_VERSION = 1;
+const PIN_ITERATIONS = 310_000;
+
+export const TOKEN_LOCKED = 'TOKEN_LOCKED';
+
+export class TokenLockedError extends Error {
+  constructor() {
+    super('Auth token is locked - enter your PIN');
+    this.name = 'TokenLockedError';
+    this.code = TOKEN_LOCKED;
+  }
+}
+
+// PIN-derived keys for this session, by envelope salt
+const unlockedKeys = new Map();
+let deviceKeyPromise = null;
+
+// ── Encoding helpers ───────────────────────────────────────────────
+
+function bufToBase64(buf) {
+  let binary = '';
+  for (const b of new Uint8Array(buf)) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+function base64ToBuf(str) {
+  return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+}
+
+// ── Keys ───────────────────────────────────────────────────────────
+
+function getDeviceKey() {
+  if (!deviceKeyPromise) {
+    deviceKeyPromise = (async () => {
+      const stored = await getDeviceSecret(TOKEN_KEY);
+      if (stored) return stored;
+      const key = await crypto.subtle.generateKey(
+        { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'],
+      );
+      await putDeviceSecret(TOKEN_KEY, key);
+      return key;
+    })();
+    deviceKeyPromise.catch(() => { deviceKeyPromise = null; });
+  }
+  return deviceKeyPromise;
+}
+
+async function derivePinKey(pin, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+async function seal(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+  return { iv: bufToBase64(iv), data };
+}
+
+function open(key, iv, data) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBuf(iv) }, key, data);
+}
+
+// ── Public API ─────────────────────────────────────────────────────
+
+export function isEncryptedToken(value) {
+  return value !== null && typeof value === 'object' && value.v === ENVELOPE_VERSION;
+}
+
+export function hasToken(value) {
+  return isEncryptedToken(value) || (typeof value === 'string' && value !== '');
+}
+
+export function isPinProtected(value) {
+  return isEncryptedToken(value) && value.pin !== null;
+}
+
+/**
+ * True while a PIN-protected token has not been unlocked this session.
+ */
+export function isTokenLocked(value) {
+  return isPinProtected(value) && !unlockedKeys.has(value.pin.salt);
+}
+
+/**
+ * Encrypt a token for storage, optionally wrapped with a PIN first.
+ * Empty tokens stay empty.
+ */
+export async function encryptToken(token, { pin = '' } = {}) {
+  if (!token) return '';
+
+  let bytes = new TextEncoder().encode(token);
+  let pinParams = null;
+  if (pin) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const pinKey = await derivePinKey(pin, salt, PIN_ITERATIONS);
+    const wrapped = await seal(pinKey, bytes);
+    pinParams = { salt: bufToBase64(salt), iterations: PIN_ITERATIONS, iv: wrapped.iv };
+    unlockedKeys.set(pinParams.salt, pinKey);
+    bytes = wrapped.data;
+  }
+
+  const sealed = await seal(await getDeviceKey(), bytes);
+  return { v: ENVELOPE_VERSION, iv: sealed.iv, data: bufToBase64(sealed.data), pin: pinParams };
+}
+
+/**
+ * Recover the plain token. Throws TokenLockedError if a PIN is needed.
+ */
+export async function decryptToken(value) {
+  if (!isEncryptedToken(value)) return value || '';
+
+  let bytes = await open(await getDeviceKey(), value.iv, base64ToBuf(value.data));
+  if (value.pin) {
+    const pinKey = unlockedKeys.get(value.pin.salt);
+    if (!pinKey) throw new TokenLockedError();
+    bytes = await open(pinKey, value.pin.iv, bytes);
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Try a PIN against a protected token; on success it stays unlocked for
+ * the rest of the session. Returns false for a wrong PIN.
+ */
+export async function unlockToken(value, pin) {
+  if (!isPinProtected(value)) return true;
+
+  const pinKey = await derivePinKey(pin, base64ToBuf(value.pin.salt), value.pin.iterations);
+  try {
+    const inner = await open(await getDeviceKey(), value.iv, base64ToBuf(value.data));
+    await open(pinKey, value.pin.iv, inner);
+  } catch {
+    return false;
+  }
+  unlockedKeys.set(value.pin.salt, pinKey);
+  return true;
+}
+
+/**
+ * Forget every unlocked PIN key.
+ */
+export function lockTokens() {
+  unlockedKeys.clear();
+}
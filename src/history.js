@@ -0,0 +1,66 @@
+/**
+ * Daily archive of parsed quest lists.
+ *
+ * Every change to `tasks` is written to IndexedDB under the local calendar
+ * date the list was loaded for, so past days survive the next agent reply.
+ */
+
+import { store } from './store.js';
+import { dbGet, dbGetAll, dbPut } from './db.js';
+
+const STORE_NAME = 'history';
+
+/**
+ * Local YYYY-MM-DD for a date (toISOString would give the UTC day).
+ */
+export function localDateKey(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+/** Local midnight of a YYYY-MM-DD day key. */
+export function dateFromKey(key) {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export async function archiveDay(tasks) {
+  if (!tasks.date || tasks.items.length === 0) return;
+
+  await dbPut(STORE_NAME, {
+    date: tasks.date,
+    day: tasks.day,
+    stats: { ...tasks.stats },
+    items: tasks.items.map((item) => ({ ...item })),
+    archivedAt: Date.now(),
+  });
+}
+
+/**
+ * All archived days, newest first.
+ */
+export async function listDays() {
+  const days = await dbGetAll(STORE_NAME);
+  return days.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+export function getDay(date) {
+  return dbGet(STORE_NAME, date);
+}
+
+/**
+ * Keep the archive in step with the store.
+ */
+export function startHistoryArchive() {
+  let lastTasks = store.get().tasks;
+
+  store.subscribe((state) => {
+    if (state.tasks === lastTasks) return;
+    lastTasks = state.tasks;
+    archiveDay(state.tasks).catch((err) => {
+      console.warn('[history] failed to archive day', err);
+    });
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * UI translations and locale-aware formatting.
+ *
+ * Strings live in per-language catalogs (src/locales/) under dotted keys;
+ * `t(key, params)` looks one up in the active language, falls back to
+ * English and fills in `{name}` placeholders. A catalog entry can be a
+ * { one, other, ... } object, picked with Intl.PluralRules by `params.count`.
+ *
+ * `settings.locale` is 'auto' (follow the browser) or a bundled language.
+ * Numbers and dates are formatted for the full browser locale when it
+ * matches the language (en-GB keeps its date order), else the language.
+ */
+
+import { messages as en } from './locales/en.js';
+import { messages as de } from './locales/de.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Bundled languages, by their own name for the language picker
+export const LANGUAGES = {
+  en: 'English',
+  de: 'Deutsch',
+};
+
+const CATALOGS = { en, de };
+
+let current = resolveLocale('auto');
+
+function browserLocales() {
+  if (typeof navigator === 'undefined') return [];
+  return navigator.languages?.length ? navigator.languages : [navigator.language];
+}
+
+function languageOf(tag) {
+  return String(tag || '').toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Work out { language, locale } for a preference: 'auto' takes the first
+ * browser locale we have a catalog for, a language code is used as is.
+ */
+export function resolveLocale(preference = 'auto', browser = browserLocales()) {
+  if (preference && preference !== 'auto' && CATALOGS[languageOf(preference)]) {
+    const language = languageOf(preference);
+    const locale = browser.find((tag) => languageOf(tag) === language) || language;
+    return { language, locale };
+  }
+
+  for (const tag of browser) {
+    if (CATALOGS[languageOf(tag)]) return { language: languageOf(tag), locale: tag };
+  }
+  return { language: DEFAULT_LANGUAGE, locale: browser[0] || DEFAULT_LANGUAGE };
+}
+
+/**
+ * Switch the UI language. Views pick it up on their next render.
+ */
+export function setLocale(preference) {
+  current = resolveLocale(preference);
+  if (typeof document !== 'undefined') document.documentElement.lang = current.language;
+  return current;
+}
+
+/** BCP 47 tag used for formatting and sent to the gateway. */
+export function getLocale() {
+  return current.locale;
+}
+
+export function getLanguage() {
+  return current.language;
+}
+
+/**
+ * Translate `key`. Unknown keys come back as the key itself, so a missing
+ * string shows up in the UI instead of an empty label.
+ */
+export function t(key, params = {}) {
+  let message = CATALOGS[current.language][key] ?? en[key];
+  if (message == null) {
+    console.warn(`[i18n] missing string "${key}"`);
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(current.locale).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+function hasString(key) {
+  return (CATALOGS[current.language][key] ?? en[key]) != null;
+}
+
+/**
+ * The text to show for an error. Errors from our own modules carry a
+ * stable `code` and `params`, shown as `errors.<code>` (or the more
+ * specific `errors.<code>.<params.variant>`); anything the catalogs have
+ * no string for, such as most gateway rejections, shows its own message.
+ */
+export function errorMessage(err) {
+  const params = err?.params ?? {};
+  const keys = [`errors.${err?.code}`];
+  if (params.variant) keys.unshift(`errors.${err?.code}.${params.variant}`);
+  const key = err?.code ? keys.find(hasString) : null;
+  return key ? t(key, params) : err?.message || String(err);
+}
+
+// ── Formatting ─────────────────────────────────────────────────────
+
+export function formatNumber(value, options) {
+  return new Intl.NumberFormat(current.locale, options).format(value);
+}
+
+export function formatDate(date, options) {
+  return new Date(date).toLocaleDateString(current.locale, options);
+}
+
+export function formatTime(date, options) {
+  return new Date(date).toLocaleTimeString(current.locale, options);
+}
+
+export function formatDateTime(date, options) {
+  return new Date(date).toLocaleString(current.locale, options);
+}
@@ -0,0 +1,94 @@
+/**
+ * Profile databases in IndexedDB, addressed by explicit profile id.
+ *
+ * This is the part of db.js that doesn't touch the app store, so the service
+ * worker (see sw.js) can read and update the outbox with it. App code should
+ * use db.js, which fills in the active profile.
+ *
+ * Each profile gets its own database so history and outbox never mix
+ * between agents; the default profile keeps the original name.
+ * Object stores are declared in STORES; bump DB_VERSION when adding one.
+ */
+
+const DB_NAME = 'forge_data';
+const DB_VERSION = 3;
+
+// Same value as DEFAULT_PROFILE_ID in store.js, which can't be loaded here
+const DEFAULT_PROFILE = 'default';
+
+const STORES = {
+  history: { keyPath: 'date' },
+  outbox: { keyPath: 'idempotencyKey' },
+  achievements: { keyPath: 'id' },
+};
+
+const connections = new Map();
+
+// ── Connection ─────────────────────────────────────────────────────
+
+function dbNameFor(profileId) {
+  return profileId === DEFAULT_PROFILE ? DB_NAME : `${DB_NAME}:${profileId}`;
+}
+
+export function openProfileDB(profileId) {
+  const name = dbNameFor(profileId);
+  if (connections.has(name)) return connections.get(name);
+
+  const dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(name, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [name, options] of Object.entries(STORES)) {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, options);
+        }
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another tab upgraded the schema — drop our handle and reopen lazily
+      db.onversionchange = () => {
+        db.close();
+        connections.delete(name);
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      connections.delete(name);
+      reject(req.error);
+    };
+  });
+
+  connections.set(name, dbPromise);
+  return dbPromise;
+}
+
+/**
+ * Drop a profile's database entirely.
+ */
+export async function deleteProfileDB(profileId) {
+  const name = dbNameFor(profileId);
+  const open = connections.get(name);
+  connections.delete(name);
+  if (open) (await open.catch(() => null))?.close();
+
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.deleteDatabase(name);
+    req.onsuccess = () => resolve();
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Run `fn(objectStore)` in a transaction and resolve with the result of the
+ * request it returns, once the transaction has committed.
+ */
+export function runInProfile(profileId, storeName, mode, fn) {
+  return openProfileDB(profileId).then((db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  }));
+}
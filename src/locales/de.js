@@ -0,0 +1,355 @@
+/**
+ * German UI strings. Keys missing here fall back to English (en.js).
+ */
+
+export const messages = {
+  // ── App ──────────────────────────────────────────────────────────
+  'app.online': 'Wieder online',
+  'app.offline': 'Offline - Aufgaben sind lokal gespeichert',
+  'common.back': 'Zurück',
+
+  // ── Header ───────────────────────────────────────────────────────
+  'header.connection': 'Verbindungsstatus',
+  'header.profile': 'Profil',
+  'header.outbox': 'Postausgang',
+  'header.chat': 'Chat',
+  'header.stats': 'Statistik',
+  'header.history': 'Verlauf',
+  'header.settings': 'Einstellungen',
+
+  // ── Connection status ────────────────────────────────────────────
+  'status.label': 'Verbindung: {status}. Diagnose öffnen',
+  'status.connected': 'Verbunden',
+  'status.connectedLatency': 'Verbunden - {ms} ms Antwortzeit ({quality})',
+  'status.quality.good': 'gut',
+  'status.quality.fair': 'mittel',
+  'status.quality.poor': 'schlecht',
+  'status.connecting': 'Verbinde...',
+  'status.reconnecting': 'Verbinde erneut (Versuch {attempt})... {error}',
+  'status.reconnectPaused': 'Verbindung verloren - wird wiederhergestellt, sobald die App wieder genutzt wird',
+  'status.pairing': 'Warte auf Freigabe des Geräts...',
+  'status.locked': 'Gesperrt - PIN eingeben',
+  'status.disconnected': 'Getrennt',
+
+  // ── Stats bar ────────────────────────────────────────────────────
+  'stats.day': 'Tag {day}',
+  'stats.streak': 'Serie',
+  'stats.hearts': 'Herzen',
+  'stats.xp': 'XP',
+  'stats.level': 'Level',
+  'stats.levelValue': 'Lv.{level}',
+
+  // ── Main screen ──────────────────────────────────────────────────
+  'tasks.fetching': 'Lade die heutigen Aufgaben...',
+  'tasks.notPaired': 'Gerät noch nicht gekoppelt.',
+  'tasks.runOnVm': 'Auf deiner VM ausführen:',
+  'tasks.device': 'Gerät: {id}...',
+  'tasks.fullFingerprint': 'vollständiger Fingerabdruck',
+  'tasks.waitingApproval': 'Warte auf Freigabe...',
+  'tasks.protocolMismatch': 'Dieses Gateway wird nicht unterstützt.',
+  'tasks.details': 'Details',
+  'tasks.connecting': 'Verbinde mit dem Gateway...',
+  'tasks.empty': 'Noch keine Aufgaben geladen.',
+  'tasks.configure': 'Gateway einrichten',
+  'tasks.unlockPrompt': 'PIN eingeben, um zu verbinden',
+  'tasks.unlock': 'Entsperren',
+  'tasks.wrongPin': 'Falsche PIN',
+  'tasks.heading': 'Heutige Quests',
+  'tasks.headingFor': 'Quests für {date}',
+  'tasks.sortLabel': 'Quests sortieren',
+  'tasks.sort.agent': 'Reihenfolge des Agenten',
+  'tasks.sort.priority': 'Priorität',
+  'tasks.sort.due': 'Fälligkeit',
+  'tasks.sort.xp': 'XP-Belohnung',
+  'tasks.staleBanner': 'Neuer Tag - lade die heutigen Quests...',
+  'tasks.refresh': 'Aktualisieren',
+  'tasks.refreshOffline': 'Nicht verbunden - die Quests werden aktualisiert, sobald das Gateway zurück ist',
+  'tasks.staleQuest': 'Diese Quest ist von einem früheren Tag - warte auf die heutige Liste',
+  'tasks.longPressHint': 'Lange drücken, um wieder zu öffnen',
+  'tasks.waitingToSend': '(wartet auf Versand)',
+  'tasks.highPriority': 'Hohe Priorität',
+  'tasks.due': 'Fällig',
+  'tasks.overdue': 'Überfällig, war fällig',
+  'tasks.xpReward': '+{xp} XP',
+
+  // ── Completing and reopening ─────────────────────────────────────
+  'tasks.undo': 'Rückgängig',
+  'tasks.completed': 'Quest erledigt',
+  'tasks.completeQueued': 'In der Warteschlange - wird gesendet, sobald verbunden',
+  'tasks.completeRejected': 'Agent hat das Erledigen abgelehnt: {error}',
+  'tasks.completedOffline': 'Offline gespeichert - wird synchronisiert, sobald verbunden',
+  'tasks.reopened': 'Quest wieder geöffnet',
+  'tasks.reopenQueued': 'Wiederöffnen in der Warteschlange - wird gesendet, sobald verbunden',
+  'tasks.reopenRejected': 'Agent hat das Wiederöffnen abgelehnt: {error}',
+  'tasks.reopenedOffline': 'Offline wieder geöffnet - wird synchronisiert, sobald verbunden',
+  'tasks.agentError': 'Fehler beim Agenten: {error}',
+  'tasks.agentErrorUnknown': 'Antwort fehlgeschlagen',
+  'tasks.fetchFailed': 'Aufgaben konnten nicht geladen werden: {error}',
+
+  // ── Adding quests ────────────────────────────────────────────────
+  'tasks.add': 'Hinzufügen',
+  'tasks.addLabel': 'Neue Quest',
+  'tasks.addPlaceholder': 'Quest hinzufügen, z. B. Bank anrufen #büro bis 16:00',
+  'tasks.addSent': 'Quest an den Agenten gesendet',
+  'tasks.addQueued': 'Quest in der Warteschlange - wird gesendet, sobald verbunden',
+  'tasks.addedOffline': 'Quest offline gespeichert - wird gesendet, sobald verbunden',
+  'tasks.addRejected': 'Agent hat die Quest abgelehnt: {error}',
+  'tasks.addWaitingStatus': 'wartet auf den Agenten',
+  'tasks.addQueuedStatus': 'wartet auf Versand',
+  'tasks.removeProvisional': '"{text}" entfernen',
+  'tasks.removedProvisional': 'Quest entfernt',
+  'tasks.removedAfterSend': 'Hier entfernt - der Agent hat sie bereits und fügt sie eventuell noch hinzu',
+
+  // ── Focus timer ──────────────────────────────────────────────────
+  'focus.start': 'Fokuszeit für "{text}" starten',
+  'focus.stop': 'Fokuszeit für "{text}" beenden',
+  'focus.started': '{minutes} Min. Fokus - los geht\'s!',
+  'focus.stopped': 'Fokuszeit beendet - {minutes} Min. erfasst',
+  'focus.finished': 'Fokuszeit vorbei: {text}',
+  'focus.doneTitle': 'Fokuszeit vorbei',
+  'focus.doneBody': '{minutes} Min. an "{text}". Zeit für eine Pause!',
+  'focus.remaining': 'Verbleibende Fokuszeit',
+  'focus.tracked': '{minutes} Min. fokussiert',
+
+  // ── Settings ─────────────────────────────────────────────────────
+  'settings.title': 'Einstellungen',
+  'settings.profile': 'Profil',
+  'settings.newProfile': '+ Neu',
+  'settings.deleteProfile': 'Löschen',
+  'settings.profileName': 'Profilname',
+  'settings.profileNamePlaceholder': 'Arbeit',
+  'settings.gatewayUrl': 'Gateway-URL',
+  'settings.authToken': 'Auth-Token',
+  'settings.tokenSaved': 'Gespeichert (verschlüsselt) - leer lassen, um es zu behalten',
+  'settings.tokenPlaceholder': 'Auth-Token eingeben',
+  'settings.requirePin': 'Vor dem Verbinden eine PIN verlangen',
+  'settings.newPin': 'Neue PIN (leer lassen, um sie zu behalten)',
+  'settings.pin': 'PIN',
+  'settings.agentId': 'Agent-ID',
+  'settings.dayStart': 'Neuer Tag beginnt um',
+  'settings.dayStartMidnight': 'Mitternacht',
+  'settings.dayStartHint': 'Nachteule? Behalte die heutigen Quests bis zu einer späteren Stunde.',
+  'settings.focusLength': 'Länge einer Fokuszeit',
+  'settings.focusMinutes': '{minutes} Minuten',
+  'settings.language': 'Sprache',
+  'settings.languageAuto': 'Wie im Browser',
+  'settings.reminders': 'Erinnerungen',
+  'settings.remindersEnabled': 'An offene Quests erinnern',
+  'settings.checkInTime': 'Uhrzeit für den Check-in',
+  'settings.streakWarning': 'Vor Tagesende warnen, wenn meine Serie in Gefahr ist',
+  'settings.newQuestsNotify': 'Benachrichtigen, wenn im Hintergrund neue Quests eintreffen',
+  'settings.notificationsUnsupported': 'Benachrichtigungen werden in diesem Browser nicht unterstützt.',
+  'settings.test': 'Testen',
+  'settings.testing': 'Teste...',
+  'settings.save': 'Speichern',
+  'settings.device': 'Gerät',
+  'settings.data': 'Daten',
+  'settings.dataHint': 'Sichere Quests, Postausgang, Verlauf und Abzeichen aller Profile oder stelle sie aus einer Sicherung wieder her. Beim Import wird mit den vorhandenen Daten zusammengeführt.',
+  'settings.includeSecrets': 'Auth-Tokens in die Sicherung aufnehmen',
+  'settings.exportBackup': 'Sicherung exportieren',
+  'settings.importBackup': 'Sicherung importieren',
+  'settings.exportCsv': 'Verlauf exportieren (CSV)',
+  'settings.diagnostics': 'Verbindungsdiagnose',
+  'settings.switchedProfile': 'Zu {name} gewechselt',
+  'settings.defaultProfileName': 'Profil {number}',
+  'settings.confirmDelete': 'Profil "{name}" mit Verlauf und Postausgang löschen?',
+  'settings.deletedProfile': '{name} gelöscht',
+  'settings.saved': 'Einstellungen gespeichert',
+  'settings.pinRequired': 'Wähle eine PIN, um das Token zu schützen',
+  'settings.pinTooShort': 'Die PIN braucht mindestens {min} Zeichen',
+  'settings.tokenLocked': 'Entsperre das Token zuerst auf dem Hauptbildschirm oder gib es erneut ein',
+  'settings.notificationsBlocked': 'Benachrichtigungen sind blockiert - Erinnerungen bleiben aus',
+  'settings.backupExportedSecrets': 'Sicherung exportiert - sie enthält deine Tokens',
+  'settings.backupExported': 'Sicherung exportiert',
+  'settings.exportFailed': 'Export fehlgeschlagen: {error}',
+  'settings.invalidJson': 'Diese Datei ist kein gültiges JSON',
+  'settings.imported': '{profiles} und {records} importiert',
+  'settings.importedProfiles': { one: '{count} neues Profil', other: '{count} neue Profile' },
+  'settings.importedRecords': { one: '{count} Eintrag', other: '{count} Einträge' },
+  'settings.urlAndTokenRequired': 'URL und Token sind erforderlich',
+  'settings.testOk': 'Erfolgreich verbunden!',
+  'settings.testFailed': 'Fehlgeschlagen: {error}',
+  'settings.testError': 'Fehler: {error}',
+
+  // ── History ──────────────────────────────────────────────────────
+  'history.title': 'Verlauf',
+  'history.loadFailed': 'Der Verlauf konnte nicht geladen werden.',
+  'history.empty': 'Noch keine Tage archiviert.',
+  'history.emptyHint': 'Die Quests jedes Tages werden hier gespeichert, sobald der Agent sie schickt.',
+  'history.dayMissing': 'Für diesen Tag ist nichts archiviert.',
+  'history.backToList': 'Zurück zum Verlauf',
+  'history.quests': 'Quests',
+
+  // ── Stats and charts ─────────────────────────────────────────────
+  'trends.title': 'Statistik',
+  'trends.trophies': 'Trophäen',
+  'trends.loadFailed': 'Die Statistik konnte nicht geladen werden.',
+  'trends.level': 'Level {level}',
+  'trends.toNextLevel': '~{xp} XP bis Lv.{level}',
+  'trends.questsCompleted': 'Erledigte Quests',
+  'trends.less': 'Weniger',
+  'trends.more': 'Mehr',
+  'charts.heatmapLabel': 'Erledigte Quests pro Tag',
+  'charts.heatCell': { one: '{date}: {count} Quest', other: '{date}: {count} Quests' },
+  'charts.notEnoughData': 'Noch nicht genug Daten.',
+
+  // ── Trophies and celebrations ────────────────────────────────────
+  'trophies.title': 'Trophäen',
+  'trophies.loadFailed': 'Die Trophäen konnten nicht geladen werden.',
+  'trophies.earned': 'Erhalten am {date}',
+  'trophies.locked': 'Gesperrt',
+  'trophies.summary': '{earned} von {total} freigeschaltet',
+  'achievements.streak.title': '{days}-Tage-Serie',
+  'achievements.streak.description': 'Die Serie {days} Tage lang gehalten.',
+  'achievements.level.title': 'Level {level}',
+  'achievements.level.description': 'Level {level} erreicht.',
+  'achievements.perfectDay.title': 'Perfekter Tag',
+  'achievements.perfectDay.description': 'Alle Quests des Tages erledigt.',
+  'achievements.perfectWeek.title': 'Perfekte Woche',
+  'achievements.perfectWeek.description': '{days} Tage in Folge alle Quests erledigt.',
+  'celebration.levelUpTitle': 'Level {level}!',
+  'celebration.levelUp': 'Du bist aufgestiegen.',
+  'celebration.milestone': 'Meilenstein!',
+  'celebration.newBadge': 'Neues Abzeichen freigeschaltet',
+
+  // ── Chat ─────────────────────────────────────────────────────────
+  'chat.title': 'Chat',
+  'chat.quick.reshuffle': 'Quests neu mischen',
+  'chat.quick.sick': 'Ich bin heute krank',
+  'chat.quick.easier': 'Leichtere Quests',
+  'chat.quick.showTasks': 'Heutige Aufgaben zeigen',
+  'chat.placeholder': 'Nachricht an deinen Agenten...',
+  'chat.send': 'Senden',
+  'chat.empty': 'Noch keine Nachrichten.',
+  'chat.offline': 'Verbinde dich mit dem Gateway, um zu chatten.',
+  'chat.sending': 'Sende...',
+  'chat.notSent': 'Nicht gesendet',
+  'chat.notSentError': 'Nicht gesendet: {error}',
+  'chat.replyStopped': '(Antwort abgebrochen)',
+  'chat.replyError': '(Fehler: {error})',
+
+  // ── Outbox ───────────────────────────────────────────────────────
+  'outbox.title': 'Postausgang',
+  'outbox.empty': 'Der Postausgang ist leer.',
+  'outbox.emptyHint': 'Alles ist beim Agenten angekommen.',
+  'outbox.waiting': 'Wartet auf Versand',
+  'outbox.failed': 'Fehlgeschlagen',
+  'outbox.queuedAt': 'Eingereiht {time}',
+  'outbox.attempts': { one: '{count} Versuch', other: '{count} Versuche' },
+  'outbox.nextTry': 'nächster Versuch {time}',
+  'outbox.retry': 'Erneut senden',
+  'outbox.discard': 'Verwerfen',
+  'outbox.retrying': 'Wird erneut gesendet...',
+  'outbox.discarded': 'Nachricht verworfen',
+  'outbox.error': 'Fehler im Postausgang: {error}',
+  'sync.sentInBackground': {
+    one: '{count} wartende Änderung im Hintergrund gesendet',
+    other: '{count} wartende Änderungen im Hintergrund gesendet',
+  },
+
+  // ── Diagnostics ──────────────────────────────────────────────────
+  'diagnostics.title': 'Diagnose',
+  'diagnostics.reconnect': 'Jetzt neu verbinden',
+  'diagnostics.copyReport': 'Bericht kopieren',
+  'diagnostics.copied': 'Diagnose kopiert',
+  'diagnostics.copyFailed': 'Kopieren fehlgeschlagen',
+  'diagnostics.noGateway': 'Kein Gateway eingerichtet',
+  'diagnostics.transitions': 'Zustandswechsel',
+  'diagnostics.frames': 'Letzte Frames',
+  'diagnostics.noTransitions': 'Noch nichts.',
+  'diagnostics.noFrames': 'Keine Frames seit dem Start der App.',
+  'diagnostics.state': 'Zustand',
+  'diagnostics.stateSince': '{state} seit {age}',
+  'diagnostics.gateway': 'Gateway',
+  'diagnostics.attempts': 'Verbindungsversuche',
+  'diagnostics.nextRetry': 'Nächster Versuch',
+  'diagnostics.nextRetryIn': 'in {time}',
+  'diagnostics.retryPaused': 'pausiert, solange die App verborgen oder offline ist',
+  'diagnostics.latency': 'Latenz',
+  'diagnostics.latencyValue': '{average} ms im Schnitt · zuletzt {rtt} ms',
+  'diagnostics.pendingRequests': 'Offene Anfragen',
+  'diagnostics.protocol': 'Protokoll',
+  'diagnostics.server': 'Gateway {server}',
+  'diagnostics.tickInterval': 'Tick-Intervall',
+  'diagnostics.default': 'Standard',
+  'diagnostics.methods': 'Methoden',
+  'diagnostics.notAdvertised': 'nicht angegeben',
+  'diagnostics.awaitingApproval': 'Wartet auf Freigabe von',
+  'diagnostics.lastError': 'Letzter Fehler',
+  'diagnostics.retrying': 'wird wiederholt',
+
+  // ── Device identity ──────────────────────────────────────────────
+  'device.unavailable': 'Die Geräteidentität ist in diesem Browser nicht verfügbar.',
+  'device.intro': 'Das Gateway gibt diesen Schlüssel einmal mit {command} frei. Nach dem Erneuern oder Löschen muss er wieder freigegeben werden.',
+  'device.fingerprint': 'Fingerabdruck des Geräts',
+  'device.fingerprintQr': 'QR-Code des Geräte-Fingerabdrucks',
+  'device.created': 'Erstellt am {date}',
+  'device.createdUnknown': 'Erstellt, bevor die App das Datum erfasst hat',
+  'device.copy': 'Kopieren',
+  'device.qr': 'QR',
+  'device.rotate': 'Schlüssel erneuern',
+  'device.delete': 'Schlüssel löschen',
+  'device.passphrase': 'Passphrase für die Sicherung',
+  'device.passphrasePlaceholder': 'Mindestens {min} Zeichen',
+  'device.export': 'Schlüssel exportieren',
+  'device.import': 'Schlüssel importieren',
+  'device.copied': 'Fingerabdruck kopiert',
+  'device.copyFailed': 'Kopieren fehlgeschlagen - markiere den Fingerabdruck stattdessen',
+  'device.confirmRotate': 'Neuen Geräteschlüssel erzeugen? Das Gateway muss dieses Gerät dann erneut freigeben.',
+  'device.rotated': 'Neuer Geräteschlüssel erstellt',
+  'device.confirmDelete': 'Geräteschlüssel löschen? Beim nächsten Verbinden wird ein neuer erstellt, der freigegeben werden muss.',
+  'device.deleted': 'Geräteschlüssel gelöscht',
+  'device.passphraseTooShort': 'Die Passphrase braucht mindestens {min} Zeichen',
+  'device.passphraseFirst': 'Gib zuerst die Passphrase ein, die beim Export verwendet wurde',
+  'device.exported': 'Geräteschlüssel exportiert',
+  'device.imported': 'Geräteschlüssel importiert',
+
+  // ── Reminders ────────────────────────────────────────────────────
+  'reminders.checkInTitle': 'Zeit für den Check-in',
+  'reminders.notLoaded': 'Du hast die heutigen Quests noch nicht geladen.',
+  'reminders.stillOpen': { one: '{count} Quest noch offen', other: '{count} Quests noch offen' },
+  'reminders.checkInBody': 'Erledige noch eine, bevor der Tag vorbei ist.',
+  'reminders.streakAtRisk': 'Deine {streak}-Tage-Serie ist in Gefahr',
+  'reminders.dayAlmostOver': 'Der Tag ist fast vorbei',
+  'reminders.notCheckedIn': 'Du hast heute noch nicht eingecheckt.',
+  'reminders.questsLeft': {
+    one: 'Noch {count} Quest, bevor dein Tag endet.',
+    other: 'Noch {count} Quests, bevor dein Tag endet.',
+  },
+  'reminders.newQuests': 'Neue Quests von deinem Agenten',
+
+  // ── Errors ───────────────────────────────────────────────────────
+  'errors.TIMEOUT': 'Gateway hat nicht rechtzeitig geantwortet',
+  'errors.TIMEOUT.connect': 'Zeitüberschreitung beim Verbinden ({seconds} s)',
+  'errors.TIMEOUT.handshake': 'Gateway hat den Handshake nicht beantwortet',
+  'errors.HEARTBEAT_TIMEOUT': 'Kein Lebenszeichen vom Gateway',
+  'errors.PROBE_TIMEOUT': 'Gateway antwortet nicht mehr',
+  'errors.CLOSED': 'Verbindung geschlossen',
+  'errors.CLOSED.withCode': 'Verbindung geschlossen ({closeCode})',
+  'errors.SOCKET_ERROR': 'Verbindung fehlgeschlagen - URL und Netzwerk prüfen',
+  'errors.NOT_CONNECTED': 'Nicht mit dem Gateway verbunden',
+  'errors.UNSUPPORTED': 'Das Gateway unterstützt {method} nicht',
+  'errors.AUTH_REJECTED': 'Anmeldung abgelehnt',
+  'errors.NOT_PAIRED': 'Gerät nicht gekoppelt. Auf der VM ausführen:\nopenclaw devices approve',
+  'errors.PROTOCOL_MISMATCH': 'Gateway und App konnten sich auf keine Protokollversion einigen (App spricht {app})',
+  'errors.PROTOCOL_MISMATCH.gatewayTooOld': 'Gateway ist zu alt (Protokoll {gateway}, diese App braucht {app}) - OpenClaw auf dem Server aktualisieren',
+  'errors.PROTOCOL_MISMATCH.gatewayTooNew': 'Gateway ist zu neu (Protokoll {gateway}, diese App spricht {app}) - die App aktualisieren',
+  'errors.TOKEN_LOCKED': 'Auth-Token ist gesperrt - gib deine PIN ein',
+  'errors.TOKEN_UNREADABLE': 'Das gespeicherte Token konnte nicht entschlüsselt werden - gib es in den Einstellungen erneut ein',
+  'errors.NO_IDENTITY': 'Keine Geräteidentität zum Exportieren',
+  'errors.NOT_IDENTITY_EXPORT': 'Kein Export einer Geräteidentität',
+  'errors.WRONG_PASSPHRASE': 'Falsche Passphrase oder beschädigte Datei',
+  'errors.FINGERPRINT_MISMATCH': 'Identität passt nicht zu ihrem Fingerabdruck',
+  'errors.LAST_PROFILE': 'Das einzige Profil kann nicht gelöscht werden',
+  'errors.EXPORT_TOKEN_LOCKED': 'Entsperre das Token für "{profile}", bevor du es exportierst',
+  'errors.EXPORT_TOKEN_UNREADABLE': 'Das Token für "{profile}" konnte nicht entschlüsselt werden',
+  'errors.INVALID_BACKUP': 'Ungültiges Backup: {problems}',
+  'errors.NOT_A_BACKUP': 'Keine Agent-Forge-Backupdatei',
+  'errors.BACKUP_VERSION': 'Nicht unterstützte Backup-Version {version}',
+  'errors.NO_PROFILES': 'Das Backup enthält keine Profile',
+  'errors.FIELD_NOT_OBJECT': '{field} muss ein Objekt sein',
+  'errors.FIELD_NOT_ARRAY': '{field} muss eine Liste sein',
+  'errors.FIELD_NOT_STRING': '{field} muss ein Text sein',
+  'errors.FIELD_INVALID': '{field} hat einen ungültigen Wert',
+  'errors.ENTRY_INCOMPLETE': '{field} braucht {required}',
+};
@@ -0,0 +1,357 @@
+/**
+ * English UI strings - the reference catalog every other language falls
+ * back to. See i18n.js for placeholders and plural forms.
+ */
+
+export const messages = {
+  // ── App ──────────────────────────────────────────────────────────
+  'app.online': 'Back online',
+  'app.offline': 'Offline - tasks cached locally',
+  'common.back': 'Back',
+
+  // ── Header ───────────────────────────────────────────────────────
+  'header.connection': 'Connection status',
+  'header.profile': 'Profile',
+  'header.outbox': 'Outbox',
+  'header.chat': 'Chat',
+  'header.stats': 'Stats',
+  'header.history': 'History',
+  'header.settings': 'Settings',
+
+  // ── Connection status ────────────────────────────────────────────
+  'status.label': 'Connection: {status}. Open diagnostics',
+  'status.connected': 'Connected',
+  'status.connectedLatency': 'Connected - {ms} ms round trip ({quality})',
+  'status.quality.good': 'good',
+  'status.quality.fair': 'fair',
+  'status.quality.poor': 'poor',
+  'status.connecting': 'Connecting...',
+  'status.reconnecting': 'Reconnecting (attempt {attempt})... {error}',
+  'status.reconnectPaused': 'Connection lost - will reconnect when the app is back in use',
+  'status.pairing': 'Waiting for device approval...',
+  'status.locked': 'Locked - enter your PIN',
+  'status.disconnected': 'Disconnected',
+
+  // ── Stats bar ────────────────────────────────────────────────────
+  'stats.day': 'Day {day}',
+  'stats.streak': 'Streak',
+  'stats.hearts': 'Hearts',
+  'stats.xp': 'XP',
+  'stats.level': 'Level',
+  'stats.levelValue': 'Lv.{level}',
+
+  // ── Main screen ──────────────────────────────────────────────────
+  'tasks.fetching': "Fetching today's tasks...",
+  'tasks.notPaired': 'Device not paired yet.',
+  'tasks.runOnVm': 'Run on your VM:',
+  'tasks.device': 'Device: {id}...',
+  'tasks.fullFingerprint': 'full fingerprint',
+  'tasks.waitingApproval': 'Waiting for approval...',
+  'tasks.protocolMismatch': "Can't talk to this gateway.",
+  'tasks.details': 'Details',
+  'tasks.connecting': 'Connecting to gateway...',
+  'tasks.empty': 'No tasks loaded yet.',
+  'tasks.configure': 'Configure Gateway',
+  'tasks.unlockPrompt': 'Enter your PIN to connect',
+  'tasks.unlock': 'Unlock',
+  'tasks.wrongPin': 'Wrong PIN',
+  'tasks.heading': "Today's Quests",
+  'tasks.headingFor': 'Quests for {date}',
+  'tasks.sortLabel': 'Sort quests',
+  'tasks.sort.agent': 'Agent order',
+  'tasks.sort.priority': 'Priority',
+  'tasks.sort.due': 'Due time',
+  'tasks.sort.xp': 'XP reward',
+  'tasks.staleBanner': "New day - fetching today's quests...",
+  'tasks.refresh': 'Refresh',
+  'tasks.refreshOffline': 'Not connected - quests refresh once the gateway is back',
+  'tasks.staleQuest': "That quest is from a previous day - wait for today's list",
+  'tasks.longPressHint': 'Long-press to reopen',
+  'tasks.waitingToSend': '(waiting to send)',
+  'tasks.highPriority': 'High priority',
+  'tasks.due': 'Due',
+  'tasks.overdue': 'Overdue, was due',
+  'tasks.xpReward': '+{xp} XP',
+
+  // ── Completing and reopening ─────────────────────────────────────
+  'tasks.undo': 'Undo',
+  'tasks.completed': 'Quest completed',
+  'tasks.completeQueued': 'Queued - will send when connected',
+  'tasks.completeRejected': 'Agent rejected completion: {error}',
+  'tasks.completedOffline': 'Saved offline - will sync when connected',
+  'tasks.reopened': 'Quest reopened',
+  'tasks.reopenQueued': 'Reopen queued - will send when connected',
+  'tasks.reopenRejected': 'Agent rejected reopen: {error}',
+  'tasks.reopenedOffline': 'Reopened offline - will sync when connected',
+  'tasks.agentError': 'Agent error: {error}',
+  'tasks.agentErrorUnknown': 'reply failed',
+  'tasks.fetchFailed': 'Failed to fetch tasks: {error}',
+
+  // ── Adding quests ────────────────────────────────────────────────
+  'tasks.add': 'Add',
+  'tasks.addLabel': 'New quest',
+  'tasks.addPlaceholder': 'Add a quest, e.g. Call the bank #admin by 16:00',
+  'tasks.addSent': 'Quest sent to the agent',
+  'tasks.addQueued': 'Quest queued - will send when connected',
+  'tasks.addedOffline': 'Quest saved offline - will send when connected',
+  'tasks.addRejected': 'Agent rejected the quest: {error}',
+  'tasks.addWaitingStatus': 'waiting for the agent',
+  'tasks.addQueuedStatus': 'waiting to send',
+  'tasks.removeProvisional': 'Remove "{text}"',
+  'tasks.removedProvisional': 'Quest removed',
+  'tasks.removedAfterSend': 'Removed here - the agent already has it and may still add it',
+
+  // ── Focus timer ──────────────────────────────────────────────────
+  'focus.start': 'Start a focus session on "{text}"',
+  'focus.stop': 'Stop the focus session on "{text}"',
+  'focus.started': 'Focusing for {minutes} min - go!',
+  'focus.stopped': 'Focus session stopped - {minutes} min tracked',
+  'focus.finished': 'Focus session done: {text}',
+  'focus.doneTitle': 'Focus session done',
+  'focus.doneBody': '{minutes} min on "{text}". Time for a break!',
+  'focus.remaining': 'Focus time left',
+  'focus.tracked': '{minutes} min focused',
+
+  // ── Settings ─────────────────────────────────────────────────────
+  'settings.title': 'Settings',
+  'settings.profile': 'Profile',
+  'settings.newProfile': '+ New',
+  'settings.deleteProfile': 'Delete',
+  'settings.profileName': 'Profile Name',
+  'settings.profileNamePlaceholder': 'Work',
+  'settings.gatewayUrl': 'Gateway URL',
+  'settings.authToken': 'Auth Token',
+  'settings.tokenSaved': 'Saved (encrypted) - leave blank to keep',
+  'settings.tokenPlaceholder': 'Enter your auth token',
+  'settings.requirePin': 'Require a PIN before connecting',
+  'settings.newPin': 'New PIN (leave blank to keep)',
+  'settings.pin': 'PIN',
+  'settings.agentId': 'Agent ID',
+  'settings.dayStart': 'New day starts at',
+  'settings.dayStartMidnight': 'Midnight',
+  'settings.dayStartHint': "Night owl? Keep today's quests until a later hour.",
+  'settings.focusLength': 'Focus session length',
+  'settings.focusMinutes': '{minutes} minutes',
+  'settings.language': 'Language',
+  'settings.languageAuto': 'Same as browser',
+  'settings.reminders': 'Reminders',
+  'settings.remindersEnabled': 'Remind me about open quests',
+  'settings.checkInTime': 'Check-in time',
+  'settings.streakWarning': 'Warn before the day ends if my streak is at risk',
+  'settings.newQuestsNotify': 'Notify when new quests arrive in the background',
+  'settings.notificationsUnsupported': 'Notifications are not supported in this browser.',
+  'settings.test': 'Test',
+  'settings.testing': 'Testing...',
+  'settings.save': 'Save',
+  'settings.device': 'Device',
+  'settings.data': 'Data',
+  'settings.dataHint': "Back up every profile's quests, outbox, history and badges, or restore from a backup. Importing merges with what is already here.",
+  'settings.includeSecrets': 'Include auth tokens in the backup',
+  'settings.exportBackup': 'Export backup',
+  'settings.importBackup': 'Import backup',
+  'settings.exportCsv': 'Export history (CSV)',
+  'settings.diagnostics': 'Connection diagnostics',
+  'settings.switchedProfile': 'Switched to {name}',
+  'settings.defaultProfileName': 'Profile {number}',
+  'settings.confirmDelete': 'Delete profile "{name}" with its history and outbox?',
+  'settings.deletedProfile': 'Deleted {name}',
+  'settings.saved': 'Settings saved',
+  'settings.pinRequired': 'Choose a PIN to protect the token',
+  'settings.pinTooShort': 'PIN needs at least {min} characters',
+  'settings.tokenLocked': 'Unlock the token on the main screen first, or enter it again',
+  'settings.notificationsBlocked': 'Notifications are blocked - reminders stay off',
+  'settings.backupExportedSecrets': 'Backup exported - it contains your tokens',
+  'settings.backupExported': 'Backup exported',
+  'settings.exportFailed': 'Export failed: {error}',
+  'settings.invalidJson': 'That file is not valid JSON',
+  'settings.imported': 'Imported {profiles} and {records}',
+  'settings.importedProfiles': { one: '{count} new profile', other: '{count} new profiles' },
+  'settings.importedRecords': { one: '{count} record', other: '{count} records' },
+  'settings.urlAndTokenRequired': 'URL and token are required',
+  'settings.testOk': 'Connected successfully!',
+  'settings.testFailed': 'Failed: {error}',
+  'settings.testError': 'Error: {error}',
+
+  // ── History ──────────────────────────────────────────────────────
+  'history.title': 'History',
+  'history.loadFailed': 'Could not load history.',
+  'history.empty': 'No days archived yet.',
+  'history.emptyHint': "Each day's quests are saved here once the agent sends them.",
+  'history.dayMissing': 'Nothing archived for this day.',
+  'history.backToList': 'Back to History',
+  'history.quests': 'Quests',
+
+  // ── Stats and charts ─────────────────────────────────────────────
+  'trends.title': 'Stats',
+  'trends.trophies': 'Trophies',
+  'trends.loadFailed': 'Could not load stats.',
+  'trends.level': 'Level {level}',
+  'trends.toNextLevel': '~{xp} XP to Lv.{level}',
+  'trends.questsCompleted': 'Quests completed',
+  'trends.less': 'Less',
+  'trends.more': 'More',
+  'charts.heatmapLabel': 'Completed quests per day',
+  'charts.heatCell': { one: '{date}: {count} quest', other: '{date}: {count} quests' },
+  'charts.notEnoughData': 'Not enough data yet.',
+
+  // ── Trophies and celebrations ────────────────────────────────────
+  'trophies.title': 'Trophies',
+  'trophies.loadFailed': 'Could not load trophies.',
+  'trophies.earned': 'Earned {date}',
+  'trophies.locked': 'Locked',
+  'trophies.summary': '{earned} of {total} unlocked',
+  'achievements.streak.title': '{days}-Day Streak',
+  'achievements.streak.description': 'Kept the streak alive for {days} days.',
+  'achievements.level.title': 'Level {level}',
+  'achievements.level.description': 'Reached level {level}.',
+  'achievements.perfectDay.title': 'Perfect Day',
+  'achievements.perfectDay.description': 'Finished every quest of the day.',
+  'achievements.perfectWeek.title': 'Perfect Week',
+  'achievements.perfectWeek.description': 'Finished every quest {days} days in a row.',
+  'celebration.levelUpTitle': 'Level {level}!',
+  'celebration.levelUp': 'You leveled up.',
+  'celebration.milestone': 'Milestone!',
+  'celebration.newBadge': 'New badge unlocked',
+
+  // ── Chat ─────────────────────────────────────────────────────────
+  'chat.title': 'Chat',
+  'chat.quick.reshuffle': 'Reshuffle quests',
+  'chat.quick.sick': "I'm sick today",
+  'chat.quick.easier': 'Easier quests',
+  'chat.quick.showTasks': "Show today's tasks",
+  'chat.placeholder': 'Message your agent...',
+  'chat.send': 'Send',
+  'chat.empty': 'No messages yet.',
+  'chat.offline': 'Connect to the gateway to chat.',
+  'chat.sending': 'Sending...',
+  'chat.notSent': 'Not sent',
+  'chat.notSentError': 'Not sent: {error}',
+  'chat.replyStopped': '(reply stopped)',
+  'chat.replyError': '(error: {error})',
+
+  // ── Outbox ───────────────────────────────────────────────────────
+  'outbox.title': 'Outbox',
+  'outbox.empty': 'Outbox is empty.',
+  'outbox.emptyHint': 'Everything has reached the agent.',
+  'outbox.waiting': 'Waiting to send',
+  'outbox.failed': 'Failed',
+  'outbox.queuedAt': 'Queued {time}',
+  'outbox.attempts': { one: '{count} attempt', other: '{count} attempts' },
+  'outbox.nextTry': 'next try {time}',
+  'outbox.retry': 'Retry',
+  'outbox.discard': 'Discard',
+  'outbox.retrying': 'Retrying...',
+  'outbox.discarded': 'Message discarded',
+  'outbox.error': 'Outbox error: {error}',
+  'sync.sentInBackground': {
+    one: 'Sent {count} queued update in the background',
+    other: 'Sent {count} queued updates in the background',
+  },
+
+  // ── Diagnostics ──────────────────────────────────────────────────
+  'diagnostics.title': 'Diagnostics',
+  'diagnostics.reconnect': 'Reconnect now',
+  'diagnostics.copyReport': 'Copy report',
+  'diagnostics.copied': 'Diagnostics copied',
+  'diagnostics.copyFailed': 'Copy failed',
+  'diagnostics.noGateway': 'No gateway configured',
+  'diagnostics.transitions': 'Transitions',
+  'diagnostics.frames': 'Recent frames',
+  'diagnostics.noTransitions': 'Nothing yet.',
+  'diagnostics.noFrames': 'No frames since the app started.',
+  'diagnostics.state': 'State',
+  'diagnostics.stateSince': '{state} for {age}',
+  'diagnostics.gateway': 'Gateway',
+  'diagnostics.attempts': 'Reconnect attempts',
+  'diagnostics.nextRetry': 'Next retry',
+  'diagnostics.nextRetryIn': 'in {time}',
+  'diagnostics.retryPaused': 'paused while the app is hidden or offline',
+  'diagnostics.latency': 'Latency',
+  'diagnostics.latencyValue': '{average} ms avg · last {rtt} ms',
+  'diagnostics.pendingRequests': 'Pending requests',
+  'diagnostics.protocol': 'Protocol',
+  'diagnostics.server': 'gateway {server}',
+  'diagnostics.tickInterval': 'Tick interval',
+  'diagnostics.default': 'default',
+  'diagnostics.methods': 'Methods',
+  'diagnostics.notAdvertised': 'not advertised',
+  'diagnostics.awaitingApproval': 'Waiting for approval of',
+  'diagnostics.lastError': 'Last error',
+  'diagnostics.retrying': 'retrying',
+
+  // ── Device identity ──────────────────────────────────────────────
+  'device.unavailable': 'Device identity is unavailable in this browser.',
+  'device.intro': 'The gateway approves this key once with {command}. Rotating or deleting it means approving again.',
+  'device.fingerprint': 'Device fingerprint',
+  'device.fingerprintQr': 'Device fingerprint QR code',
+  'device.created': 'Created {date}',
+  'device.createdUnknown': 'Created before this app tracked it',
+  'device.copy': 'Copy',
+  'device.qr': 'QR',
+  'device.rotate': 'Rotate key',
+  'device.delete': 'Delete key',
+  'device.passphrase': 'Backup passphrase',
+  'device.passphrasePlaceholder': 'At least {min} characters',
+  'device.export': 'Export key',
+  'device.import': 'Import key',
+  'device.copied': 'Fingerprint copied',
+  'device.copyFailed': 'Copy failed - select the fingerprint instead',
+  'device.confirmRotate': 'Generate a new device key? The gateway will need to approve this device again.',
+  'device.rotated': 'New device key created',
+  'device.confirmDelete': 'Delete the device key? A new one is created on the next connect and must be approved.',
+  'device.deleted': 'Device key deleted',
+  'device.passphraseTooShort': 'Passphrase needs at least {min} characters',
+  'device.passphraseFirst': 'Enter the passphrase used for the export first',
+  'device.exported': 'Device key exported',
+  'device.imported': 'Device key imported',
+
+  // ── Reminders ────────────────────────────────────────────────────
+  'reminders.checkInTitle': 'Time to check in',
+  'reminders.notLoaded': "You haven't loaded today's quests yet.",
+  'reminders.stillOpen': { one: '{count} quest still open', other: '{count} quests still open' },
+  'reminders.checkInBody': 'Knock one out before the day is over.',
+  'reminders.streakAtRisk': 'Your {streak}-day streak is at risk',
+  'reminders.dayAlmostOver': 'The day is almost over',
+  'reminders.notCheckedIn': "You haven't checked in today.",
+  'reminders.questsLeft': {
+    one: '{count} quest left before your day ends.',
+    other: '{count} quests left before your day ends.',
+  },
+  'reminders.newQuests': 'New quests from your agent',
+
+  // ── Errors ───────────────────────────────────────────────────────
+  // By error code, see errorMessage in i18n.js
+  'errors.TIMEOUT': 'Gateway did not answer in time',
+  'errors.TIMEOUT.connect': 'Connection timeout ({seconds}s)',
+  'errors.TIMEOUT.handshake': 'Gateway did not answer the handshake',
+  'errors.HEARTBEAT_TIMEOUT': 'No heartbeat from the gateway',
+  'errors.PROBE_TIMEOUT': 'Gateway stopped answering',
+  'errors.CLOSED': 'Connection closed',
+  'errors.CLOSED.withCode': 'Connection closed ({closeCode})',
+  'errors.SOCKET_ERROR': 'Connection failed - check URL and network',
+  'errors.NOT_CONNECTED': 'Not connected to the gateway',
+  'errors.UNSUPPORTED': 'Gateway does not support {method}',
+  'errors.AUTH_REJECTED': 'Auth rejected',
+  'errors.NOT_PAIRED': 'Device not paired. Run on VM:\nopenclaw devices approve',
+  'errors.PROTOCOL_MISMATCH': 'Gateway and app could not agree on a protocol version (app speaks {app})',
+  'errors.PROTOCOL_MISMATCH.gatewayTooOld': 'Gateway is too old (protocol {gateway}, this app needs {app}) - update OpenClaw on the server',
+  'errors.PROTOCOL_MISMATCH.gatewayTooNew': 'Gateway is too new (protocol {gateway}, this app speaks {app}) - update the app',
+  'errors.TOKEN_LOCKED': 'Auth token is locked - enter your PIN',
+  'errors.TOKEN_UNREADABLE': 'Saved token could not be decrypted - enter it again in settings',
+  'errors.NO_IDENTITY': 'No device identity to export',
+  'errors.NOT_IDENTITY_EXPORT': 'Not a device identity export',
+  'errors.WRONG_PASSPHRASE': 'Wrong passphrase or damaged file',
+  'errors.FINGERPRINT_MISMATCH': 'Identity does not match its fingerprint',
+  'errors.LAST_PROFILE': 'Cannot delete the only profile',
+  'errors.EXPORT_TOKEN_LOCKED': 'Unlock the token for "{profile}" before exporting it',
+  'errors.EXPORT_TOKEN_UNREADABLE': 'Token for "{profile}" could not be decrypted',
+  'errors.INVALID_BACKUP': 'Invalid backup: {problems}',
+  'errors.NOT_A_BACKUP': 'Not an Agent Forge backup file',
+  'errors.BACKUP_VERSION': 'Unsupported backup version {version}',
+  'errors.NO_PROFILES': 'The backup has no profiles',
+  'errors.FIELD_NOT_OBJECT': '{field} must be an object',
+  'errors.FIELD_NOT_ARRAY': '{field} must be an array',
+  'errors.FIELD_NOT_STRING': '{field} must be a string',
+  'errors.FIELD_INVALID': '{field} has an invalid value',
+  'errors.ENTRY_INCOMPLETE': '{field} must have {required}',
+};
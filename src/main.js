@@ -1,9 +1,26 @@
 import './styles.css';
 import { store } from './store.js';
 import { renderSettings } from './ui/settings.js';
-import { renderMain } from './ui/tasks.js';
+import { renderMain, startQuestSync, fetchTasks } from './ui/tasks.js';
+import { renderChat } from './ui/chat.js';
+import { renderHistory } from './ui/history.js';
+import { renderTrends } from './ui/trends.js';
+import { renderOutbox } from './ui/outbox.js';
+import { renderTrophies } from './ui/trophies.js';
+import { renderDiagnostics } from './ui/diagnostics.js';
+import { celebrate } from './ui/celebration.js';
 import { renderStatus, showToast } from './ui/status.js';
 import { gateway } from './gateway/connection.js';
+import { watchPageLifecycle } from './gateway/lifecycle.js';
+import { migratePlaintextTokens } from './profiles.js';
+import { startHistoryArchive } from './history.js';
+import { startDayRollover } from './rollover.js';
+import { outbox } from './outbox.js';
+import { startBackgroundSync } from './background-sync.js';
+import { startReminders } from './reminders.js';
+import { startFocusTimer } from './focus-timer.js';
+import { startAchievements, onCelebrate } from './achievements.js';
+import { setLocale, t } from './i18n.js';
 
 const app = document.getElementById('app');
 
@@ -12,6 +29,19 @@ function route() {
 
   if (hash === '#settings') {
     renderSettings(app);
+  } else if (hash === '#chat') {
+    renderChat(app);
+    connectIfNeeded();
+  } else if (hash === '#outbox') {
+    renderOutbox(app);
+  } else if (hash === '#diagnostics') {
+    renderDiagnostics(app);
+  } else if (hash === '#trophies') {
+    renderTrophies(app);
+  } else if (hash === '#stats') {
+    renderTrends(app);
+  } else if (hash === '#history' || hash.startsWith('#history/')) {
+    renderHistory(app, decodeURIComponent(hash.slice('#history/'.length)) || null);
   } else {
     renderMainView();
   }
@@ -32,22 +62,44 @@ function renderMainView() {
 function connectIfNeeded() {
   const { settings, connection } = store.get();
   if (!settings.gatewayUrl) return;
-  if (connection.state === 'CONNECTED' || connection.state === 'CONNECTING') return;
+  if (['CONNECTED', 'CONNECTING', 'HANDSHAKING'].includes(connection.state)) return;
 
   gateway.connect(settings);
 }
 
 // Boot
+setLocale(store.get().settings.locale);
 window.addEventListener('hashchange', route);
 renderStatus();
+migratePlaintextTokens().catch((err) => {
+  console.warn('[vault] could not encrypt stored tokens', err);
+});
+startHistoryArchive();
+startDayRollover({
+  // Offline, the list is fetched on the next connect anyway
+  onNewDay: () => { if (gateway.isConnected) fetchTasks(); },
+});
+startQuestSync();
+startReminders();
+startFocusTimer({
+  onFinish: (session) => showToast(t('focus.finished', { text: session.text }), 'success'),
+});
+startAchievements();
+onCelebrate(celebrate);
+outbox.load();
+startBackgroundSync();
+watchPageLifecycle({
+  onPause: (reason) => gateway.pause(reason),
+  onResume: (reason) => gateway.resume(reason),
+});
 route();
 
 // Reconnect on online
 window.addEventListener('online', () => {
-  showToast('Back online', 'success');
+  showToast(t('app.online'), 'success');
   connectIfNeeded();
 });
 
 window.addEventListener('offline', () => {
-  showToast('Offline - tasks cached locally', 'error');
+  showToast(t('app.offline'), 'error');
 });
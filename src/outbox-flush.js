@@ -0,0 +1,131 @@
+/**
+ * Outbox sending rules shared by the app (outbox.js) and the service worker,
+ * and the service worker's one-shot flush.
+ *
+ * The flush runs from a Background Sync event (see sw.js), usually with the
+ * app closed: it reads the sync target the app mirrored into the device
+ * database (see background-sync.js), opens its own gateway session with the
+ * stored device identity, sends the pending entries in order and records
+ * the outcome on each entry exactly like outbox.js would.
+ */
+
+import { runInProfile } from './idb.js';
+import { getOrCreateDeviceIdentity, getDeviceSecret } from './gateway/device-identity.js';
+import { openGatewaySession, SOCKET_ERROR } from './gateway/handshake.js';
+import { getSessionKey } from './gateway/protocol.js';
+import { isTransportError } from './gateway/requests.js';
+import { decryptToken, TOKEN_LOCKED } from './gateway/token-vault.js';
+
+export const OUTBOX_STORE = 'outbox';
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE = 5000;
+const RETRY_CAP = 10 * 60_000;
+
+// Background Sync / periodic sync tag, and the message posted to open windows
+export const SYNC_TAG = 'outbox-flush';
+export const SYNC_MESSAGE = 'outbox-sync';
+
+// Device database key of { profileId, gatewayUrl, authToken, agentId }
+export const SYNC_TARGET_KEY = 'syncTarget';
+
+const HANDSHAKE_TIMEOUT = 15_000;
+const SEND_TIMEOUT = 15_000;
+
+function getRetryDelay(attempts) {
+  return Math.min(RETRY_BASE * 2 ** (attempts - 1), RETRY_CAP);
+}
+
+/**
+ * The entry after a failed send: one more attempt, backed off, and
+ * dead-lettered once the gateway has rejected it MAX_ATTEMPTS times.
+ */
+export function afterFailedAttempt(entry, err) {
+  const attempts = entry.attempts + 1;
+  // Transport failures are never the entry's fault, so only rejections dead-letter
+  const dead = !isTransportError(err) && attempts >= MAX_ATTEMPTS;
+  return {
+    ...entry,
+    attempts,
+    lastError: err.code ? `${err.code}: ${err.message}` : err.message,
+    status: dead ? 'dead' : 'pending',
+    nextAttemptAt: Date.now() + getRetryDelay(attempts),
+  };
+}
+
+/**
+ * True if an earlier message about the same quest was dead-lettered. Such
+ * entries are held until that one is retried or discarded, so the agent
+ * never gets a reopen without the completion it undoes.
+ */
+export function isHeldByDeadEntry(entry, entries) {
+  return entries.some((other) => other.status === 'dead'
+    && String(other.taskId) === String(entry.taskId)
+    && other.createdAt < entry.createdAt);
+}
+
+/**
+ * Send every pending entry of the mirrored sync target, oldest first,
+ * stopping at the first failure so a reopen never overtakes its completion.
+ * Backoff is not applied: the browser already spaces out sync events.
+ *
+ * Resolves with { status, sent, remaining, error, retry } where status is
+ * 'idle' (nothing to send), 'done', 'locked' (token needs the PIN) or
+ * 'failed'; `retry` says whether trying again later could help.
+ */
+export async function flushOutboxInBackground() {
+  const target = await getDeviceSecret(SYNC_TARGET_KEY);
+  if (!target?.gatewayUrl) return result('idle');
+
+  const stored = await runInProfile(target.profileId, OUTBOX_STORE, 'readonly', (store) => store.getAll());
+  const pending = stored
+    .filter((entry) => entry.status === 'pending' && !isHeldByDeadEntry(entry, stored))
+    .sort((a, b) => a.createdAt - b.createdAt);
+  if (pending.length === 0) return result('idle');
+
+  let token;
+  try {
+    token = await decryptToken(target.authToken);
+  } catch (err) {
+    return result(err.code === TOKEN_LOCKED ? 'locked' : 'failed', { remaining: pending.length, error: err.message });
+  }
+
+  let session;
+  try {
+    const identity = await getOrCreateDeviceIdentity();
+    session = await openGatewaySession(target.gatewayUrl, token, identity, { timeout: HANDSHAKE_TIMEOUT });
+  } catch (err) {
+    const unreachable = isTransportError(err) || err.code === SOCKET_ERROR;
+    return result('failed', { remaining: pending.length, error: err.message, retry: unreachable });
+  }
+
+  const sessionKey = getSessionKey(target.agentId);
+  const save = (entry) => runInProfile(target.profileId, OUTBOX_STORE, 'readwrite', (store) => store.put(entry));
+  const drop = (key) => runInProfile(target.profileId, OUTBOX_STORE, 'readwrite', (store) => store.delete(key));
+
+  let sent = 0;
+  try {
+    for (const entry of pending) {
+      try {
+        await session.request('chat.send', {
+          sessionKey,
+          message: entry.text,
+          idempotencyKey: entry.idempotencyKey,
+        }, { timeout: SEND_TIMEOUT });
+      } catch (err) {
+        await save(afterFailedAttempt(entry, err));
+        return result('failed', {
+          sent, remaining: pending.length - sent, error: err.message, retry: isTransportError(err),
+        });
+      }
+      await drop(entry.idempotencyKey);
+      sent += 1;
+    }
+  } finally {
+    session.close();
+  }
+  return result('done', { sent });
+}
+
+function result(status, { sent = 0, remaining = 0, error = null, retry = false } = {}) {
+  return { status, sent, remaining, error, retry };
+}
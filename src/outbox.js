@@ -0,0 +1,227 @@
+/**
+ * Durable outbox for messages to the agent (quest completions, reopens,
+ * quests added in the app).
+ *
+ * Entries live in IndexedDB until the gateway acknowledges them. Failed
+ * sends are retried with exponential backoff; entries the gateway keeps
+ * rejecting are moved to the dead-letter list for manual retry or discard.
+ * `store.pendingQueue` mirrors the entries so the UI can render synchronously.
+ * The service worker may flush the same entries while the app is closed
+ * (see outbox-flush.js); reload() picks up what it did.
+ *
+ * Entry shape:
+ *   { idempotencyKey, taskId, kind: 'complete' | 'reopen' | 'add', text, createdAt,
+ *     status: 'pending' | 'dead', attempts, lastError, nextAttemptAt }
+ */
+
+import { store } from './store.js';
+import { dbGetAll, dbPut, dbDelete } from './db.js';
+import { gateway } from './gateway/connection.js';
+import { getSessionKey } from './gateway/protocol.js';
+import { isTransportError } from './gateway/requests.js';
+import { afterFailedAttempt, isHeldByDeadEntry, OUTBOX_STORE as STORE_NAME } from './outbox-flush.js';
+
+let entries = [];
+let loadedProfileId = null;
+const sending = new Set();
+let flushing = false;
+let flushAgain = false;
+let retryTimer = null;
+
+function publish() {
+  entries.sort((a, b) => a.createdAt - b.createdAt);
+  store.set({ pendingQueue: entries.map((entry) => ({ ...entry })) });
+}
+
+// Late results for a profile we've since switched away from are dropped;
+// those entries stay in that profile's database for its next load
+function isStale() {
+  return store.get().activeProfileId !== loadedProfileId;
+}
+
+async function save(entry) {
+  if (isStale()) return;
+  await dbPut(STORE_NAME, entry);
+  entries = [...entries.filter((e) => e.idempotencyKey !== entry.idempotencyKey), entry];
+  publish();
+}
+
+async function drop(idempotencyKey) {
+  if (isStale()) return;
+  await dbDelete(STORE_NAME, idempotencyKey);
+  entries = entries.filter((e) => e.idempotencyKey !== idempotencyKey);
+  publish();
+}
+
+function scheduleRetry() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  if (!gateway.isConnected) return;
+
+  const next = entries
+    .filter((e) => e.status === 'pending')
+    .reduce((soonest, e) => Math.min(soonest, e.nextAttemptAt), Infinity);
+  if (next === Infinity) return;
+
+  retryTimer = setTimeout(() => outbox.flush(), Math.max(next - Date.now(), 0));
+}
+
+async function attempt(entry, sessionKey) {
+  sending.add(entry.idempotencyKey);
+  try {
+    await gateway.request('chat.send', {
+      sessionKey,
+      message: entry.text,
+      idempotencyKey: entry.idempotencyKey,
+    });
+    await drop(entry.idempotencyKey);
+    return true;
+  } catch (err) {
+    const failed = afterFailedAttempt(entry, err);
+    console.warn(`[outbox] attempt ${failed.attempts} failed for ${entry.idempotencyKey}:`, err.message);
+    await save(failed);
+    // A dead socket fails everything behind it too — wait for the next connect
+    if (isTransportError(err)) throw err;
+    return false;
+  } finally {
+    sending.delete(entry.idempotencyKey);
+  }
+}
+
+export const outbox = {
+  /**
+   * Load entries from IndexedDB, migrating any queue left in localStorage
+   * by older versions.
+   */
+  async load() {
+    loadedProfileId = store.get().activeProfileId;
+    entries = [];
+    try {
+      const stored = await dbGetAll(STORE_NAME);
+      const known = new Set(stored.map((e) => e.idempotencyKey));
+      const legacy = store.get().pendingQueue.filter((item) => !known.has(item.idempotencyKey));
+
+      for (const item of legacy) {
+        const entry = {
+          taskId: item.taskId,
+          kind: item.kind || 'complete',
+          text: item.text,
+          idempotencyKey: item.idempotencyKey,
+          createdAt: Date.now(),
+          status: 'pending',
+          attempts: 0,
+          lastError: null,
+          nextAttemptAt: 0,
+        };
+        await dbPut(STORE_NAME, entry);
+        stored.push(entry);
+      }
+
+      entries = stored;
+      publish();
+    } catch (err) {
+      console.error('[outbox] failed to load', err);
+    }
+  },
+
+  /**
+   * Re-read the entries after the service worker changed them. Unlike
+   * load(), never migrates: store.pendingQueue is stale at this point.
+   */
+  async reload() {
+    if (isStale()) return;
+    try {
+      entries = await dbGetAll(STORE_NAME);
+      publish();
+    } catch (err) {
+      console.error('[outbox] failed to reload', err);
+    }
+  },
+
+  async add({ taskId, kind = 'complete', text, idempotencyKey = crypto.randomUUID() }) {
+    await save({
+      taskId,
+      kind,
+      text,
+      idempotencyKey,
+      createdAt: Date.now(),
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: 0,
+    });
+    outbox.flush();
+  },
+
+  /**
+   * Remove an entry that hasn't been sent. Returns false if it is
+   * mid-send (and may already have reached the agent) or unknown.
+   */
+  async cancel(idempotencyKey) {
+    if (sending.has(idempotencyKey)) return false;
+    if (!entries.some((e) => e.idempotencyKey === idempotencyKey)) return false;
+    await drop(idempotencyKey);
+    return true;
+  },
+
+  discard(idempotencyKey) {
+    return drop(idempotencyKey);
+  },
+
+  /**
+   * Give a dead-lettered (or backing-off) entry a fresh set of attempts.
+   */
+  async retry(idempotencyKey) {
+    const entry = entries.find((e) => e.idempotencyKey === idempotencyKey);
+    if (!entry) return;
+    await save({ ...entry, status: 'pending', attempts: 0, nextAttemptAt: 0 });
+    outbox.flush();
+  },
+
+  /**
+   * Send due entries in order. Stops at the first entry still backing off
+   * so a reopen never overtakes the completion it undoes, and skips entries
+   * held by a dead-lettered one for the same quest.
+   */
+  async flush() {
+    if (flushing) {
+      flushAgain = true;
+      return;
+    }
+    if (!gateway.isConnected) return;
+
+    flushing = true;
+    try {
+      const sessionKey = getSessionKey(store.get().settings.agentId);
+      for (const { idempotencyKey } of [...entries]) {
+        // Re-read: entries may be cancelled or changed while we await
+        const entry = entries.find((e) => e.idempotencyKey === idempotencyKey);
+        if (isStale()) break;
+        if (entry?.status !== 'pending') continue;
+        if (isHeldByDeadEntry(entry, entries)) continue;
+        if (entry.nextAttemptAt > Date.now()) break;
+        if (!(await attempt(entry, sessionKey))) break;
+      }
+    } catch {
+      // Transport failure — already recorded on the entry
+    } finally {
+      flushing = false;
+    }
+
+    if (flushAgain) {
+      flushAgain = false;
+      return outbox.flush();
+    }
+    scheduleRetry();
+  },
+
+  get pending() {
+    return entries.filter((e) => e.status === 'pending');
+  },
+
+  get deadLetters() {
+    return entries.filter((e) => e.status === 'dead');
+  },
+};
+
+gateway.on('connected', () => outbox.flush());
@@ -9,48 +9,337 @@
  *   2. ⬜️ Complete API integration tests
  *   3. ⬜️ Update documentation for new endpoints
  *   4. ⬜️ Deploy staging environment
+ *
+ * Quest lines may carry hints, which are lifted out of the text:
+ *   🔥 or !! (high priority), #tags, (+50 XP) rewards and "by 14:00" due times.
+ * Indented `1.1` lines or `-` bullets under a quest become its subtasks:
+ *   2. ⬜️ 🔥 Complete API integration tests (+50 XP) #backend by 14:00
+ *      2.1 ✅ Auth endpoints
+ *      - ⬜️ Billing endpoints
+ *
+ * The stats line and hints may be in any language of VOCABULARIES:
+ *   Tag 42 | Serie: 5 | Herzen: 3
+ *   2. ⬜️ API-Tests fertigstellen (+50 EP) bis 14:00
+ *
+ * A fenced ```json (or ```quest) block is preferred when present:
+ *   ```quest
+ *   { "day": 42,
+ *     "stats": { "streak": 5, "hearts": 3, "xp": 1250, "level": 7 },
+ *     "items": [{ "id": "pr-review", "text": "Review PR for auth module", "completed": true }] }
+ *   ```
+ */
+
+/**
+ * Words the agent may use for the stats line and quest hints, per language,
+ * as regex alternations. Every vocabulary is tried: the agent doesn't
+ * necessarily answer in the UI language.
  */
+export const VOCABULARIES = {
+  en: {
+    day: 'Day', streak: 'Streak', hearts: 'Hearts?|Lives', xp: 'XP', level: 'Level|Lvl?', due: 'by',
+  },
+  de: {
+    day: 'Tag', streak: 'Serie|Strähne', hearts: 'Herzen|Herz|Leben', xp: 'XP|EP', level: 'Level|Stufe', due: 'bis(?:\\s+um)?',
+  },
+  es: {
+    day: 'Día|Dia', streak: 'Racha', hearts: 'Corazones|Corazón|Vidas', xp: 'XP|PX', level: 'Nivel', due: 'antes de las|para las',
+  },
+  fr: {
+    day: 'Jour', streak: 'Série|Serie', hearts: 'Cœurs|Coeurs|Vies', xp: 'XP', level: 'Niveau', due: "avant|d'ici",
+  },
+};
 
-const STATS_PATTERN = /Day\s+(\d+)\s*\|?\s*.*?Streak[:\s]+(\d+)\s*\|?\s*.*?Hearts?[:\s]+(\d+)\s*\|?\s*.*?XP[:\s]+([\d,]+)\s*\|?\s*.*?Level[:\s]+(\d+)/i;
+const STAT_KEYS = ['streak', 'hearts', 'xp', 'level'];
+
+// Any language's words for `key`, as a whole word (\b is ASCII-only)
+function vocabulary(key) {
+  const words = [...new Set(Object.values(VOCABULARIES).map((vocab) => vocab[key]))].join('|');
+  return `(?<![\\p{L}\\p{N}])(?:${words})(?!\\p{L})`;
+}
+
+// 1250, 1,250, 1.250 or 1 250
+const NUMBER = '(\\d{1,3}(?:[.,\\s\\u00a0\\u202f]\\d{3})+|\\d+)';
+
+const DAY_PATTERN = new RegExp(`${vocabulary('day')}\\s+(\\d+)`, 'iu');
+
+const STAT_PATTERNS = Object.fromEntries(STAT_KEYS.map((key) => (
+  [key, new RegExp(`${vocabulary(key)}\\s*[:.]?\\s*${NUMBER}`, 'iu')]
+)));
 
 const TASK_LINE_PATTERN = /^\s*(\d+)\.\s*(✅|⬜️?|☑️|🔲|▪️|\[x\]|\[\s?\])\s*(.+)$/;
 
+const SUBTASK_LINE_PATTERN = /^\s*(\d+)\.(\d+)\.?\s*(✅|⬜️?|☑️|🔲|▪️|\[x\]|\[\s?\])?\s*(.+)$/;
+
+// Bullets only count as subtasks when indented under their quest
+const BULLET_LINE_PATTERN = /^\s+[-*•]\s+(✅|⬜️?|☑️|🔲|▪️|\[x\]|\[\s?\])?\s*(.+)$/;
+
+const PRIORITY_PATTERN = /(?:🔥|!!)/gu;
+const TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+const REWARD_PATTERN = new RegExp(`\\(\\s*\\+?\\s*${NUMBER}\\s*(?:${vocabulary('xp')})\\s*\\)`, 'iu');
+const DUE_PATTERN = new RegExp(`${vocabulary('due')}\\s+([01]?\\d|2[0-3]):([0-5]\\d)(?!\\d)`, 'iu');
+
+const PRIORITIES = ['high', 'normal', 'low'];
+
+const FENCED_BLOCK_PATTERN = /```(json|quest)[^\S\n]*\n([\s\S]*?)```/gi;
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+const DUE_VALUE_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateItems(items, path, errors, seen) {
+  if (!Array.isArray(items)) {
+    errors.push(`${path} must be an array`);
+    return;
+  }
+
+  items.forEach((item, i) => {
+    const at = `${path}[${i}]`;
+    if (item === null || typeof item !== 'object') {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    if (typeof item.id !== 'string' || !item.id.trim()) {
+      errors.push(`${at}.id must be a non-empty string`);
+    } else if (seen.has(item.id)) {
+      errors.push(`${at}.id "${item.id}" is duplicated`);
+    } else {
+      seen.add(item.id);
+    }
+    if (typeof item.text !== 'string' || !item.text.trim()) {
+      errors.push(`${at}.text must be a non-empty string`);
+    }
+    if (item.completed != null && typeof item.completed !== 'boolean') {
+      errors.push(`${at}.completed must be a boolean`);
+    }
+    if (item.priority != null && !PRIORITIES.includes(item.priority)) {
+      errors.push(`${at}.priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (item.tags != null && !(Array.isArray(item.tags) && item.tags.every((t) => typeof t === 'string'))) {
+      errors.push(`${at}.tags must be an array of strings`);
+    }
+    if (item.xp != null && !isCount(item.xp)) {
+      errors.push(`${at}.xp must be a non-negative integer`);
+    }
+    if (item.due != null && !(typeof item.due === 'string' && DUE_VALUE_PATTERN.test(item.due))) {
+      errors.push(`${at}.due must be a HH:MM time`);
+    }
+    if (item.subtasks != null) {
+      // Only one level of nesting
+      if (path !== 'items') {
+        errors.push(`${at}.subtasks cannot be nested further`);
+      } else {
+        validateItems(item.subtasks, `${at}.subtasks`, errors, seen);
+      }
+    }
+  });
+}
+
+/**
+ * Check a decoded quest payload against the expected shape.
+ * Returns a list of problems; empty means valid.
+ */
+export function validateQuestPayload(payload) {
+  const errors = [];
+
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return ['payload must be an object'];
+  }
+
+  if (payload.day != null && !isCount(payload.day)) {
+    errors.push('day must be a non-negative integer');
+  }
+
+  if (payload.stats != null) {
+    if (typeof payload.stats !== 'object' || Array.isArray(payload.stats)) {
+      errors.push('stats must be an object');
+    } else {
+      for (const key of STAT_KEYS) {
+        if (payload.stats[key] != null && !isCount(payload.stats[key])) {
+          errors.push(`stats.${key} must be a non-negative integer`);
+        }
+      }
+    }
+  }
+
+  if (payload.items != null) {
+    validateItems(payload.items, 'items', errors, new Set());
+  }
+
+  if (payload.stats == null && payload.items == null) {
+    errors.push('payload needs stats or items');
+  }
+
+  return errors;
+}
+
+function normalizeStructuredItem(item) {
+  const result = {
+    id: item.id,
+    text: item.text.trim(),
+    completed: item.completed === true,
+  };
+  if (item.priority && item.priority !== 'normal') result.priority = item.priority;
+  if (item.tags?.length) result.tags = [...item.tags];
+  if (item.xp != null) result.xp = item.xp;
+  if (item.due) result.due = item.due;
+  if (item.subtasks?.length) result.subtasks = item.subtasks.map(normalizeStructuredItem);
+  return result;
+}
+
+/**
+ * Find the first fenced json/quest block that is a valid quest payload.
+ */
+function parseStructuredPayload(text) {
+  for (const [, lang, body] of text.matchAll(FENCED_BLOCK_PATTERN)) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      if (lang.toLowerCase() === 'quest') console.warn('[parser] quest block is not valid JSON');
+      continue;
+    }
+
+    const errors = validateQuestPayload(payload);
+    if (errors.length > 0) {
+      console.warn('[parser] ignoring invalid quest payload:', errors);
+      continue;
+    }
+
+    let stats = null;
+    if (payload.stats) {
+      stats = {};
+      for (const key of STAT_KEYS) {
+        if (payload.stats[key] != null) stats[key] = payload.stats[key];
+      }
+    }
+
+    return {
+      day: payload.day ?? null,
+      stats,
+      items: (payload.items || []).map(normalizeStructuredItem),
+    };
+  }
+  return null;
+}
+
+function parseNumber(digits) {
+  return parseInt(digits.replace(/\D/g, ''), 10);
+}
+
+/**
+ * Find the stats line: a day number with at least one stat next to it.
+ * Stats the line doesn't mention are left out, so they keep their last
+ * known value.
+ */
+function parseStatsLine(lines) {
+  for (const line of lines) {
+    const day = line.match(DAY_PATTERN);
+    if (!day) continue;
+
+    const stats = {};
+    for (const key of STAT_KEYS) {
+      const match = line.match(STAT_PATTERNS[key]);
+      if (match) stats[key] = parseNumber(match[1]);
+    }
+    if (Object.keys(stats).length > 0) return { day: parseInt(day[1], 10), stats };
+  }
+  return null;
+}
+
+function isChecked(check) {
+  return check === '✅' || check === '☑️' || check === '[x]';
+}
+
+/**
+ * Lift priority, tags, XP reward and due time out of a quest line.
+ */
+export function parseItemHints(raw) {
+  let text = raw;
+  const hints = {};
+
+  if (PRIORITY_PATTERN.test(text)) {
+    hints.priority = 'high';
+    text = text.replace(PRIORITY_PATTERN, ' ');
+  }
+  PRIORITY_PATTERN.lastIndex = 0;
+
+  const reward = text.match(REWARD_PATTERN);
+  if (reward) {
+    hints.xp = parseNumber(reward[1]);
+    text = text.replace(REWARD_PATTERN, ' ');
+  }
+
+  const due = text.match(DUE_PATTERN);
+  if (due) {
+    hints.due = `${due[1].padStart(2, '0')}:${due[2]}`;
+    text = text.replace(DUE_PATTERN, ' ');
+  }
+
+  const tags = [...text.matchAll(TAG_PATTERN)].map((m) => m[2]);
+  if (tags.length > 0) {
+    hints.tags = tags;
+    text = text.replace(TAG_PATTERN, ' ');
+  }
+
+  return { text: text.replace(/\s+/g, ' ').trim() || raw.trim(), ...hints };
+}
+
 export function parseTaskMessage(text) {
   if (!text || typeof text !== 'string') {
     return null;
   }
 
-  const statsMatch = text.match(STATS_PATTERN);
+  const structured = parseStructuredPayload(text);
+  if (structured) {
+    return structured;
+  }
+
   const lines = text.split('\n');
+  const statsLine = parseStatsLine(lines);
 
   const items = [];
+  let parent = null;
   for (const line of lines) {
     const taskMatch = line.match(TASK_LINE_PATTERN);
     if (taskMatch) {
       const [, num, check, taskText] = taskMatch;
-      const completed = check === '✅' || check === '☑️' || check === '[x]';
-      items.push({
+      parent = {
         id: parseInt(num, 10),
-        text: taskText.trim(),
-        completed,
+        completed: isChecked(check),
+        ...parseItemHints(taskText),
+      };
+      items.push(parent);
+      continue;
+    }
+
+    // Sub-items only count while directly under a quest line, and N.M
+    // lines only under quest N
+    const subMatch = parent && line.match(SUBTASK_LINE_PATTERN);
+    const ownSub = subMatch && parseInt(subMatch[1], 10) === parent.id;
+    const bulletMatch = parent && !subMatch && line.match(BULLET_LINE_PATTERN);
+    if (ownSub || bulletMatch) {
+      const [check, subText] = ownSub ? subMatch.slice(3) : bulletMatch.slice(1);
+      parent.subtasks ??= [];
+      parent.subtasks.push({
+        id: `${parent.id}.${ownSub ? parseInt(subMatch[2], 10) : parent.subtasks.length + 1}`,
+        completed: isChecked(check),
+        ...parseItemHints(subText),
       });
+      continue;
     }
+
+    parent = null;
   }
 
-  if (!statsMatch && items.length === 0) {
+  if (!statsLine && items.length === 0) {
     return null;
   }
 
   return {
-    day: statsMatch ? parseInt(statsMatch[1], 10) : null,
-    stats: statsMatch
-      ? {
-          streak: parseInt(statsMatch[2], 10),
-          hearts: parseInt(statsMatch[3], 10),
-          xp: parseInt(statsMatch[4].replace(/,/g, ''), 10),
-          level: parseInt(statsMatch[5], 10),
-        }
-      : null,
+    day: statsLine?.day ?? null,
+    stats: statsLine?.stats ?? null,
     items,
   };
 }
@@ -0,0 +1,144 @@
+/**
+ * Named gateway/agent profiles.
+ *
+ * Switching stashes the current profile's quests, loads the target's
+ * settings and quests, points IndexedDB (history, outbox) at the target's
+ * database and reconnects.
+ */
+
+import { store } from './store.js';
+import { deleteDB } from './db.js';
+import { gateway } from './gateway/connection.js';
+import { outbox } from './outbox.js';
+import { encryptToken } from './gateway/token-vault.js';
+
+const EMPTY_TASKS = {
+  day: null,
+  date: null,
+  stale: false,
+  stats: { streak: 0, hearts: 0, xp: 0, level: 1 },
+  items: [],
+  provisional: [],
+  focusSession: null,
+  focusTracked: {},
+  rawMessage: null,
+};
+
+export function getActiveProfile() {
+  const { profiles, activeProfileId } = store.get();
+  return profiles.find((p) => p.id === activeProfileId) || profiles[0];
+}
+
+/**
+ * Save name and connection fields for the active profile.
+ */
+export function saveActiveProfile({ name, gatewayUrl, authToken, agentId }) {
+  const { settings, profiles, activeProfileId } = store.get();
+  store.set({
+    settings: { ...settings, gatewayUrl, authToken, agentId },
+    profiles: profiles.map((p) => (
+      p.id === activeProfileId ? { ...p, name, gatewayUrl, authToken, agentId } : p
+    )),
+  });
+}
+
+export async function switchProfile(id) {
+  const { settings, tasks, profiles, activeProfileId } = store.get();
+  const target = profiles.find((p) => p.id === id);
+  if (!target || id === activeProfileId) return;
+
+  gateway.disconnect();
+
+  store.set({
+    profiles: profiles.map((p) => (p.id === activeProfileId ? { ...p, tasks } : p)),
+    activeProfileId: id,
+    settings: {
+      ...settings,
+      gatewayUrl: target.gatewayUrl,
+      authToken: target.authToken,
+      agentId: target.agentId,
+    },
+    tasks: target.tasks || { ...EMPTY_TASKS },
+    pendingQueue: [],
+  });
+
+  await outbox.load();
+
+  if (target.gatewayUrl) {
+    gateway.connect(store.get().settings);
+  }
+}
+
+/**
+ * Create an empty profile and make it active.
+ */
+export async function createProfile(name) {
+  const { profiles } = store.get();
+  const id = crypto.randomUUID();
+  store.set({
+    profiles: [...profiles, { id, name, gatewayUrl: '', authToken: '', agentId: 'personal' }],
+  });
+  await switchProfile(id);
+  return id;
+}
+
+/**
+ * Delete a profile and its history/outbox. The last profile can't be deleted.
+ */
+export async function deleteProfile(id) {
+  const { profiles, activeProfileId } = store.get();
+  if (profiles.length <= 1) {
+    const err = new Error('Cannot delete the only profile');
+    err.code = 'LAST_PROFILE';
+    throw err;
+  }
+
+  if (id === activeProfileId) {
+    await switchProfile(profiles.find((p) => p.id !== id).id);
+  }
+
+  store.set({ profiles: store.get().profiles.filter((p) => p.id !== id) });
+
+  try {
+    await deleteDB(id);
+  } catch (err) {
+    console.warn('[profiles] failed to delete profile data', err);
+  }
+}
+
+/**
+ * Encrypt any plain-text tokens left in settings or profiles by older
+ * versions. Safe to run on every boot.
+ */
+export async function migratePlaintextTokens() {
+  const { settings, profiles } = store.get();
+  const plain = (value) => typeof value === 'string' && value !== '';
+  if (!plain(settings.authToken) && !profiles.some((p) => plain(p.authToken))) return;
+
+  const encrypted = new Map();
+  const encrypt = async (value) => {
+    if (!plain(value)) return value;
+    if (!encrypted.has(value)) encrypted.set(value, await encryptToken(value));
+    return encrypted.get(value);
+  };
+
+  const authToken = await encrypt(settings.authToken);
+  const migrated = [];
+  for (const profile of profiles) {
+    migrated.push({ ...profile, authToken: await encrypt(profile.authToken) });
+  }
+
+  // Apply on top of whatever changed while we were encrypting
+  const current = store.get();
+  store.set({
+    settings: current.settings.authToken === settings.authToken
+      ? { ...current.settings, authToken }
+      : current.settings,
+    profiles: current.profiles.map((p) => {
+      const before = profiles.find((old) => old.id === p.id);
+      const after = migrated.find((m) => m.id === p.id);
+      return before && after && p.authToken === before.authToken ? { ...p, authToken: after.authToken } : p;
+    }),
+  });
+  console.log(`[vault] encrypted ${encrypted.size} stored token(s)`);
+}
@@ -0,0 +1,151 @@
+/**
+ * Helpers for quest item trees.
+ *
+ * Items are `{ id, text, completed, priority?, tags?, xp?, due?, subtasks? }`.
+ * Ids are numbers for emoji lists and strings for structured payloads and
+ * subtasks, so lookups always compare them as strings.
+ */
+
+import { parseItemHints } from './parser.js';
+
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+
+// Labels are `tasks.sort.<mode>` in the locale catalogs
+export const SORT_MODES = ['agent', 'priority', 'due', 'xp'];
+
+export function sameId(a, b) {
+  return String(a) === String(b);
+}
+
+/**
+ * Find an item or subtask by id.
+ */
+export function findQuest(items, id) {
+  for (const item of items) {
+    if (sameId(item.id, id)) return item;
+    const sub = item.subtasks && findQuest(item.subtasks, id);
+    if (sub) return sub;
+  }
+  return null;
+}
+
+/**
+ * Return a new tree with `fn` applied to the item or subtask matching `id`.
+ */
+export function updateQuest(items, id, fn) {
+  return items.map((item) => {
+    if (sameId(item.id, id)) return fn(item);
+    if (item.subtasks) {
+      const subtasks = updateQuest(item.subtasks, id, fn);
+      if (subtasks.some((sub, i) => sub !== item.subtasks[i])) {
+        return { ...item, subtasks };
+      }
+    }
+    return item;
+  });
+}
+
+/**
+ * Sort top-level items for display; subtasks keep the agent's order.
+ * Ties fall back to the agent's order.
+ */
+export function sortQuests(items, mode = 'agent') {
+  const compare = {
+    priority: (a, b) => rank(a) - rank(b),
+    due: (a, b) => (a.due || '99:99').localeCompare(b.due || '99:99'),
+    xp: (a, b) => (b.xp ?? -1) - (a.xp ?? -1),
+  }[mode];
+
+  if (!compare) return items;
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => compare(a.item, b.item) || a.index - b.index)
+    .map(({ item }) => item);
+}
+
+function rank(item) {
+  return PRIORITY_RANK[item.priority || 'normal'];
+}
+
+/**
+ * True if a quest with a due time is still open past that time today.
+ */
+export function isOverdue(item, now = new Date()) {
+  if (!item.due || item.completed) return false;
+  const current = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  return current > item.due;
+}
+
+/**
+ * The message telling the agent a quest is done, with the minutes spent
+ * on it in focus sessions (see focus-timer.js) for it to reward.
+ */
+export function buildCompletionMessage(taskId, text, focusMinutes = 0) {
+  const focus = focusMinutes > 0 ? ` (focused ${focusMinutes} min)` : '';
+  return `Task ${taskId} completed: ${text}${focus}`;
+}
+
+/**
+ * The message undoing a completion. The agent takes back what it awarded,
+ * focus reward included.
+ */
+export function buildReopenMessage(taskId, text) {
+  return `Task ${taskId} reopened: ${text}`;
+}
+
+// ── Quests added from the app ──────────────────────────────────────
+
+// Fence language of the structured part of an add request
+export const ADD_QUEST_BLOCK = 'quest-add';
+
+/**
+ * A quest typed into the app. It is shown as provisional until an agent
+ * list contains it; hints in the text (🔥, #tags, (+50 XP), "by 14:00")
+ * are lifted out as in agent lists. `date` is the day it was added for.
+ */
+export function createProvisionalQuest(input, date, now = Date.now()) {
+  return {
+    id: `app-${crypto.randomUUID().slice(0, 8)}`,
+    ...parseItemHints(input),
+    completed: false,
+    date,
+    createdAt: now,
+  };
+}
+
+/**
+ * The message asking the agent to add a quest: a plain line it can act on
+ * as is, and a fenced block with the lifted hints. `ref` is our id for the
+ * quest, which the agent may keep as the id in a structured list.
+ */
+export function buildAddQuestMessage(quest) {
+  const payload = {
+    ref: quest.id,
+    text: quest.text,
+    priority: quest.priority,
+    tags: quest.tags,
+    xp: quest.xp,
+    due: quest.due,
+  };
+  return `Add quest: ${quest.text}\n\n\`\`\`${ADD_QUEST_BLOCK}\n${JSON.stringify(payload)}\n\`\`\``;
+}
+
+function normalizeText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function listsQuest(items, quest) {
+  const text = normalizeText(quest.text);
+  return items.some((item) => sameId(item.id, quest.id)
+    || normalizeText(item.text) === text
+    || (item.subtasks && listsQuest(item.subtasks, quest)));
+}
+
+/**
+ * The provisional quests still waiting after an agent list for `date`
+ * arrived: the ones the list picked up (by our id or by text) are done,
+ * and ones added for an earlier day are dropped with that day.
+ */
+export function reconcileProvisional(provisional, items, date) {
+  return provisional.filter((quest) => quest.date >= date && !listsQuest(items, quest));
+}
@@ -0,0 +1,250 @@
+/**
+ * Local reminders: a daily check-in nudge while quests are open, a
+ * streak-at-risk warning before the day ends, and a heads-up when the agent
+ * pushes new quests while the app is in the background.
+ *
+ * Everything runs from cached state, so reminders fire offline too. Timers
+ * only run while the page is alive; where the browser supports notification
+ * triggers, the same reminders are also handed to the service worker so they
+ * fire with the app closed.
+ */
+
+import { store } from './store.js';
+import { dayKey, nextDayStart } from './rollover.js';
+import { t } from './i18n.js';
+
+const LOG_KEY = 'forge_reminder_log';
+const TAG_CHECK_IN = 'forge-check-in';
+const TAG_STREAK = 'forge-streak-risk';
+const TAG_QUESTS = 'forge-new-quests';
+const ICON = '/icons/icon-192.svg';
+
+export const DEFAULT_REMINDERS = {
+  enabled: false,
+  checkInTime: '18:00',
+  streakWarning: true,
+  streakWarningMinutes: 60,
+  newQuests: true,
+};
+
+let timers = [];
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+function getPrefs() {
+  return { ...DEFAULT_REMINDERS, ...store.get().settings.reminders };
+}
+
+function readLog() {
+  try {
+    return JSON.parse(localStorage.getItem(LOG_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Record that a reminder fired today; returns false if it already had.
+ */
+function markSent(kind) {
+  const log = readLog();
+  const today = dayKey();
+  if (log[kind] === today) return false;
+  localStorage.setItem(LOG_KEY, JSON.stringify({ ...log, [kind]: today }));
+  return true;
+}
+
+function timeToday(hhmm, now = new Date()) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m);
+}
+
+function openQuestCount() {
+  const { tasks } = store.get();
+  if (tasks.date !== dayKey()) return null; // nothing loaded for today
+  return tasks.items.filter((item) => !item.completed).length;
+}
+
+export function notificationsSupported() {
+  return 'Notification' in window;
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Show a notification, preferring the service worker (required on mobile).
+ */
+export async function notify(title, options = {}) {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+
+  const full = { icon: ICON, badge: ICON, data: { url: '/' }, ...options };
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) {
+      await reg.showNotification(title, full);
+      return;
+    }
+  } catch { /* fall back to a page notification */ }
+  new Notification(title, full);
+}
+
+// ── Reminder content ───────────────────────────────────────────────
+
+function checkInMessage() {
+  const open = openQuestCount();
+  if (open === 0) return null;
+  return open === null
+    ? { title: t('reminders.checkInTitle'), body: t('reminders.notLoaded') }
+    : { title: t('reminders.stillOpen', { count: open }), body: t('reminders.checkInBody') };
+}
+
+function streakMessage() {
+  const open = openQuestCount();
+  if (open === 0) return null;
+  const { streak } = store.get().tasks.stats;
+  return {
+    title: streak > 0 ? t('reminders.streakAtRisk', { streak }) : t('reminders.dayAlmostOver'),
+    body: open === null ? t('reminders.notCheckedIn') : t('reminders.questsLeft', { count: open }),
+  };
+}
+
+function fire(kind, tag, message) {
+  if (!message || !markSent(kind)) return;
+  notify(message.title, { body: message.body, tag });
+}
+
+// ── Scheduling ─────────────────────────────────────────────────────
+
+function clearTimers() {
+  timers.forEach(clearTimeout);
+  timers = [];
+}
+
+function at(when, fn) {
+  const delay = when.getTime() - Date.now();
+  if (delay > 0) timers.push(setTimeout(fn, delay));
+}
+
+function isActive(prefs) {
+  return prefs.enabled && notificationsSupported() && Notification.permission === 'granted';
+}
+
+function reminderTimes(prefs, now = new Date()) {
+  const dayEnd = nextDayStart(now);
+  return {
+    checkInAt: timeToday(prefs.checkInTime, now),
+    streakAt: new Date(dayEnd.getTime() - prefs.streakWarningMinutes * 60_000),
+    dayEnd,
+  };
+}
+
+// The reminders last handed to the service worker, serialized
+let scheduledPlan = null;
+
+/**
+ * Hand today's reminders to the service worker where notification
+ * triggers exist, so they fire even with the app closed. Scheduled
+ * notifications are only replaced when their time or text changed.
+ */
+async function scheduleInServiceWorker(prefs) {
+  if (!('showTrigger' in Notification.prototype) || typeof TimestampTrigger === 'undefined') return;
+
+  const now = Date.now();
+  const { checkInAt, streakAt } = reminderTimes(prefs);
+  const plan = [
+    { tag: TAG_CHECK_IN, at: checkInAt.getTime(), message: checkInMessage() },
+    { tag: TAG_STREAK, at: streakAt.getTime(), message: prefs.streakWarning && streakMessage() },
+  ].filter((reminder) => reminder.message && reminder.at > now);
+  const key = JSON.stringify(plan);
+  if (key === scheduledPlan) return;
+
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (!reg) return;
+  scheduledPlan = key;
+
+  try {
+    const scheduled = await reg.getNotifications({ includeTriggered: false });
+    scheduled
+      .filter((n) => n.tag === TAG_CHECK_IN || n.tag === TAG_STREAK)
+      .forEach((n) => n.close());
+
+    for (const { tag, at: when, message } of plan) {
+      await reg.showNotification(message.title, {
+        body: message.body, tag, icon: ICON, data: { url: '/' },
+        showTrigger: new TimestampTrigger(when),
+      });
+    }
+  } catch (err) {
+    scheduledPlan = null;
+    throw err;
+  }
+}
+
+function updateServiceWorker(prefs) {
+  scheduleInServiceWorker(prefs).catch((err) => {
+    console.warn('[reminders] could not schedule in service worker', err);
+  });
+}
+
+function reschedule() {
+  clearTimers();
+  const prefs = getPrefs();
+  if (!isActive(prefs)) return;
+
+  const { checkInAt, streakAt, dayEnd } = reminderTimes(prefs);
+
+  at(checkInAt, () => fire('checkIn', TAG_CHECK_IN, checkInMessage()));
+  if (prefs.streakWarning) {
+    at(streakAt, () => fire('streak', TAG_STREAK, streakMessage()));
+  }
+
+  // Tomorrow's reminders
+  at(dayEnd, reschedule);
+
+  updateServiceWorker(prefs);
+}
+
+function questKeys(items) {
+  return new Set(items.map((item) => `${item.id}:${item.text}`));
+}
+
+/**
+ * Start reminders and keep them in step with settings and quest changes.
+ */
+export function startReminders() {
+  let { settings, tasks } = store.get();
+
+  store.subscribe((state) => {
+    if (state.settings.reminders !== settings.reminders
+      || state.settings.dayStartHour !== settings.dayStartHour) {
+      settings = state.settings;
+      reschedule();
+    }
+    if (state.tasks === tasks) return;
+
+    const prev = tasks;
+    tasks = state.tasks;
+
+    // The timers read the quests when they fire; only the service worker's
+    // copies carry text that may now be out of date
+    const prefs = getPrefs();
+    if (isActive(prefs)) updateServiceWorker(prefs);
+
+    // New quests arrived while we're in the background
+    if (!prefs.enabled || !prefs.newQuests || document.visibilityState !== 'hidden') return;
+    const before = questKeys(prev.items);
+    const added = state.tasks.items.filter((item) => !before.has(`${item.id}:${item.text}`));
+    if (added.length > 0 && state.tasks.items.length > 0) {
+      notify(t('reminders.newQuests'), {
+        body: added.slice(0, 3).map((item) => `• ${item.text}`).join('\n'),
+        tag: TAG_QUESTS,
+      });
+    }
+  });
+
+  reschedule();
+}
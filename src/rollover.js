@@ -0,0 +1,94 @@
+/**
+ * Day rollover.
+ *
+ * A quest list belongs to the day it was loaded for (`tasks.date`). Days
+ * start at `settings.dayStartHour` (0 = midnight), so night owls can keep
+ * working on today's list until, say, 3 AM. Once the current day moves past
+ * the loaded list - at the boundary, or when the app wakes up from the
+ * background - the list is archived one last time, marked `stale`, and the
+ * new day's quests are requested.
+ */
+
+import { store } from './store.js';
+import { localDateKey, archiveDay } from './history.js';
+
+export const MAX_DAY_START_HOUR = 6;
+
+// Timers don't fire while the app sleeps; this catches up soon after waking
+const CHECK_INTERVAL = 60_000;
+
+let checkTimer = null;
+
+export function getDayStartHour() {
+  const hour = Number(store.get().settings.dayStartHour);
+  return Number.isInteger(hour) && hour >= 0 && hour <= MAX_DAY_START_HOUR ? hour : 0;
+}
+
+/**
+ * The day (local YYYY-MM-DD) that `date` counts towards: before the
+ * day-start hour it still belongs to the previous date.
+ */
+export function dayKey(date = new Date(), dayStartHour = getDayStartHour()) {
+  const shifted = new Date(date);
+  shifted.setHours(shifted.getHours() - dayStartHour);
+  return localDateKey(shifted);
+}
+
+/**
+ * When the day after the one `now` belongs to begins.
+ */
+export function nextDayStart(now = new Date(), dayStartHour = getDayStartHour()) {
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate(), dayStartHour);
+  if (start <= now) start.setDate(start.getDate() + 1);
+  return start;
+}
+
+/**
+ * True when the loaded list is from an earlier day than `now`.
+ */
+export function isStaleList(tasks, now = new Date()) {
+  return Boolean(tasks.date) && tasks.date < dayKey(now);
+}
+
+/**
+ * Watch for the day changing under the loaded list. `onNewDay` runs once
+ * per rollover, after the old list has been archived and marked stale.
+ */
+export function startDayRollover({ onNewDay }) {
+  const check = () => {
+    const { tasks } = store.get();
+    if (!tasks.stale && isStaleList(tasks)) {
+      console.log(`[rollover] new day, ${tasks.date} is over`);
+      archiveDay(tasks).catch((err) => {
+        console.warn('[rollover] failed to archive the old list', err);
+      });
+      store.update('tasks', { ...tasks, stale: true });
+      onNewDay();
+    }
+    schedule();
+  };
+
+  const schedule = () => {
+    clearTimeout(checkTimer);
+    const untilBoundary = nextDayStart().getTime() - Date.now();
+    checkTimer = setTimeout(check, Math.min(untilBoundary, CHECK_INTERVAL));
+  };
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') check();
+  });
+  window.addEventListener('pageshow', check);
+
+  // A later day-start hour can make a stale list current again, and back
+  let { dayStartHour } = store.get().settings;
+  store.subscribe((state) => {
+    if (state.settings.dayStartHour === dayStartHour) return;
+    dayStartHour = state.settings.dayStartHour;
+    if (state.tasks.stale && !isStaleList(state.tasks)) {
+      store.update('tasks', { ...state.tasks, stale: false });
+    }
+    check();
+  });
+
+  check();
+}
@@ -1,6 +1,10 @@
+import { INITIAL_CONNECTION } from './gateway/state-machine.js';
+
 const STORAGE_KEY = 'forge_state';
 const DEVICE_KEY = 'forge_device_id';
 
+export const DEFAULT_PROFILE_ID = 'default';
+
 function getDeviceId() {
   let id = localStorage.getItem(DEVICE_KEY);
   if (!id) {
@@ -15,39 +19,74 @@ const defaultState = {
     gatewayUrl: '',
     authToken: '',
     agentId: 'personal',
+    taskSort: 'agent', // see SORT_MODES in quests.js
+    dayStartHour: 0, // hour the quest day rolls over (see rollover.js)
+    locale: 'auto', // UI language, or 'auto' to follow the browser (see i18n.js)
+    focusMinutes: 25, // focus session length (see focus-timer.js)
   },
   tasks: {
     day: null,
+    date: null, // local YYYY-MM-DD the list was loaded for
+    stale: false, // the day has moved on since (see rollover.js)
     stats: { streak: 0, hearts: 0, xp: 0, level: 1 },
     items: [],
+    // Quests added in the app that no agent list has shown yet (see quests.js)
+    provisional: [],
+    // Running focus session and time spent per quest id (see focus-timer.js)
+    focusSession: null,
+    focusTracked: {},
     rawMessage: null,
   },
-  connection: {
-    state: 'DISCONNECTED', // DISCONNECTED | CONNECTING | CONNECTED | RECONNECTING
-    error: null,
-  },
+  // Snapshot of the connection state machine (see gateway/state-machine.js)
+  connection: { ...INITIAL_CONNECTION },
+  // What the gateway negotiated in hello-ok (see negotiateHello in
+  // gateway/protocol.js); null until connected
+  capabilities: null,
+  // Round-trip samples from the heartbeat probe (see gateway/latency.js)
+  latency: null,
+  // Mirror of the IndexedDB outbox (see outbox.js); not kept in localStorage
   pendingQueue: [],
+  // Gateway/agent profiles (see profiles.js). The active profile's connection
+  // fields live in `settings` and its quests in `tasks`; inactive profiles
+  // carry their own `tasks` here.
+  profiles: [],
+  activeProfileId: DEFAULT_PROFILE_ID,
   deviceId: getDeviceId(),
 };
 
+/**
+ * Older states had a single gateway; wrap it into the default profile.
+ */
+function ensureProfiles(loaded) {
+  if (loaded.profiles.length > 0) return loaded;
+  const { gatewayUrl, authToken, agentId } = loaded.settings;
+  return {
+    ...loaded,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', gatewayUrl, authToken, agentId }],
+    activeProfileId: DEFAULT_PROFILE_ID,
+  };
+}
+
 function loadState() {
   try {
     const saved = localStorage.getItem(STORAGE_KEY);
     if (saved) {
       const parsed = JSON.parse(saved);
-      return {
+      return ensureProfiles({
         ...defaultState,
         ...parsed,
         connection: { ...defaultState.connection },
+        capabilities: null,
+        latency: null,
         deviceId: getDeviceId(),
-      };
+      });
     }
   } catch { /* ignore corrupt data */ }
-  return { ...defaultState };
+  return ensureProfiles({ ...defaultState });
 }
 
 function saveState(state) {
-  const { connection, ...persistable } = state;
+  const { connection, capabilities, latency, pendingQueue, ...persistable } = state;
   localStorage.setItem(STORAGE_KEY, JSON.stringify(persistable));
 }
 
@@ -83,26 +122,4 @@ export const store = {
     listeners.add(fn);
     return () => listeners.delete(fn);
   },
-
-  // Queue management for offline completions
-  enqueue(item) {
-    state = { ...state, pendingQueue: [...state.pendingQueue, item] };
-    saveState(state);
-    listeners.forEach((fn) => fn(state));
-  },
-
-  dequeue(idempotencyKey) {
-    state = {
-      ...state,
-      pendingQueue: state.pendingQueue.filter((i) => i.idempotencyKey !== idempotencyKey),
-    };
-    saveState(state);
-    listeners.forEach((fn) => fn(state));
-  },
-
-  clearQueue() {
-    state = { ...state, pendingQueue: [] };
-    saveState(state);
-    listeners.forEach((fn) => fn(state));
-  },
 };
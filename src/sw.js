@@ -0,0 +1,67 @@
+/**
+ * Service worker, built by vite-plugin-pwa (injectManifest strategy).
+ *
+ * Precaching and the offline app shell, reminder notification clicks, and
+ * Background Sync of the outbox: while entries are pending the app registers
+ * SYNC_TAG (see background-sync.js), and when the browser fires it the
+ * entries are sent from here, so completions ticked off offline go out even
+ * if the app was closed before the connection came back.
+ *
+ * There is no app store or localStorage in the worker: everything imported
+ * here, directly or not (outbox-flush.js, gateway/handshake.js,
+ * gateway/token-vault.js, i18n.js, ...), must do without store.js.
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+import { flushOutboxInBackground, SYNC_TAG, SYNC_MESSAGE } from './outbox-flush.js';
+
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html')));
+
+// ── Notifications ──────────────────────────────────────────────────
+
+// Focus an open window (or open one) when a notification is tapped
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const existing = clients.find((client) => 'focus' in client);
+      if (existing) return existing.focus();
+      return self.clients.openWindow(url);
+    }),
+  );
+});
+
+// ── Background Sync ────────────────────────────────────────────────
+
+async function syncOutbox() {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  // A visible app sends its own outbox over its live connection
+  if (windows.some((client) => client.visibilityState === 'visible')) return;
+
+  const result = await flushOutboxInBackground();
+  console.log('[sw] background flush:', result);
+
+  const open = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  open.forEach((client) => client.postMessage({ type: SYNC_MESSAGE, ...result }));
+
+  // A rejected sync is retried by the browser later
+  if (result.retry) throw new Error(result.error || 'Background flush failed');
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(syncOutbox());
+});
+
+// Periodic syncs recur anyway, so failures are left for the next one
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(syncOutbox().catch(() => {}));
+});
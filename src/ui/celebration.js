@@ -0,0 +1,119 @@
+import { getAchievement } from '../achievements.js';
+import { t } from '../i18n.js';
+
+const CONFETTI_COUNT = 120;
+const CONFETTI_MS = 2500;
+const OVERLAY_MS = 4000;
+const COLORS = ['#10b981', '#fbbf24', '#f97316', '#ef4444', '#667eea', '#ffffff'];
+
+const queue = [];
+let showing = false;
+
+function describe(event) {
+  if (event.id === 'level-up') {
+    return { icon: '\u{2B50}', title: t('celebration.levelUpTitle', { level: event.level }), subtitle: t('celebration.levelUp') };
+  }
+  const achievement = getAchievement(event.id);
+  return {
+    icon: achievement?.icon || '\u{1F389}',
+    title: achievement?.title || t('celebration.milestone'),
+    subtitle: event.isNew ? t('celebration.newBadge') : achievement?.description || '',
+  };
+}
+
+/**
+ * Queue a celebration overlay for a milestone event.
+ */
+export function celebrate(event) {
+  queue.push(event);
+  if (!showing) showNext();
+}
+
+function showNext() {
+  const event = queue.shift();
+  if (!event) {
+    showing = false;
+    return;
+  }
+  showing = true;
+
+  const { icon, title, subtitle } = describe(event);
+  const overlay = document.createElement('div');
+  overlay.className = 'celebration';
+  overlay.innerHTML = `
+    <canvas class="confetti"></canvas>
+    <div class="celebration-card">
+      <div class="celebration-icon">${icon}</div>
+      <div class="celebration-title"></div>
+      <div class="celebration-subtitle"></div>
+    </div>
+  `;
+  overlay.querySelector('.celebration-title').textContent = title;
+  overlay.querySelector('.celebration-subtitle').textContent = subtitle;
+  document.body.appendChild(overlay);
+
+  const stopConfetti = launchConfetti(overlay.querySelector('.confetti'));
+
+  let timer = null;
+  const close = () => {
+    clearTimeout(timer);
+    stopConfetti();
+    overlay.remove();
+    showNext();
+  };
+  overlay.addEventListener('click', close);
+  timer = setTimeout(close, OVERLAY_MS);
+}
+
+/**
+ * Canvas confetti burst. Skipped when the user prefers reduced motion.
+ * Returns a function that stops the animation.
+ */
+function launchConfetti(canvas) {
+  if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return () => {};
+
+  const ctx = canvas.getContext('2d');
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = window.innerWidth * dpr;
+  canvas.height = window.innerHeight * dpr;
+  ctx.scale(dpr, dpr);
+
+  const pieces = Array.from({ length: CONFETTI_COUNT }, () => ({
+    x: window.innerWidth / 2,
+    y: window.innerHeight / 3,
+    vx: (Math.random() - 0.5) * 12,
+    vy: Math.random() * -12 - 4,
+    size: Math.random() * 6 + 4,
+    rotation: Math.random() * Math.PI,
+    spin: (Math.random() - 0.5) * 0.3,
+    color: COLORS[Math.floor(Math.random() * COLORS.length)],
+  }));
+
+  const start = performance.now();
+  let frame = null;
+
+  function draw(now) {
+    const elapsed = now - start;
+    ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
+    ctx.globalAlpha = Math.max(0, 1 - elapsed / CONFETTI_MS);
+
+    for (const p of pieces) {
+      p.vy += 0.35;
+      p.vx *= 0.99;
+      p.x += p.vx;
+      p.y += p.vy;
+      p.rotation += p.spin;
+      ctx.save();
+      ctx.translate(p.x, p.y);
+      ctx.rotate(p.rotation);
+      ctx.fillStyle = p.color;
+      ctx.fillRect(-p.size / 2, -p.size / 4, p.size, p.size / 2);
+      ctx.restore();
+    }
+
+    if (elapsed < CONFETTI_MS) frame = requestAnimationFrame(draw);
+  }
+
+  frame = requestAnimationFrame(draw);
+  return () => cancelAnimationFrame(frame);
+}
@@ -0,0 +1,89 @@
+/**
+ * Small SVG chart builders. Each returns markup so views can drop it into
+ * their templates; nothing here touches the DOM or the network.
+ */
+
+import { t, formatDate } from '../i18n.js';
+
+const CELL = 12;
+const GAP = 3;
+const HEAT_LEVELS = 4;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHORT_DATE = { month: 'short', day: 'numeric' };
+
+/**
+ * Calendar heatmap: one column per week, one row per weekday (Sun → Sat),
+ * ending with the week that contains `endDate`.
+ *
+ * @param {Map<string, number>} counts  local YYYY-MM-DD → value
+ * @param {{ weeks?: number, endDate?: Date, dateKey: (d: Date) => string }} options
+ */
+export function heatmapSvg(counts, { weeks = 26, endDate = new Date(), dateKey }) {
+  const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  const start = new Date(end);
+  start.setDate(end.getDate() - end.getDay() - (weeks - 1) * 7);
+
+  const max = Math.max(1, ...counts.values());
+  const cells = [];
+
+  for (let d = new Date(start), i = 0; d <= end; d.setDate(d.getDate() + 1), i++) {
+    const key = dateKey(d);
+    const count = counts.get(key) || 0;
+    const level = count === 0 ? 0 : Math.ceil((count / max) * HEAT_LEVELS);
+    const x = Math.floor(i / 7) * (CELL + GAP);
+    const y = d.getDay() * (CELL + GAP);
+    const label = t('charts.heatCell', { date: key, count });
+    cells.push(
+      `<rect class="heat-${level}" x="${x}" y="${y}" width="${CELL}" height="${CELL}" rx="2"><title>${label}</title></rect>`,
+    );
+  }
+
+  const width = weeks * (CELL + GAP) - GAP;
+  const height = 7 * (CELL + GAP) - GAP;
+  return `
+    <svg class="heatmap" viewBox="0 0 ${width} ${height}" role="img" aria-label="${t('charts.heatmapLabel')}">
+      ${cells.join('')}
+    </svg>
+  `;
+}
+
+/**
+ * Line chart over time.
+ *
+ * @param {{ time: number, value: number }[]} points  sorted by time
+ */
+export function lineChartSvg(points, { width = 320, height = 120, format = String } = {}) {
+  if (points.length < 2) {
+    return `<p class="chart-empty">${t('charts.notEnoughData')}</p>`;
+  }
+
+  const pad = { top: 10, right: 8, bottom: 18, left: 36 };
+  const innerW = width - pad.left - pad.right;
+  const innerH = height - pad.top - pad.bottom;
+
+  const t0 = points[0].time;
+  const t1 = points[points.length - 1].time;
+  const span = Math.max(t1 - t0, DAY_MS);
+  const values = points.map((p) => p.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+
+  const x = (t) => pad.left + ((t - t0) / span) * innerW;
+  const y = (v) => pad.top + innerH - ((v - min) / range) * innerH;
+
+  const path = points.map((p) => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+  const last = points[points.length - 1];
+
+  return `
+    <svg class="line-chart" viewBox="0 0 ${width} ${height}" role="img">
+      <line class="axis" x1="${pad.left}" y1="${pad.top + innerH}" x2="${width - pad.right}" y2="${pad.top + innerH}" />
+      <text class="axis-label" x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end">${format(max)}</text>
+      <text class="axis-label" x="${pad.left - 4}" y="${pad.top + innerH}" text-anchor="end">${format(min)}</text>
+      <text class="axis-label" x="${pad.left}" y="${height - 4}">${formatDate(t0, SHORT_DATE)}</text>
+      <text class="axis-label" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${formatDate(t1, SHORT_DATE)}</text>
+      <polyline class="series" points="${path}" />
+      <circle class="series-dot" cx="${x(last.time).toFixed(1)}" cy="${y(last.value).toFixed(1)}" r="3" />
+    </svg>
+  `;
+}
@@ -0,0 +1,170 @@
+import { store } from '../store.js';
+import { gateway } from '../gateway/connection.js';
+import { getSessionKey } from '../gateway/protocol.js';
+import { chatStream, extractMessageText } from '../gateway/chat-stream.js';
+import { showToast } from './status.js';
+import { escapeHtml } from './dom.js';
+import { t, errorMessage } from '../i18n.js';
+
+const HISTORY_LIMIT = 50;
+
+// Labels are translated; the messages go to the agent as written
+const QUICK_ACTIONS = [
+  { label: 'chat.quick.reshuffle', message: "Please reshuffle today's quests." },
+  { label: 'chat.quick.sick', message: "I'm sick today. Please lighten today's quests so I can keep my streak." },
+  { label: 'chat.quick.easier', message: "Today's quests feel too hard. Can you make them a bit easier?" },
+  { label: 'chat.quick.showTasks', message: "Show today's tasks" },
+];
+
+// { role: 'user' | 'assistant', text, runId?, status?: 'sending' | 'failed' | 'streaming' | 'error' }
+let transcript = [];
+let transcriptSessionKey = null;
+let unsubChat = [];
+
+export function renderChat(container) {
+  container.innerHTML = `
+    <div class="view chat-view">
+      <div class="header">
+        <button class="icon-btn" onclick="location.hash=''" title="${t('common.back')}">&#x2190;</button>
+        <h1>${t('chat.title')}</h1>
+      </div>
+      <div class="chat-log" id="chatLog" aria-live="polite"></div>
+      <div class="chat-chips" id="chatChips">
+        ${QUICK_ACTIONS.map((action, i) => `<button type="button" class="chip" data-action="${i}">${escapeHtml(t(action.label))}</button>`).join('')}
+      </div>
+      <form class="chat-form" id="chatForm">
+        <input type="text" id="chatInput" placeholder="${t('chat.placeholder')}" autocomplete="off" />
+        <button type="submit" id="chatSend">${t('chat.send')}</button>
+      </form>
+    </div>
+  `;
+
+  const sessionKey = getSessionKey(store.get().settings.agentId);
+  if (transcriptSessionKey !== sessionKey) {
+    transcript = [];
+    transcriptSessionKey = sessionKey;
+  }
+
+  renderTranscript();
+  setupStreamListeners();
+  loadHistory();
+
+  document.getElementById('chatForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('chatInput');
+    const text = input.value.trim();
+    if (!text) return;
+    input.value = '';
+    sendChat(text);
+  });
+
+  document.getElementById('chatChips').addEventListener('click', (e) => {
+    const chip = e.target.closest('[data-action]');
+    if (chip) sendChat(QUICK_ACTIONS[Number(chip.dataset.action)].message);
+  });
+}
+
+/**
+ * Replace the local transcript with the gateway's copy of the session.
+ * Keeps local entries that haven't been acknowledged yet.
+ */
+async function loadHistory() {
+  if (!gateway.isConnected || !gateway.supports('chat.history')) return;
+
+  try {
+    const res = await gateway.request('chat.history', {
+      sessionKey: transcriptSessionKey,
+      limit: HISTORY_LIMIT,
+    });
+    const history = (res.messages || [])
+      .filter((msg) => msg.role === 'user' || msg.role === 'assistant')
+      .map((msg) => ({ role: msg.role, text: extractMessageText(msg) }))
+      .filter((msg) => msg.text);
+    const unsent = transcript.filter((msg) => msg.status === 'sending' || msg.status === 'streaming');
+    transcript = [...history, ...unsent];
+    renderTranscript();
+  } catch (err) {
+    console.warn('[chat] failed to load history', err);
+  }
+}
+
+function setupStreamListeners() {
+  unsubChat.forEach((unsub) => unsub());
+
+  const isMounted = () => Boolean(document.getElementById('chatLog'));
+
+  unsubChat = [
+    chatStream.onRunDelta((sessionKey, text, runId) => {
+      upsertAssistant(runId, { text, status: 'streaming' });
+      if (isMounted()) renderTranscript();
+    }),
+    chatStream.onRunComplete((sessionKey, text, runId) => {
+      upsertAssistant(runId, { text, status: null });
+      if (isMounted()) renderTranscript();
+    }),
+    chatStream.onRunFailed((sessionKey, { runId, state, error, text }) => {
+      const note = state === 'aborted'
+        ? t('chat.replyStopped')
+        : t('chat.replyError', { error: error || t('tasks.agentErrorUnknown') });
+      upsertAssistant(runId, { text: text ? `${text}\n${note}` : note, status: 'error' });
+      if (isMounted()) renderTranscript();
+    }),
+    // Catch up on anything missed while disconnected
+    gateway.on('connected', () => {
+      if (isMounted()) loadHistory();
+    }),
+  ];
+}
+
+function upsertAssistant(runId, fields) {
+  const existing = transcript.find((msg) => msg.runId === runId);
+  if (existing) {
+    Object.assign(existing, fields);
+  } else {
+    transcript.push({ role: 'assistant', runId, ...fields });
+  }
+}
+
+async function sendChat(text) {
+  const entry = { role: 'user', text, status: 'sending' };
+  transcript.push(entry);
+  renderTranscript();
+
+  try {
+    await gateway.sendMessage(text);
+    entry.status = null;
+  } catch (err) {
+    entry.status = 'failed';
+    showToast(t('chat.notSentError', { error: errorMessage(err) }), 'error');
+  }
+  renderTranscript();
+}
+
+function renderTranscript() {
+  const log = document.getElementById('chatLog');
+  if (!log) return;
+
+  if (transcript.length === 0) {
+    log.innerHTML = `
+      <div class="empty-state">
+        <p>${gateway.isConnected ? t('chat.empty') : t('chat.offline')}</p>
+      </div>
+    `;
+    return;
+  }
+
+  log.innerHTML = transcript
+    .map((msg) => {
+      const statusClass = msg.status ? `is-${msg.status}` : '';
+      const note = msg.status === 'sending' ? t('chat.sending') : msg.status === 'failed' ? t('chat.notSent') : '';
+      return `
+        <div class="chat-msg ${msg.role} ${statusClass}">
+          <div class="chat-bubble">${escapeHtml(msg.text || '')}</div>
+          ${note ? `<div class="chat-note">${note}</div>` : ''}
+        </div>
+      `;
+    })
+    .join('');
+
+  log.scrollTop = log.scrollHeight;
+}
@@ -0,0 +1,150 @@
+import { store } from '../store.js';
+import { gateway } from '../gateway/connection.js';
+import {
+  getOrCreateDeviceIdentity, rotateDeviceIdentity, deleteDeviceIdentity,
+  exportDeviceIdentity, importDeviceIdentity,
+} from '../gateway/device-identity.js';
+import { showToast } from './status.js';
+import { qrSvg } from './qr.js';
+import { downloadFile } from './dom.js';
+import { t, formatDate, errorMessage } from '../i18n.js';
+
+const MIN_PASSPHRASE = 8;
+
+/**
+ * Device identity section of the settings view: fingerprint (copy + QR),
+ * creation date, rotate/delete and encrypted export/import.
+ */
+export async function renderDeviceSection(container) {
+  container.innerHTML = `<div class="loading"><div class="loading-spinner"></div></div>`;
+
+  let identity;
+  try {
+    identity = await getOrCreateDeviceIdentity();
+  } catch (err) {
+    console.error('[device] failed to load identity', err);
+    container.innerHTML = `<p class="form-hint">${t('device.unavailable')}</p>`;
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="form-hint">${t('device.intro', { command: '<code>openclaw devices approve</code>' })}</p>
+    <div class="device-fingerprint" title="${t('device.fingerprint')}">${groupFingerprint(identity.id)}</div>
+    <p class="form-hint">${identity.createdAt ? t('device.created', { date: formatDate(identity.createdAt, { month: 'short', day: 'numeric', year: 'numeric' }) }) : t('device.createdUnknown')}</p>
+    <div class="settings-actions">
+      <button type="button" id="copyDeviceBtn" class="btn-secondary">${t('device.copy')}</button>
+      <button type="button" id="qrDeviceBtn" class="btn-secondary">${t('device.qr')}</button>
+    </div>
+    <div id="deviceQr" class="device-qr" hidden>${qrSvg(identity.id, { label: t('device.fingerprintQr') })}</div>
+    <div class="settings-actions">
+      <button type="button" id="rotateDeviceBtn" class="btn-secondary">${t('device.rotate')}</button>
+      <button type="button" id="deleteDeviceBtn" class="btn-secondary">${t('device.delete')}</button>
+    </div>
+    <div class="form-group">
+      <label for="devicePassphrase">${t('device.passphrase')}</label>
+      <input type="password" id="devicePassphrase" autocomplete="new-password" placeholder="${t('device.passphrasePlaceholder', { min: MIN_PASSPHRASE })}" />
+    </div>
+    <div class="settings-actions">
+      <button type="button" id="exportDeviceBtn" class="btn-secondary">${t('device.export')}</button>
+      <button type="button" id="importDeviceBtn" class="btn-secondary">${t('device.import')}</button>
+      <input type="file" id="importDeviceFile" accept="application/json,.json" hidden />
+    </div>
+  `;
+
+  const rerender = () => renderDeviceSection(container);
+  const passphraseInput = container.querySelector('#devicePassphrase');
+
+  container.querySelector('#copyDeviceBtn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(identity.id);
+      showToast(t('device.copied'), 'success');
+    } catch {
+      showToast(t('device.copyFailed'), 'error');
+    }
+  });
+
+  container.querySelector('#qrDeviceBtn').addEventListener('click', () => {
+    const qr = container.querySelector('#deviceQr');
+    qr.hidden = !qr.hidden;
+  });
+
+  container.querySelector('#rotateDeviceBtn').addEventListener('click', async () => {
+    if (!confirm(t('device.confirmRotate'))) return;
+    await replaceIdentity(() => rotateDeviceIdentity(), t('device.rotated'));
+    rerender();
+  });
+
+  container.querySelector('#deleteDeviceBtn').addEventListener('click', async () => {
+    if (!confirm(t('device.confirmDelete'))) return;
+    await replaceIdentity(() => deleteDeviceIdentity(), t('device.deleted'));
+    rerender();
+  });
+
+  container.querySelector('#exportDeviceBtn').addEventListener('click', async () => {
+    const passphrase = passphraseInput.value;
+    if (passphrase.length < MIN_PASSPHRASE) {
+      showToast(t('device.passphraseTooShort', { min: MIN_PASSPHRASE }), 'error');
+      passphraseInput.focus();
+      return;
+    }
+    try {
+      const bundle = await exportDeviceIdentity(passphrase);
+      downloadFile(`agent-forge-device-${identity.id.slice(0, 8)}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+      passphraseInput.value = '';
+      showToast(t('device.exported'), 'success');
+    } catch (err) {
+      console.error('[device] export failed', err);
+      showToast(t('settings.exportFailed', { error: errorMessage(err) }), 'error');
+    }
+  });
+
+  const importFile = container.querySelector('#importDeviceFile');
+  container.querySelector('#importDeviceBtn').addEventListener('click', () => {
+    if (!passphraseInput.value) {
+      showToast(t('device.passphraseFirst'), 'error');
+      passphraseInput.focus();
+      return;
+    }
+    importFile.click();
+  });
+
+  importFile.addEventListener('change', async () => {
+    const [file] = importFile.files;
+    importFile.value = '';
+    if (!file) return;
+
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch {
+      showToast(t('settings.invalidJson'), 'error');
+      return;
+    }
+    const passphrase = passphraseInput.value;
+    if (await replaceIdentity(() => importDeviceIdentity(bundle, passphrase), t('device.imported'))) {
+      rerender();
+    }
+  });
+}
+
+/**
+ * Run an identity change and reconnect so the gateway sees the new key.
+ */
+async function replaceIdentity(change, successMessage) {
+  try {
+    await change();
+  } catch (err) {
+    console.error('[device] identity change failed', err);
+    showToast(errorMessage(err), 'error');
+    return false;
+  }
+
+  showToast(successMessage, 'success');
+  const { settings } = store.get();
+  if (settings.gatewayUrl) gateway.connect(settings);
+  return true;
+}
+
+function groupFingerprint(id) {
+  return id.match(/.{1,4}/g).join(' ');
+}
@@ -0,0 +1,188 @@
+import { store } from '../store.js';
+import { gateway } from '../gateway/connection.js';
+import { showToast } from './status.js';
+import { escapeHtml } from './dom.js';
+import { t, formatTime } from '../i18n.js';
+
+const REFRESH_MS = 1000;
+const FRAMES_SHOWN = 50;
+const CLOCK = { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+
+let refreshTimer = null;
+
+/**
+ * Connection diagnostics: state machine snapshot, transition log and the
+ * most recent (redacted) frames. Refreshes itself while on screen.
+ */
+export function renderDiagnostics(container) {
+  container.innerHTML = `
+    <div class="view" id="diagnosticsView">
+      <div class="header">
+        <button class="icon-btn" onclick="location.hash=''" title="${t('common.back')}">&#x2190;</button>
+        <h1>${t('diagnostics.title')}</h1>
+      </div>
+      <div id="diagnosticsSummary" class="diag-summary"></div>
+      <div class="settings-actions">
+        <button type="button" id="diagReconnectBtn" class="btn-secondary">${t('diagnostics.reconnect')}</button>
+        <button type="button" id="diagCopyBtn" class="btn-secondary">${t('diagnostics.copyReport')}</button>
+      </div>
+      <h2>${t('diagnostics.transitions')}</h2>
+      <ul id="diagnosticsTransitions" class="diag-list"></ul>
+      <h2>${t('diagnostics.frames')}</h2>
+      <ul id="diagnosticsFrames" class="diag-list"></ul>
+    </div>
+  `;
+
+  document.getElementById('diagReconnectBtn').addEventListener('click', () => {
+    const { settings } = store.get();
+    if (!settings.gatewayUrl) {
+      showToast(t('diagnostics.noGateway'), 'error');
+      return;
+    }
+    gateway.connect(settings);
+  });
+
+  document.getElementById('diagCopyBtn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(gateway.diagnostics, null, 2));
+      showToast(t('diagnostics.copied'), 'success');
+    } catch {
+      showToast(t('diagnostics.copyFailed'), 'error');
+    }
+  });
+
+  let lastTransition = null;
+  let lastFrame = null;
+
+  const refresh = () => {
+    if (!document.getElementById('diagnosticsView')) {
+      clearInterval(refreshTimer);
+      refreshTimer = null;
+      return;
+    }
+
+    const diagnostics = gateway.diagnostics;
+    renderSummary(diagnostics);
+
+    // Lists only change when something new arrives; leave open frames alone otherwise
+    const transition = diagnostics.transitions.at(-1) || null;
+    if (transition !== lastTransition) {
+      lastTransition = transition;
+      renderTransitions(diagnostics.transitions);
+    }
+    const frame = diagnostics.frames.at(-1) || null;
+    if (frame !== lastFrame) {
+      lastFrame = frame;
+      renderFrames(diagnostics.frames);
+    }
+  };
+
+  clearInterval(refreshTimer);
+  refreshTimer = setInterval(refresh, REFRESH_MS);
+  refresh();
+}
+
+function renderSummary(d) {
+  const rows = [
+    [t('diagnostics.state'), t('diagnostics.stateSince', {
+      state: `<span class="diag-state diag-state-${d.state.toLowerCase()}">${d.state}</span>`,
+      age: formatAge(d.since),
+    })],
+    [t('diagnostics.gateway'), d.url ? escapeHtml(d.url) : '&mdash;'],
+    [t('diagnostics.attempts'), String(d.attempt)],
+    [t('diagnostics.nextRetry'), formatNextRetry(d)],
+    [t('diagnostics.latency'), d.latency
+      ? `${t('diagnostics.latencyValue', { average: d.latency.average, rtt: d.latency.rtt })} <span class="diag-tag">${t(`status.quality.${d.latency.quality}`)}</span>`
+      : '&mdash;'],
+    [t('diagnostics.pendingRequests'), String(d.pendingRequests)],
+  ];
+  if (d.capabilities) {
+    const { protocol, server, methods, policy } = d.capabilities;
+    rows.push([t('diagnostics.protocol'), `${protocol}${server ? ` &middot; ${t('diagnostics.server', { server: escapeHtml(server) })}` : ''}`]);
+    rows.push([t('diagnostics.tickInterval'), policy.tickIntervalMs ? `${policy.tickIntervalMs / 1000}s` : t('diagnostics.default')]);
+    rows.push([t('diagnostics.methods'), methods ? escapeHtml(methods.join(', ')) : t('diagnostics.notAdvertised')]);
+  }
+  if (d.deviceId) rows.push([t('diagnostics.awaitingApproval'), `<code>${escapeHtml(d.deviceId)}</code>`]);
+  if (d.error) {
+    rows.push([t('diagnostics.lastError'), `
+      <code>${escapeHtml(d.error.code || 'ERROR')}</code> ${escapeHtml(d.error.message || '')}
+      ${d.error.retryable ? `<span class="diag-tag">${t('diagnostics.retrying')}</span>` : ''}
+    `]);
+  }
+
+  document.getElementById('diagnosticsSummary').innerHTML = `
+    <dl>${rows.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>
+  `;
+}
+
+function renderTransitions(transitions) {
+  const list = document.getElementById('diagnosticsTransitions');
+  if (transitions.length === 0) {
+    list.innerHTML = `<li class="diag-empty">${t('diagnostics.noTransitions')}</li>`;
+    return;
+  }
+  list.innerHTML = [...transitions].reverse().map((entry) => `
+    <li class="diag-item">
+      <span class="diag-time">${formatTime(entry.at, CLOCK)}</span>
+      <span>${entry.from} &rarr; <strong>${entry.to}</strong></span>
+      <span class="diag-reason">${escapeHtml(entry.reason)}${entry.error ? ` &middot; <code>${escapeHtml(entry.error.code)}</code>` : ''}</span>
+    </li>
+  `).join('');
+}
+
+function renderFrames(frames) {
+  const list = document.getElementById('diagnosticsFrames');
+  if (frames.length === 0) {
+    list.innerHTML = `<li class="diag-empty">${t('diagnostics.noFrames')}</li>`;
+    return;
+  }
+
+  const open = new Set([...list.querySelectorAll('details[open]')].map((el) => el.dataset.key));
+  list.innerHTML = frames.slice(-FRAMES_SHOWN).reverse().map((entry) => {
+    const key = `${entry.at}-${entry.direction}-${entry.frame.id || entry.frame.event || ''}`;
+    return `
+      <li class="diag-item">
+        <details data-key="${escapeHtml(key)}" ${open.has(key) ? 'open' : ''}>
+          <summary>
+            <span class="diag-time">${formatTime(entry.at, CLOCK)}</span>
+            <span class="diag-direction">${entry.direction === 'in' ? '&darr;' : '&uarr;'}</span>
+            ${escapeHtml(describeFrame(entry.frame))}
+          </summary>
+          <pre class="diag-frame">${escapeHtml(JSON.stringify(entry.frame, null, 2))}</pre>
+        </details>
+      </li>
+    `;
+  }).join('');
+}
+
+function describeFrame(frame) {
+  switch (frame.type) {
+    case 'req':
+      return `req ${frame.method}`;
+    case 'res':
+      return `res ${frame.ok ? 'ok' : `error ${frame.error?.code || ''}`}`;
+    case 'event':
+      return `event ${frame.event}${frame.payload?.state ? ` (${frame.payload.state})` : ''}`;
+    default:
+      return frame.type || 'unknown';
+  }
+}
+
+
+function formatAge(ms) {
+  if (!ms) return '&mdash;';
+  const seconds = Math.max(0, Math.round((Date.now() - ms) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function formatNextRetry(d) {
+  if (d.nextRetryAt) return t('diagnostics.nextRetryIn', { time: formatCountdown(d.nextRetryAt) });
+  if (d.state === 'RECONNECTING' && d.paused) return t('diagnostics.retryPaused');
+  return '&mdash;';
+}
+
+function formatCountdown(ms) {
+  return `${Math.max(0, Math.ceil((ms - Date.now()) / 1000))}s`;
+}
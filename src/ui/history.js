@@ -0,0 +1,103 @@
+import { listDays, getDay, dateFromKey } from '../history.js';
+import { renderStatsBar } from './stats.js';
+import { escapeHtml } from './dom.js';
+import { t, formatDate, formatTime } from '../i18n.js';
+
+const DAY = { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' };
+
+export async function renderHistory(container, date = null) {
+  container.innerHTML = `
+    <div class="view">
+      <div class="header">
+        <button class="icon-btn" onclick="location.hash='${date ? '#history' : ''}'" title="${t('common.back')}">&#x2190;</button>
+        <h1>${date ? escapeHtml(formatDate(dateFromKey(date), DAY)) : t('history.title')}</h1>
+      </div>
+      <div id="historyContainer">
+        <div class="loading"><div class="loading-spinner"></div></div>
+      </div>
+    </div>
+  `;
+
+  const historyContainer = document.getElementById('historyContainer');
+
+  try {
+    if (date) {
+      const entry = await getDay(date);
+      renderDay(historyContainer, entry);
+    } else {
+      renderDayList(historyContainer, await listDays());
+    }
+  } catch (err) {
+    console.error('[history] failed to load', err);
+    historyContainer.innerHTML = `<div class="empty-state"><p>${t('history.loadFailed')}</p></div>`;
+  }
+}
+
+function renderDayList(container, days) {
+  if (days.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <p>${t('history.empty')}</p>
+        <p style="font-size:0.85em;opacity:0.7">${t('history.emptyHint')}</p>
+      </div>
+    `;
+    return;
+  }
+
+  const rows = days
+    .map((entry) => {
+      const done = entry.items.filter((item) => item.completed).length;
+      const total = entry.items.length;
+      const perfectClass = total > 0 && done === total ? 'perfect' : '';
+      const dayLabel = entry.day ? t('stats.day', { day: entry.day }) : '';
+      return `
+        <li>
+          <a class="history-item ${perfectClass}" href="#history/${entry.date}">
+            <span class="history-date">${escapeHtml(formatDate(dateFromKey(entry.date), DAY))}</span>
+            <span class="history-meta">${dayLabel}</span>
+            <span class="history-progress">${done}/${total}</span>
+          </a>
+        </li>
+      `;
+    })
+    .join('');
+
+  container.innerHTML = `<ul class="history-list">${rows}</ul>`;
+}
+
+function renderDay(container, entry) {
+  if (!entry) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <p>${t('history.dayMissing')}</p>
+        <button onclick="location.hash='#history'">${t('history.backToList')}</button>
+      </div>
+    `;
+    return;
+  }
+
+  const taskHtml = entry.items
+    .map((item) => {
+      const completedClass = item.completed ? 'completed' : '';
+      const checkmark = item.completed ? '&#x2713;' : '';
+      const time = item.completedAt
+        ? `<span class="task-time">${formatTime(item.completedAt, { hour: '2-digit', minute: '2-digit' })}</span>`
+        : '';
+      return `
+        <li class="task-item readonly ${completedClass}">
+          <div class="task-checkbox">${checkmark}</div>
+          <span class="task-text">${escapeHtml(item.text)}</span>
+          ${time}
+        </li>
+      `;
+    })
+    .join('');
+
+  container.innerHTML = `
+    <div id="historyStats"></div>
+    <h2>${t('history.quests')}</h2>
+    <ul class="task-list">${taskHtml}</ul>
+  `;
+
+  renderStatsBar(document.getElementById('historyStats'), entry);
+}
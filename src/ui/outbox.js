@@ -0,0 +1,102 @@
+import { store } from '../store.js';
+import { outbox } from '../outbox.js';
+import { showToast } from './status.js';
+import { escapeHtml } from './dom.js';
+import { t, formatDateTime, errorMessage } from '../i18n.js';
+
+const WHEN = { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+let unsubOutbox = null;
+
+export function renderOutbox(container) {
+  container.innerHTML = `
+    <div class="view">
+      <div class="header">
+        <button class="icon-btn" onclick="location.hash=''" title="${t('common.back')}">&#x2190;</button>
+        <h1>${t('outbox.title')}</h1>
+      </div>
+      <div id="outboxContainer"></div>
+    </div>
+  `;
+
+  renderEntries();
+
+  // Keep the list live while sends and retries happen
+  unsubOutbox?.();
+  let lastQueue = store.get().pendingQueue;
+  unsubOutbox = store.subscribe((state) => {
+    if (!document.getElementById('outboxContainer')) {
+      unsubOutbox();
+      unsubOutbox = null;
+      return;
+    }
+    if (state.pendingQueue === lastQueue) return;
+    lastQueue = state.pendingQueue;
+    renderEntries();
+  });
+}
+
+function renderEntries() {
+  const outboxContainer = document.getElementById('outboxContainer');
+  if (!outboxContainer) return;
+
+  const { pendingQueue } = store.get();
+  const pending = pendingQueue.filter((entry) => entry.status === 'pending');
+  const dead = pendingQueue.filter((entry) => entry.status === 'dead');
+
+  if (pendingQueue.length === 0) {
+    outboxContainer.innerHTML = `
+      <div class="empty-state">
+        <p>${t('outbox.empty')}</p>
+        <p style="font-size:0.85em;opacity:0.7">${t('outbox.emptyHint')}</p>
+      </div>
+    `;
+    return;
+  }
+
+  outboxContainer.innerHTML = `
+    ${pending.length > 0 ? `<h2>${t('outbox.waiting')}</h2><ul class="outbox-list">${pending.map(renderEntry).join('')}</ul>` : ''}
+    ${dead.length > 0 ? `<h2>${t('outbox.failed')}</h2><ul class="outbox-list">${dead.map(renderEntry).join('')}</ul>` : ''}
+  `;
+
+  outboxContainer.querySelectorAll('[data-action]').forEach((btn) => {
+    btn.addEventListener('click', () => handleAction(btn.dataset.action, btn.dataset.key));
+  });
+}
+
+function renderEntry(entry) {
+  const details = [t('outbox.queuedAt', { time: formatDateTime(entry.createdAt, WHEN) })];
+  if (entry.attempts > 0) {
+    details.push(t('outbox.attempts', { count: entry.attempts }));
+  }
+  if (entry.status === 'pending' && entry.nextAttemptAt > Date.now()) {
+    details.push(t('outbox.nextTry', { time: formatDateTime(entry.nextAttemptAt, WHEN) }));
+  }
+
+  const key = escapeHtml(entry.idempotencyKey);
+  return `
+    <li class="outbox-item ${entry.status}">
+      <div class="outbox-text">${escapeHtml(entry.text)}</div>
+      <div class="outbox-meta">${details.join(' &middot; ')}</div>
+      ${entry.lastError ? `<div class="outbox-error">${escapeHtml(entry.lastError)}</div>` : ''}
+      <div class="outbox-actions">
+        <button class="btn-small" data-action="retry" data-key="${key}">${t('outbox.retry')}</button>
+        <button class="btn-small btn-secondary" data-action="discard" data-key="${key}">${t('outbox.discard')}</button>
+      </div>
+    </li>
+  `;
+}
+
+async function handleAction(action, idempotencyKey) {
+  try {
+    if (action === 'retry') {
+      await outbox.retry(idempotencyKey);
+      showToast(t('outbox.retrying'), 'info');
+    } else if (action === 'discard') {
+      await outbox.discard(idempotencyKey);
+      showToast(t('outbox.discarded'), 'info');
+    }
+  } catch (err) {
+    showToast(t('outbox.error', { error: errorMessage(err) }), 'error');
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * Minimal QR code encoder (byte mode, error correction level M, versions
+ * 1–10) rendering to SVG markup. Enough for fingerprints and short URLs;
+ * nothing here touches the DOM.
+ */
+
+const QUIET_ZONE = 4;
+
+// Per version (index 0 = v1): EC codewords per block, then [blockCount, dataCodewords] groups
+const EC_M = [
+  [10, [[1, 16]]],
+  [16, [[1, 28]]],
+  [26, [[1, 44]]],
+  [18, [[2, 32]]],
+  [24, [[2, 43]]],
+  [16, [[4, 27]]],
+  [18, [[4, 31]]],
+  [22, [[2, 38], [2, 39]]],
+  [22, [[3, 36], [2, 37]]],
+  [26, [[4, 43], [1, 44]]],
+];
+
+const ALIGNMENT = [
+  [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+  [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// ── Reed–Solomon over GF(256) ──────────────────────────────────────
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = new Array(divisor.length).fill(0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+// ── Data codewords ─────────────────────────────────────────────────
+
+function dataCapacity(version) {
+  return EC_M[version - 1][1].reduce((sum, [count, size]) => sum + count * size, 0);
+}
+
+function encodeData(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4); // byte mode
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((b) => push(b, 8));
+
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/**
+ * Split into blocks, append EC codewords and interleave.
+ */
+function addErrorCorrection(data, version) {
+  const [ecLength, groups] = EC_M[version - 1];
+  const divisor = rsDivisor(ecLength);
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      const block = data.slice(offset, offset + size);
+      offset += size;
+      blocks.push({ data: block, ec: rsRemainder(block, divisor) });
+    }
+  }
+
+  const result = [];
+  const maxData = Math.max(...blocks.map((b) => b.data.length));
+  for (let i = 0; i < maxData; i++) {
+    blocks.forEach((b) => { if (i < b.data.length) result.push(b.data[i]); });
+  }
+  for (let i = 0; i < ecLength; i++) {
+    blocks.forEach((b) => result.push(b.ec[i]));
+  }
+  return result;
+}
+
+// ── Matrix ─────────────────────────────────────────────────────────
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns, skipping the three finder corners
+  const positions = ALIGNMENT[version - 1];
+  const last = positions.length - 1;
+  positions.forEach((cx, i) => {
+    positions.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Version information (v7+)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Reserve the format areas; real bits are drawn once the mask is chosen
+  drawFormat({ modules, reserved, size, set }, 0);
+
+  return { modules, reserved, size, set };
+}
+
+function drawFormat({ size, set }, mask) {
+  const data = mask; // level M is 0b00
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true); // dark module
+}
+
+function drawCodewords({ modules, reserved, size }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = upward ? size - 1 - vert : vert;
+        if (reserved[y][x]) continue;
+        if (i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask({ modules, reserved, size }, mask) {
+  const test = MASKS[mask];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && test(x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+/**
+ * Standard mask penalty: runs, 2×2 blocks, finder look-alikes, balance.
+ */
+function penalty({ modules, size }) {
+  let score = 0;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map((row) => row[x])),
+  ];
+
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      if (FINDER_LIKE.some((pattern) => pattern.every((dark, k) => line[i + k] === dark))) score += 40;
+    }
+  }
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+
+  return score;
+}
+
+// ── Public API ─────────────────────────────────────────────────────
+
+/**
+ * Encode text into a QR module matrix (true = dark).
+ * Throws if the text does not fit in version 10.
+ */
+export function encodeQr(text) {
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let version = 1;
+  const bitsNeeded = (v) => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+  while (version <= EC_M.length && bitsNeeded(version) > dataCapacity(version) * 8) version++;
+  if (version > EC_M.length) throw new Error('Text too long for QR code');
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const matrix = createMatrix(version);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormat(matrix, mask);
+    const score = penalty(matrix);
+    if (!best || score < best.score) best = { score, modules: matrix.modules };
+  }
+  return best.modules;
+}
+
+/**
+ * QR code as SVG markup, dark modules drawn as a single path.
+ */
+export function qrSvg(text, { moduleSize = 4, label = 'QR code' } = {}) {
+  const modules = encodeQr(text);
+  const size = modules.length + QUIET_ZONE * 2;
+
+  const path = [];
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path.push(`M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z`);
+    });
+  });
+
+  const px = size * moduleSize;
+  return `
+    <svg class="qr-code" viewBox="0 0 ${size} ${size}" width="${px}" height="${px}" role="img" aria-label="${label}" shape-rendering="crispEdges">
+      <rect width="${size}" height="${size}" fill="#fff"/>
+      <path d="${path.join('')}" fill="#000"/>
+    </svg>
+  `;
+}
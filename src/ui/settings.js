@@ -1,100 +1,408 @@
 import { store } from '../store.js';
 import { gateway } from '../gateway/connection.js';
 import { showToast } from './status.js';
+import { escapeHtml, downloadFile } from './dom.js';
+import {
+  DEFAULT_REMINDERS, notificationsSupported, requestNotificationPermission,
+} from '../reminders.js';
+import {
+  getActiveProfile, saveActiveProfile, switchProfile, createProfile, deleteProfile,
+} from '../profiles.js';
+import { renderDeviceSection } from './device.js';
+import {
+  encryptToken, decryptToken, hasToken, isPinProtected, TOKEN_LOCKED,
+} from '../gateway/token-vault.js';
+import {
+  buildBackup, importBackup, buildHistoryCsv, INVALID_BACKUP,
+} from '../backup.js';
+import { getDayStartHour, MAX_DAY_START_HOUR } from '../rollover.js';
+import { getFocusMinutes, FOCUS_LENGTHS } from '../focus-timer.js';
+import {
+  t, setLocale, formatTime, errorMessage, LANGUAGES,
+} from '../i18n.js';
+
+const MIN_PIN_LENGTH = 4;
 
 export function renderSettings(container) {
-  const { settings } = store.get();
+  const { settings, profiles } = store.get();
+  const active = getActiveProfile();
+  const reminders = { ...DEFAULT_REMINDERS, ...settings.reminders };
+  const tokenSaved = hasToken(settings.authToken);
+  const pinProtected = isPinProtected(settings.authToken);
+  const dayStartHour = getDayStartHour();
+  const dayStartOptions = Array.from({ length: MAX_DAY_START_HOUR + 1 }, (_, hour) => (
+    `<option value="${hour}" ${hour === dayStartHour ? 'selected' : ''}>${hour === 0 ? t('settings.dayStartMidnight') : formatHour(hour)}</option>`
+  )).join('');
+  const focusMinutes = getFocusMinutes();
+  const focusOptions = FOCUS_LENGTHS.map((minutes) => (
+    `<option value="${minutes}" ${minutes === focusMinutes ? 'selected' : ''}>${t('settings.focusMinutes', { minutes })}</option>`
+  )).join('');
+  const locale = settings.locale || 'auto';
+  const languageOptions = Object.entries({ auto: t('settings.languageAuto'), ...LANGUAGES })
+    .map(([code, name]) => `<option value="${code}" ${code === locale ? 'selected' : ''}>${escapeHtml(name)}</option>`)
+    .join('');
+
+  const profileOptions = profiles
+    .map((p) => `<option value="${escapeHtml(p.id)}" ${p.id === active.id ? 'selected' : ''}>${escapeHtml(p.name)}</option>`)
+    .join('');
 
   container.innerHTML = `
     <div class="view">
-      <h1>Settings</h1>
+      <h1>${t('settings.title')}</h1>
+      <div class="profile-bar">
+        <select id="profileSelect" class="profile-select" aria-label="${t('settings.profile')}">${profileOptions}</select>
+        <button type="button" id="addProfileBtn" class="btn-small btn-secondary">${t('settings.newProfile')}</button>
+        <button type="button" id="deleteProfileBtn" class="btn-small btn-secondary" ${profiles.length <= 1 ? 'disabled' : ''}>${t('settings.deleteProfile')}</button>
+      </div>
       <form class="settings-form" id="settingsForm">
         <div class="form-group">
-          <label for="gatewayUrl">Gateway URL</label>
+          <label for="profileName">${t('settings.profileName')}</label>
+          <input
+            type="text"
+            id="profileName"
+            placeholder="${escapeHtml(t('settings.profileNamePlaceholder'))}"
+            value="${escapeHtml(active.name)}"
+            required
+          />
+        </div>
+        <div class="form-group">
+          <label for="gatewayUrl">${t('settings.gatewayUrl')}</label>
           <input
             type="url"
             id="gatewayUrl"
             placeholder="wss://machine.tailnet.ts.net"
-            value="${escapeAttr(settings.gatewayUrl)}"
+            value="${escapeHtml(settings.gatewayUrl)}"
             required
           />
         </div>
         <div class="form-group">
-          <label for="authToken">Auth Token</label>
+          <label for="authToken">${t('settings.authToken')}</label>
           <input
             type="password"
             id="authToken"
-            placeholder="Enter your auth token"
-            value="${escapeAttr(settings.authToken)}"
-            required
+            autocomplete="off"
+            placeholder="${escapeHtml(t(tokenSaved ? 'settings.tokenSaved' : 'settings.tokenPlaceholder'))}"
+            ${tokenSaved ? '' : 'required'}
           />
         </div>
+        <label class="form-check">
+          <input type="checkbox" id="requirePin" ${pinProtected ? 'checked' : ''} />
+          ${t('settings.requirePin')}
+        </label>
+        <div class="form-group" id="pinGroup" ${pinProtected ? '' : 'hidden'}>
+          <label for="tokenPin">${t(pinProtected ? 'settings.newPin' : 'settings.pin')}</label>
+          <input type="password" id="tokenPin" inputmode="numeric" autocomplete="new-password" minlength="${MIN_PIN_LENGTH}" />
+        </div>
         <div class="form-group">
-          <label for="agentId">Agent ID</label>
+          <label for="agentId">${t('settings.agentId')}</label>
           <input
             type="text"
             id="agentId"
             placeholder="personal"
-            value="${escapeAttr(settings.agentId)}"
+            value="${escapeHtml(settings.agentId)}"
           />
         </div>
+        <div class="form-group">
+          <label for="dayStartHour">${t('settings.dayStart')}</label>
+          <select id="dayStartHour">${dayStartOptions}</select>
+          <p class="form-hint">${t('settings.dayStartHint')}</p>
+        </div>
+        <div class="form-group">
+          <label for="focusMinutes">${t('settings.focusLength')}</label>
+          <select id="focusMinutes">${focusOptions}</select>
+        </div>
+        <div class="form-group">
+          <label for="locale">${t('settings.language')}</label>
+          <select id="locale">${languageOptions}</select>
+        </div>
+        <fieldset class="form-section" ${notificationsSupported() ? '' : 'disabled'}>
+          <legend>${t('settings.reminders')}</legend>
+          <label class="form-check">
+            <input type="checkbox" id="remindersEnabled" ${reminders.enabled ? 'checked' : ''} />
+            ${t('settings.remindersEnabled')}
+          </label>
+          <div class="form-group">
+            <label for="checkInTime">${t('settings.checkInTime')}</label>
+            <input type="time" id="checkInTime" value="${escapeHtml(reminders.checkInTime)}" />
+          </div>
+          <label class="form-check">
+            <input type="checkbox" id="streakWarning" ${reminders.streakWarning ? 'checked' : ''} />
+            ${t('settings.streakWarning')}
+          </label>
+          <label class="form-check">
+            <input type="checkbox" id="newQuestsNotify" ${reminders.newQuests ? 'checked' : ''} />
+            ${t('settings.newQuestsNotify')}
+          </label>
+          ${notificationsSupported() ? '' : `<p class="form-hint">${t('settings.notificationsUnsupported')}</p>`}
+        </fieldset>
         <div class="settings-actions">
-          <button type="button" id="testBtn" class="btn-secondary">Test</button>
-          <button type="submit">Save</button>
+          <button type="button" id="testBtn" class="btn-secondary">${t('settings.test')}</button>
+          <button type="submit">${t('settings.save')}</button>
         </div>
       </form>
+      <section class="form-section data-section">
+        <h2>${t('settings.device')}</h2>
+        <div id="deviceSection"></div>
+      </section>
+      <section class="form-section data-section">
+        <h2>${t('settings.data')}</h2>
+        <p class="form-hint">${t('settings.dataHint')}</p>
+        <label class="form-check">
+          <input type="checkbox" id="includeSecrets" />
+          ${t('settings.includeSecrets')}
+        </label>
+        <div class="settings-actions">
+          <button type="button" id="exportBackupBtn" class="btn-secondary">${t('settings.exportBackup')}</button>
+          <button type="button" id="importBackupBtn" class="btn-secondary">${t('settings.importBackup')}</button>
+          <input type="file" id="importBackupFile" accept="application/json,.json" hidden />
+        </div>
+        <div class="settings-actions">
+          <button type="button" id="exportCsvBtn" class="btn-secondary">${t('settings.exportCsv')}</button>
+        </div>
+      </section>
+      <p class="form-hint settings-footer"><a href="#diagnostics">${t('settings.diagnostics')}</a></p>
     </div>
   `;
 
+  renderDeviceSection(document.getElementById('deviceSection'));
+
   const form = document.getElementById('settingsForm');
   const testBtn = document.getElementById('testBtn');
 
-  form.addEventListener('submit', (e) => {
+  document.getElementById('requirePin').addEventListener('change', (e) => {
+    document.getElementById('pinGroup').hidden = !e.target.checked;
+  });
+
+  form.addEventListener('submit', async (e) => {
     e.preventDefault();
-    saveSettings();
+    try {
+      await saveSettings();
+    } catch (err) {
+      showToast(errorMessage(err), 'error');
+      return;
+    }
+    saveDayStart();
+    saveFocusLength();
+    saveLocale();
+    await saveReminders();
     window.location.hash = '';
   });
 
   testBtn.addEventListener('click', () => testConnection());
+
+  document.getElementById('exportBackupBtn').addEventListener('click', () => exportBackup());
+  document.getElementById('exportCsvBtn').addEventListener('click', () => exportCsv());
+
+  const importFile = document.getElementById('importBackupFile');
+  document.getElementById('importBackupBtn').addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', async () => {
+    const [file] = importFile.files;
+    importFile.value = '';
+    if (!file) return;
+    if (await restoreBackup(file)) renderSettings(container);
+  });
+
+  document.getElementById('profileSelect').addEventListener('change', async (e) => {
+    await switchProfile(e.target.value);
+    showToast(t('settings.switchedProfile', { name: getActiveProfile().name }), 'success');
+    renderSettings(container);
+  });
+
+  document.getElementById('addProfileBtn').addEventListener('click', async () => {
+    await createProfile(t('settings.defaultProfileName', { number: store.get().profiles.length + 1 }));
+    renderSettings(container);
+    document.getElementById('profileName')?.select();
+  });
+
+  document.getElementById('deleteProfileBtn').addEventListener('click', async () => {
+    const { name } = getActiveProfile();
+    if (!confirm(t('settings.confirmDelete', { name }))) return;
+    try {
+      await deleteProfile(active.id);
+      showToast(t('settings.deletedProfile', { name }), 'success');
+    } catch (err) {
+      showToast(errorMessage(err), 'error');
+    }
+    renderSettings(container);
+  });
 }
 
-function saveSettings() {
+async function saveSettings() {
+  const name = document.getElementById('profileName').value.trim() || getActiveProfile().name;
   const gatewayUrl = document.getElementById('gatewayUrl').value.trim();
-  const authToken = document.getElementById('authToken').value.trim();
+  const typedToken = document.getElementById('authToken').value.trim();
   const agentId = document.getElementById('agentId').value.trim() || 'personal';
+  const requirePin = document.getElementById('requirePin').checked;
+  const pin = document.getElementById('tokenPin').value;
+
+  const { settings } = store.get();
+  const authToken = await sealToken(settings.authToken, typedToken, requirePin, pin);
+  const changed = gatewayUrl !== settings.gatewayUrl
+    || typedToken !== ''
+    || agentId !== settings.agentId;
+
+  saveActiveProfile({ name, gatewayUrl, authToken, agentId });
+  showToast(t('settings.saved'), 'success');
+
+  // Pick up the new gateway/agent right away
+  if (changed && gatewayUrl) {
+    gateway.connect(store.get().settings);
+  }
+}
+
+/**
+ * Work out the token envelope to store: re-encrypt when a new token was
+ * typed or the PIN setting changed, otherwise keep the saved one.
+ */
+async function sealToken(stored, typedToken, requirePin, pin) {
+  const pinChanged = requirePin !== isPinProtected(stored) || (requirePin && pin !== '');
+  if (!typedToken && !(hasToken(stored) && pinChanged)) return stored;
+
+  if (requirePin && pin === '') throw new Error(t('settings.pinRequired'));
+  if (requirePin && pin.length < MIN_PIN_LENGTH) {
+    throw new Error(t('settings.pinTooShort', { min: MIN_PIN_LENGTH }));
+  }
+
+  let token = typedToken;
+  if (!token) {
+    try {
+      token = await decryptToken(stored);
+    } catch (err) {
+      throw new Error(err.code === TOKEN_LOCKED
+        ? t('settings.tokenLocked')
+        : t('errors.TOKEN_UNREADABLE'));
+    }
+  }
+  return encryptToken(token, { pin: requirePin ? pin : '' });
+}
+
+function saveDayStart() {
+  const dayStartHour = Number(document.getElementById('dayStartHour').value);
+  const { settings } = store.get();
+  if (dayStartHour === settings.dayStartHour) return;
+  store.update('settings', { ...settings, dayStartHour });
+}
+
+function saveFocusLength() {
+  const focusMinutes = Number(document.getElementById('focusMinutes').value);
+  const { settings } = store.get();
+  if (focusMinutes === settings.focusMinutes) return;
+  store.update('settings', { ...settings, focusMinutes });
+}
+
+function saveLocale() {
+  const locale = document.getElementById('locale').value;
+  const { settings } = store.get();
+  if (locale === (settings.locale || 'auto')) return;
+  setLocale(locale);
+  store.update('settings', { ...settings, locale });
+}
+
+async function saveReminders() {
+  const enabledInput = document.getElementById('remindersEnabled');
+  let enabled = enabledInput.checked;
+
+  if (enabled && notificationsSupported()) {
+    const permission = await requestNotificationPermission();
+    if (permission !== 'granted') {
+      enabled = false;
+      showToast(t('settings.notificationsBlocked'), 'error');
+    }
+  }
+
+  const { settings } = store.get();
+  store.update('settings', {
+    ...settings,
+    reminders: {
+      ...DEFAULT_REMINDERS,
+      ...settings.reminders,
+      enabled,
+      checkInTime: document.getElementById('checkInTime').value || DEFAULT_REMINDERS.checkInTime,
+      streakWarning: document.getElementById('streakWarning').checked,
+      newQuests: document.getElementById('newQuestsNotify').checked,
+    },
+  });
+}
+
+async function exportBackup() {
+  const includeSecrets = document.getElementById('includeSecrets').checked;
+  try {
+    const backup = await buildBackup({ includeSecrets });
+    downloadFile(`agent-forge-backup-${fileStamp()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+    showToast(t(includeSecrets ? 'settings.backupExportedSecrets' : 'settings.backupExported'), 'success');
+  } catch (err) {
+    console.error('[settings] backup export failed', err);
+    showToast(t('settings.exportFailed', { error: errorMessage(err) }), 'error');
+  }
+}
+
+async function restoreBackup(file) {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch {
+    showToast(t('settings.invalidJson'), 'error');
+    return false;
+  }
+
+  try {
+    const result = await importBackup(backup);
+    showToast(t('settings.imported', {
+      profiles: t('settings.importedProfiles', { count: result.profiles }),
+      records: t('settings.importedRecords', { count: result.records }),
+    }), 'success');
+    return true;
+  } catch (err) {
+    console.error('[settings] backup import failed', err);
+    showToast(err.code === INVALID_BACKUP
+      ? t('errors.INVALID_BACKUP', { problems: err.problems.slice(0, 3).map(errorMessage).join('; ') })
+      : errorMessage(err), 'error');
+    return false;
+  }
+}
+
+async function exportCsv() {
+  try {
+    downloadFile(`agent-forge-history-${fileStamp()}.csv`, await buildHistoryCsv(), 'text/csv');
+  } catch (err) {
+    console.error('[settings] CSV export failed', err);
+    showToast(t('settings.exportFailed', { error: errorMessage(err) }), 'error');
+  }
+}
+
 
-  store.update('settings', { gatewayUrl, authToken, agentId });
-  showToast('Settings saved', 'success');
+function fileStamp() {
+  return new Date().toISOString().slice(0, 10);
 }
 
 async function testConnection() {
   const testBtn = document.getElementById('testBtn');
   const url = document.getElementById('gatewayUrl').value.trim();
-  const token = document.getElementById('authToken').value.trim();
+  const token = document.getElementById('authToken').value.trim() || store.get().settings.authToken;
 
-  if (!url || !token) {
-    showToast('URL and token are required', 'error');
+  if (!url || !hasToken(token)) {
+    showToast(t('settings.urlAndTokenRequired'), 'error');
     return;
   }
 
   testBtn.disabled = true;
-  testBtn.textContent = 'Testing...';
+  testBtn.textContent = t('settings.testing');
 
   try {
     const result = await gateway.testConnection(url, token);
     if (result.ok) {
-      showToast('Connected successfully!', 'success');
+      showToast(t('settings.testOk'), 'success');
     } else {
-      showToast(`Failed: ${result.error}`, 'error');
+      showToast(t('settings.testFailed', { error: errorMessage(result.error) }), 'error');
     }
   } catch (err) {
-    showToast(`Error: ${err.message}`, 'error');
+    showToast(t('settings.testError', { error: errorMessage(err) }), 'error');
   } finally {
     testBtn.disabled = false;
-    testBtn.textContent = 'Test';
+    testBtn.textContent = t('settings.test');
   }
 }
 
-function escapeAttr(str) {
-  return str.replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+function formatHour(hour) {
+  return formatTime(new Date(2000, 0, 1, hour), { hour: 'numeric', minute: '2-digit' });
 }
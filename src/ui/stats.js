@@ -1,37 +1,40 @@
 import { store } from '../store.js';
+import { t, formatNumber } from '../i18n.js';
 
-export function renderStatsBar(container) {
-  const { tasks } = store.get();
+export function renderStatsBar(container, tasks = store.get().tasks) {
   const { stats, day } = tasks;
 
-  const dayLabel = day ? `<div class="day-label">Day ${day}</div>` : '';
+  const dayLabel = day ? `<div class="day-label">${t('stats.day', { day })}</div>` : '';
 
   container.innerHTML = `
     ${dayLabel}
     <div class="stats-bar">
       <div class="stat">
-        <span class="stat-value"><span class="flame">&#x1F525;</span> ${stats.streak}</span>
-        <span class="stat-label">Streak</span>
+        <span class="stat-value"><span class="flame">&#x1F525;</span> ${formatNumber(stats.streak)}</span>
+        <span class="stat-label">${t('stats.streak')}</span>
       </div>
       <div class="stat">
-        <span class="stat-value">&#x2764;&#xFE0F; ${stats.hearts}</span>
-        <span class="stat-label">Hearts</span>
+        <span class="stat-value">&#x2764;&#xFE0F; ${formatNumber(stats.hearts)}</span>
+        <span class="stat-label">${t('stats.hearts')}</span>
       </div>
       <div class="stat">
         <span class="stat-value">${formatXP(stats.xp)}</span>
-        <span class="stat-label">XP</span>
+        <span class="stat-label">${t('stats.xp')}</span>
       </div>
       <div class="stat">
-        <span class="stat-value">Lv.${stats.level}</span>
-        <span class="stat-label">Level</span>
+        <span class="stat-value">${t('stats.levelValue', { level: stats.level })}</span>
+        <span class="stat-label">${t('stats.level')}</span>
       </div>
     </div>
   `;
 }
 
-function formatXP(xp) {
-  if (xp >= 1000) return `${(xp / 1000).toFixed(1)}k`;
-  return String(xp);
+/**
+ * Compact XP for tight spots: 1,250 becomes "1.3K" in English and
+ * "1250" in German, which doesn't abbreviate thousands.
+ */
+export function formatXP(xp) {
+  return formatNumber(xp, { notation: 'compact', maximumFractionDigits: 1 });
 }
 
 export function updateStats(newStats) {
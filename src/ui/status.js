@@ -5,21 +5,86 @@ export function renderStatus() {
   if (!toastContainer) {
     toastContainer = document.createElement('div');
     toastContainer.className = 'toast-container';
+    // Live region: must exist before the first toast so that one is announced too
+    toastContainer.setAttribute('aria-live', 'polite');
+    toastContainer.setAttribute('aria-relevant', 'additions');
     document.body.appendChild(toastContainer);
   }
 }
 
-export function showToast(message, type = 'info') {
+/**
+ * Show a toast. `action` adds a button ({ label, onClick }) that dismisses
+ * the toast when pressed. Returns a handle to dismiss it early.
+ *
+ * Toasts are read out by screen readers (errors interrupt, the rest wait
+ * their turn) and stay up while hovered or focused, so there is time to
+ * read them or reach the action.
+ */
+export function showToast(message, type = 'info', { action = null, duration = 3000 } = {}) {
   renderStatus();
 
   const toast = document.createElement('div');
   toast.className = `toast ${type}`;
-  toast.textContent = message;
+  toast.style.setProperty('--toast-duration', `${duration}ms`);
+  toast.setAttribute('aria-atomic', 'true');
+  if (type === 'error') toast.setAttribute('aria-live', 'assertive');
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+
+  let timer = null;
+  let remaining = duration;
+  let startedAt = 0;
+  let hovered = false;
+  let focused = false;
+
+  const dismiss = () => {
+    clearTimeout(timer);
+    toast.remove();
+  };
+
+  // Stop the clock (and the fade-out animation) while the toast is in use
+  const updateTimer = () => {
+    const hold = hovered || focused;
+    if (hold && timer) {
+      clearTimeout(timer);
+      timer = null;
+      remaining -= Date.now() - startedAt;
+    } else if (!hold && !timer) {
+      startedAt = Date.now();
+      timer = setTimeout(dismiss, remaining);
+    }
+    toast.classList.toggle('paused', hold);
+  };
+
+  if (action) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      dismiss();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
+
+  toast.addEventListener('mouseenter', () => { hovered = true; updateTimer(); });
+  toast.addEventListener('mouseleave', () => { hovered = false; updateTimer(); });
+  toast.addEventListener('focusin', () => { focused = true; updateTimer(); });
+  toast.addEventListener('focusout', (e) => {
+    focused = toast.contains(e.relatedTarget);
+    updateTimer();
+  });
+  toast.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') dismiss();
+  });
 
   toastContainer.appendChild(toast);
 
   // Remove after animation completes
-  setTimeout(() => {
-    toast.remove();
-  }, 3000);
+  updateTimer();
+
+  return { dismiss };
 }
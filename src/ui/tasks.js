@@ -1,31 +1,90 @@
 import { store } from '../store.js';
 import { gateway } from '../gateway/connection.js';
-import { parseTaskMessage, createDeltaAccumulator } from '../parser.js';
+import { isTransportError, CLOSED, TIMEOUT } from '../gateway/requests.js';
+import { chatStream } from '../gateway/chat-stream.js';
+import { parseTaskMessage } from '../parser.js';
+import { dayKey } from '../rollover.js';
+import { dateFromKey } from '../history.js';
+import { outbox } from '../outbox.js';
+import {
+  findQuest, updateQuest, sortQuests, isOverdue, SORT_MODES,
+  createProvisionalQuest, buildAddQuestMessage, reconcileProvisional, buildCompletionMessage,
+  buildReopenMessage,
+} from '../quests.js';
+import {
+  startFocus, stopFocus, isFocusing, getFocusSession, getFocusMinutes,
+  focusProgress, formatRemaining, trackedMinutes, onFocusTick,
+} from '../focus-timer.js';
 import { renderStatsBar } from './stats.js';
 import { showToast } from './status.js';
+import { escapeHtml } from './dom.js';
+import { switchProfile } from '../profiles.js';
+import { unlockToken } from '../gateway/token-vault.js';
+import { t, formatDate, errorMessage } from '../i18n.js';
 
 let unsubConnection = null;
-let unsubEvents = null;
-let accumulator = createDeltaAccumulator();
+let unsubEvents = [];
+let unsubFocus = null;
+
+// The quest that holds the list's single tab stop, kept across re-renders
+let focusedTaskId = null;
 
 export function renderMain(container) {
+  const { profiles, activeProfileId } = store.get();
+
+  // Only worth showing once there is something to switch between
+  const profileSwitcher = profiles.length > 1
+    ? `
+      <select class="profile-switcher" id="profileSwitcher" aria-label="${t('header.profile')}">
+        ${profiles.map((p) => `<option value="${escapeHtml(p.id)}" ${p.id === activeProfileId ? 'selected' : ''}>${escapeHtml(p.name)}</option>`).join('')}
+      </select>
+    `
+    : '';
+
   container.innerHTML = `
     <div class="view">
       <div class="header">
         <h1>Agent Forge Quest</h1>
         <div class="header-actions">
-          <div class="status-dot" id="statusDot" title="Connection status"></div>
-          <button class="icon-btn" onclick="location.hash='#settings'" title="Settings">&#x2699;&#xFE0F;</button>
+          <button class="status-dot" id="statusDot" onclick="location.hash='#diagnostics'" title="${t('header.connection')}"><span class="visually-hidden" id="statusText">${t('header.connection')}</span></button>
+          <button class="icon-btn outbox-btn" id="outboxBtn" onclick="location.hash='#outbox'" title="${t('header.outbox')}" hidden></button>
+          <button class="icon-btn" onclick="location.hash='#chat'" title="${t('header.chat')}">&#x1F4AC;</button>
+          <button class="icon-btn" onclick="location.hash='#stats'" title="${t('header.stats')}">&#x1F4C8;</button>
+          <button class="icon-btn" onclick="location.hash='#history'" title="${t('header.history')}">&#x1F4DC;</button>
+          <button class="icon-btn" onclick="location.hash='#settings'" title="${t('header.settings')}">&#x2699;&#xFE0F;</button>
         </div>
       </div>
+      ${profileSwitcher}
+      <div id="unlockContainer"></div>
       <div id="statsContainer"></div>
       <div id="tasksContainer"></div>
+      <form class="add-quest-form" id="addQuestForm">
+        <input type="text" id="addQuestInput" maxlength="${MAX_QUEST_LENGTH}" autocomplete="off"
+          placeholder="${t('tasks.addPlaceholder')}" aria-label="${t('tasks.addLabel')}" />
+        <button type="submit">${t('tasks.add')}</button>
+      </form>
     </div>
   `;
 
+  document.getElementById('addQuestForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = document.getElementById('addQuestInput');
+    const text = input.value.trim();
+    if (!text) return;
+    input.value = '';
+    addQuest(text);
+  });
+
   renderFromState();
   setupConnectionListener();
+  unsubFocus?.();
+  unsubFocus = onFocusTick(updateFocusProgress);
   setupEventListener();
+
+  document.getElementById('profileSwitcher')?.addEventListener('change', async (e) => {
+    await switchProfile(e.target.value);
+    renderMain(container);
+  });
 }
 
 function renderFromState() {
@@ -35,11 +94,15 @@ function renderFromState() {
 
   if (!statsContainer || !tasksContainer) return;
 
+  renderUnlock();
+
   if (tasks.stats.streak > 0 || tasks.stats.xp > 0 || tasks.day) {
     renderStatsBar(statsContainer);
+  } else {
+    statsContainer.innerHTML = '';
   }
 
-  if (tasks.items.length > 0) {
+  if (tasks.items.length > 0 || tasks.provisional?.length > 0) {
     renderTaskList(tasksContainer, tasks.items);
   } else if (tasks.rawMessage) {
     tasksContainer.innerHTML = `<div class="raw-message">${escapeHtml(tasks.rawMessage)}</div>`;
@@ -49,120 +112,634 @@ function renderFromState() {
       tasksContainer.innerHTML = `
         <div class="loading">
           <div class="loading-spinner"></div>
-          <p style="margin-top:12px">Fetching today's tasks...</p>
+          <p style="margin-top:12px">${t('tasks.fetching')}</p>
         </div>
       `;
     } else if (connection.state === 'PAIRING') {
-      const deviceId = connection.error || 'unknown';
+      const deviceId = connection.deviceId || 'unknown';
       const shortId = deviceId.slice(0, 12);
       tasksContainer.innerHTML = `
         <div class="empty-state">
-          <p>Device not paired yet.</p>
-          <p style="margin-top:8px;font-size:0.85em;opacity:0.8">Run on your VM:</p>
+          <p>${t('tasks.notPaired')}</p>
+          <p style="margin-top:8px;font-size:0.85em;opacity:0.8">${t('tasks.runOnVm')}</p>
           <code style="display:block;margin:8px 0;padding:8px 12px;background:rgba(0,0,0,0.3);border-radius:6px;font-size:0.85em;word-break:break-all">openclaw devices approve</code>
-          <p style="font-size:0.75em;opacity:0.6;margin-top:8px">Device: ${escapeHtml(shortId)}...</p>
+          <p style="font-size:0.75em;opacity:0.6;margin-top:8px">${escapeHtml(t('tasks.device', { id: shortId }))} &middot; <a href="#settings" style="color:inherit">${t('tasks.fullFingerprint')}</a></p>
           <div class="loading-spinner" style="margin-top:16px"></div>
-          <p style="font-size:0.85em;opacity:0.7;margin-top:8px">Waiting for approval...</p>
+          <p style="font-size:0.85em;opacity:0.7;margin-top:8px">${t('tasks.waitingApproval')}</p>
         </div>
       `;
-    } else if (connection.state === 'CONNECTING' || connection.state === 'RECONNECTING') {
+    } else if (connection.error?.code === 'PROTOCOL_MISMATCH') {
+      tasksContainer.innerHTML = `
+        <div class="empty-state">
+          <p>${t('tasks.protocolMismatch')}</p>
+          <p style="margin-top:8px;font-size:0.85em;opacity:0.8">${escapeHtml(errorMessage(connection.error))}</p>
+          <button onclick="location.hash='#diagnostics'">${t('tasks.details')}</button>
+        </div>
+      `;
+    } else if (['CONNECTING', 'HANDSHAKING', 'RECONNECTING'].includes(connection.state)) {
       tasksContainer.innerHTML = `
         <div class="loading">
           <div class="loading-spinner"></div>
-          <p style="margin-top:12px">Connecting to gateway...</p>
+          <p style="margin-top:12px">${t('tasks.connecting')}</p>
         </div>
       `;
     } else {
       tasksContainer.innerHTML = `
         <div class="empty-state">
-          <p>No tasks loaded yet.</p>
-          <button onclick="location.hash='#settings'">Configure Gateway</button>
+          <p>${t('tasks.empty')}</p>
+          <button onclick="location.hash='#settings'">${t('tasks.configure')}</button>
         </div>
       `;
     }
   }
 
   updateStatusDot();
+  updateOutboxButton();
 }
 
-function renderTaskList(container, items) {
+/**
+ * PIN prompt while the saved auth token is locked.
+ */
+function renderUnlock() {
+  const unlockContainer = document.getElementById('unlockContainer');
+  if (!unlockContainer) return;
+
+  if (store.get().connection.state !== 'LOCKED') {
+    unlockContainer.innerHTML = '';
+    return;
+  }
+  if (unlockContainer.firstChild) return; // keep what the user is typing
+
+  unlockContainer.innerHTML = `
+    <form class="unlock-form" id="unlockForm">
+      <label for="unlockPin">${t('tasks.unlockPrompt')}</label>
+      <div class="unlock-row">
+        <input type="password" id="unlockPin" inputmode="numeric" autocomplete="current-password" required />
+        <button type="submit">${t('tasks.unlock')}</button>
+      </div>
+    </form>
+  `;
+
+  const pinInput = document.getElementById('unlockPin');
+  document.getElementById('unlockForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const { settings } = store.get();
+    if (await unlockToken(settings.authToken, pinInput.value)) {
+      gateway.connect(store.get().settings);
+    } else {
+      pinInput.value = '';
+      showToast(t('tasks.wrongPin'), 'error');
+    }
+  });
+}
+
+/**
+ * Show the outbox shortcut only while something is waiting or failed.
+ */
+function updateOutboxButton() {
+  const btn = document.getElementById('outboxBtn');
+  if (!btn) return;
+
   const { pendingQueue } = store.get();
-  const pendingIds = new Set(pendingQueue.map((q) => q.taskId));
-
-  const taskHtml = items
-    .map((item) => {
-      const completedClass = item.completed ? 'completed' : '';
-      const pendingClass = pendingIds.has(item.id) ? 'pending-send' : '';
-      const checkmark = item.completed ? '&#x2713;' : '';
-      return `
-        <li class="task-item ${completedClass} ${pendingClass}" data-task-id="${item.id}">
-          <div class="task-checkbox">${checkmark}</div>
-          <span class="task-text">${escapeHtml(item.text)}</span>
-        </li>
-      `;
-    })
+  const failed = pendingQueue.some((entry) => entry.status === 'dead');
+  btn.hidden = pendingQueue.length === 0;
+  btn.classList.toggle('failed', failed);
+  btn.innerHTML = `&#x1F4E4;<span class="outbox-count">${pendingQueue.length}</span>`;
+}
+
+function renderTaskList(container, items) {
+  const { pendingQueue, settings, tasks } = store.get();
+  const pendingIds = new Set(
+    pendingQueue.filter((q) => q.kind === 'complete').map((q) => String(q.taskId)),
+  );
+  const sortMode = settings.taskSort || 'agent';
+  const hadFocus = document.getElementById('taskList')?.contains(document.activeElement) ?? false;
+  const focusedButton = document.activeElement?.dataset?.focusQuest;
+
+  const queuedAdds = new Set(
+    pendingQueue.filter((q) => q.kind === 'add').map((q) => String(q.taskId)),
+  );
+
+  const taskHtml = sortQuests(items, sortMode)
+    .map((item) => renderTaskItem(item, pendingIds, tasks.stale))
+    .join('') + (tasks.provisional ?? [])
+    .map((quest) => renderProvisionalItem(quest, queuedAdds.has(quest.id)))
     .join('');
 
+  const sortOptions = SORT_MODES
+    .map((mode) => `<option value="${mode}" ${mode === sortMode ? 'selected' : ''}>${t(`tasks.sort.${mode}`)}</option>`)
+    .join('');
+
+  // A new day started under this list; keep it visible until today's arrives
+  const staleBanner = tasks.stale
+    ? `
+      <div class="stale-banner">
+        <span>${t('tasks.staleBanner')}</span>
+        <button type="button" class="btn-small btn-secondary" id="refreshQuestsBtn">${t('tasks.refresh')}</button>
+      </div>
+    `
+    : '';
+
   container.innerHTML = `
-    <h2>Today's Quests</h2>
-    <ul class="task-list" id="taskList">${taskHtml}</ul>
+    ${staleBanner}
+    <div class="task-list-header">
+      <h2 id="taskListHeading">${escapeHtml(tasks.stale ? t('tasks.headingFor', { date: formatDate(dateFromKey(tasks.date), { weekday: 'short', month: 'short', day: 'numeric' }) }) : t('tasks.heading'))}</h2>
+      <select class="task-sort" id="taskSort" aria-label="${t('tasks.sortLabel')}">${sortOptions}</select>
+    </div>
+    <ul class="task-list ${tasks.stale ? 'stale' : ''}" id="taskList" role="list" aria-labelledby="taskListHeading">${taskHtml}</ul>
   `;
 
+  document.getElementById('refreshQuestsBtn')?.addEventListener('click', () => {
+    if (!gateway.isConnected) {
+      showToast(t('tasks.refreshOffline'), 'error');
+      return;
+    }
+    fetchTasks();
+  });
+
   // Attach click handlers
   const taskList = document.getElementById('taskList');
-  taskList?.addEventListener('click', handleTaskClick);
+  if (taskList) {
+    taskList.addEventListener('click', handleTaskClick);
+    taskList.addEventListener('keydown', handleTaskKeydown);
+    taskList.addEventListener('focusin', (e) => {
+      const taskItem = e.target.closest('.task-item');
+      if (taskItem) setRovingFocus(taskList, taskItem);
+    });
+    attachReopenGestures(taskList);
+
+    const items = taskItems(taskList);
+    const current = items.find((el) => el.dataset.taskId === focusedTaskId) || items[0];
+    if (current) {
+      setRovingFocus(taskList, current);
+      if (hadFocus) current.focus();
+    }
+    if (focusedButton) {
+      taskList.querySelector(`[data-focus-quest="${CSS.escape(focusedButton)}"]`)?.focus();
+    }
+  }
+
+  document.getElementById('taskSort')?.addEventListener('change', (e) => {
+    store.update('settings', { ...store.get().settings, taskSort: e.target.value });
+    renderFromState();
+  });
+}
+
+/**
+ * One quest as a checkbox: click or Space/Enter completes it, and on a
+ * completed quest Space/Enter reopens it (the keyboard's long-press).
+ */
+function renderTaskItem(item, pendingIds, stale) {
+  const pending = pendingIds.has(String(item.id));
+  const focusing = isFocusing(item.id);
+  const completedClass = item.completed ? 'completed' : '';
+  const pendingClass = pending ? 'pending-send' : '';
+  const priorityClass = item.priority === 'high' ? 'priority-high' : '';
+  const focusClass = focusing ? 'focusing' : '';
+  const focusStyle = focusing ? `style="--focus-progress: ${focusProgress(getFocusSession()).fraction}"` : '';
+  const checkmark = item.completed ? '&#x2713;' : '';
+
+  const subtasks = item.subtasks?.length
+    ? `<ul class="subtask-list" role="list">${item.subtasks.map((sub) => renderTaskItem(sub, pendingIds, stale)).join('')}</ul>`
+    : '';
+
+  return `
+    <li class="task-entry">
+      <div class="task-row">
+        <div class="task-item ${completedClass} ${pendingClass} ${priorityClass} ${focusClass}" data-task-id="${escapeHtml(String(item.id))}"
+          role="checkbox" aria-checked="${item.completed}" tabindex="-1" ${stale ? 'aria-disabled="true"' : ''}
+          ${item.completed ? `title="${t('tasks.longPressHint')}"` : ''} ${focusStyle}>
+          <div class="task-checkbox" aria-hidden="true">${checkmark}</div>
+          <div class="task-body">
+            <span class="task-text">${escapeHtml(item.text)}</span>
+            ${pending ? `<span class="visually-hidden">${t('tasks.waitingToSend')}</span>` : ''}
+            ${renderBadges(item)}
+          </div>
+        </div>
+        ${renderFocusButton(item, stale)}
+      </div>
+      ${subtasks}
+    </li>
+  `;
+}
+
+/**
+ * A quest added here that no agent list has shown yet. It can't be
+ * ticked off until the agent has given it an id.
+ */
+function renderProvisionalItem(quest, queued) {
+  const status = t(queued ? 'tasks.addQueuedStatus' : 'tasks.addWaitingStatus');
+  return `
+    <li class="task-entry">
+      <div class="task-row">
+        <div class="task-item provisional ${queued ? 'pending-send' : ''}" data-task-id="${escapeHtml(quest.id)}"
+          role="checkbox" aria-checked="false" aria-disabled="true" tabindex="-1" title="${status}">
+          <div class="task-checkbox" aria-hidden="true"></div>
+          <div class="task-body">
+            <span class="task-text">${escapeHtml(quest.text)}</span>
+            <span class="visually-hidden">(${status})</span>
+            ${renderBadges(quest)}
+          </div>
+        </div>
+        <button type="button" class="icon-btn provisional-remove" data-remove-quest="${escapeHtml(quest.id)}"
+          aria-label="${escapeHtml(t('tasks.removeProvisional', { text: quest.text }))}">&#x2715;</button>
+      </div>
+    </li>
+  `;
+}
+
+function renderBadges(item) {
+  const badges = [];
+  if (item.priority === 'high') {
+    const label = t('tasks.highPriority');
+    badges.push(`<span class="badge badge-priority" title="${label}" role="img" aria-label="${label}">&#x1F525;</span>`);
+  }
+  if (item.due) {
+    const overdueClass = isOverdue(item) ? 'overdue' : '';
+    const label = t(isOverdue(item) ? 'tasks.overdue' : 'tasks.due');
+    badges.push(`<span class="badge badge-due ${overdueClass}" title="${t('tasks.due')}"><span aria-hidden="true">&#x23F0;</span><span class="visually-hidden">${label}</span> ${escapeHtml(item.due)}</span>`);
+  }
+  if (item.xp != null) {
+    badges.push(`<span class="badge badge-xp">${t('tasks.xpReward', { xp: item.xp })}</span>`);
+  }
+  for (const tag of item.tags || []) {
+    badges.push(`<span class="badge badge-tag">#${escapeHtml(tag)}</span>`);
+  }
+  if (isFocusing(item.id)) {
+    const { remaining } = focusProgress(getFocusSession());
+    badges.push(`<span class="badge badge-focus" role="timer"><span aria-hidden="true">&#x23F1;&#xFE0F;</span><span class="visually-hidden">${t('focus.remaining')}</span> <span class="focus-remaining">${formatRemaining(remaining)}</span></span>`);
+  } else if (trackedMinutes(item.id) > 0) {
+    badges.push(`<span class="badge badge-focus"><span aria-hidden="true">&#x23F1;&#xFE0F;</span> ${t('focus.tracked', { minutes: trackedMinutes(item.id) })}</span>`);
+  }
+  return badges.length > 0 ? `<div class="task-badges">${badges.join('')}</div>` : '';
+}
+
+/**
+ * Start/stop button for a focus session on an open quest.
+ */
+function renderFocusButton(item, stale) {
+  if (item.completed || stale) return '';
+  const focusing = isFocusing(item.id);
+  const label = escapeHtml(t(focusing ? 'focus.stop' : 'focus.start', { text: item.text }));
+  return `
+    <button type="button" class="icon-btn focus-btn" data-focus-quest="${escapeHtml(String(item.id))}"
+      title="${label}" aria-label="${label}">${focusing ? '&#x23F9;&#xFE0F;' : '&#x23F1;&#xFE0F;'}</button>
+  `;
+}
+
+/**
+ * Move the running session along in its row without re-rendering the
+ * list; re-render once it has stopped.
+ */
+function updateFocusProgress(session, progress) {
+  if (!session) {
+    renderFromState();
+    return;
+  }
+  const el = document.querySelector(`.task-item[data-task-id="${CSS.escape(session.taskId)}"]`);
+  if (!el) return;
+  el.style.setProperty('--focus-progress', progress.fraction);
+  const remaining = el.querySelector('.focus-remaining');
+  if (remaining) remaining.textContent = formatRemaining(progress.remaining);
 }
 
+const LONG_PRESS_MS = 600;
+const MAX_QUEST_LENGTH = 200;
+const UNDO_TOAST_MS = 5000;
+
+// Completions sent but not yet answered: String(taskId) → Promise<delivered>
+const inFlight = new Map();
+let longPressTimer = null;
+let suppressClick = false;
+
 function handleTaskClick(e) {
+  if (suppressClick) {
+    suppressClick = false;
+    return;
+  }
+
+  const remove = e.target.closest('[data-remove-quest]');
+  if (remove) {
+    removeProvisional(remove.dataset.removeQuest);
+    return;
+  }
+
+  const focusButton = e.target.closest('[data-focus-quest]');
+  if (focusButton) {
+    toggleFocus(focusButton.dataset.focusQuest);
+    return;
+  }
+
   const taskItem = e.target.closest('.task-item');
   if (!taskItem) return;
 
-  const taskId = parseInt(taskItem.dataset.taskId, 10);
   const { tasks } = store.get();
-  const item = tasks.items.find((t) => t.id === taskId);
+  const item = findQuest(tasks.items, taskItem.dataset.taskId);
 
   if (!item || item.completed) return;
+  if (tasks.stale) {
+    showToast(t('tasks.staleQuest'), 'error');
+    return;
+  }
+
+  completeTask(item.id, item.text);
+}
 
-  completeTask(taskId, item.text);
+function toggleFocus(taskId) {
+  if (isFocusing(taskId)) {
+    stopFocus();
+    showToast(t('focus.stopped', { minutes: trackedMinutes(taskId) }), 'info');
+  } else {
+    const item = findQuest(store.get().tasks.items, taskId);
+    if (!item || item.completed) return;
+    startFocus(item.id, item.text);
+    showToast(t('focus.started', { minutes: getFocusMinutes() }), 'info');
+  }
+  renderFromState();
 }
 
-function completeTask(taskId, text) {
+function taskItems(taskList) {
+  return [...taskList.querySelectorAll('.task-item')];
+}
+
+/**
+ * Roving tabindex: the whole list is one tab stop, sitting on `taskItem`.
+ */
+function setRovingFocus(taskList, taskItem) {
+  for (const el of taskItems(taskList)) el.tabIndex = el === taskItem ? 0 : -1;
+  focusedTaskId = taskItem.dataset.taskId;
+}
+
+/**
+ * Space/Enter toggles the focused quest; arrows, Home and End move
+ * through the list (subtasks included, in reading order).
+ */
+function handleTaskKeydown(e) {
+  const taskItem = e.target.closest('.task-item');
+  if (!taskItem) return;
+
+  const items = taskItems(e.currentTarget);
+  const index = items.indexOf(taskItem);
+  let next;
+
+  switch (e.key) {
+    case ' ':
+    case 'Enter':
+      e.preventDefault();
+      if (!e.repeat) toggleTask(taskItem.dataset.taskId);
+      return;
+    case 'ArrowDown':
+      next = items[index + 1];
+      break;
+    case 'ArrowUp':
+      next = items[index - 1];
+      break;
+    case 'Home':
+      next = items[0];
+      break;
+    case 'End':
+      next = items[items.length - 1];
+      break;
+    default:
+      return;
+  }
+
+  e.preventDefault();
+  if (next) {
+    setRovingFocus(e.currentTarget, next);
+    next.focus();
+  }
+}
+
+function toggleTask(taskId) {
+  const { tasks } = store.get();
+  const item = findQuest(tasks.items, taskId);
+  if (!item) return;
+  if (tasks.stale) {
+    showToast(t('tasks.staleQuest'), 'error');
+    return;
+  }
+
+  if (item.completed) {
+    reopenTask(item.id);
+  } else {
+    completeTask(item.id, item.text);
+  }
+}
+
+/**
+ * Long-press (or right-click) a completed quest to reopen it.
+ */
+function attachReopenGestures(taskList) {
+  const cancel = () => {
+    clearTimeout(longPressTimer);
+    longPressTimer = null;
+  };
+
+  taskList.addEventListener('pointerdown', (e) => {
+    const taskItem = e.target.closest('.task-item.completed');
+    if (!taskItem) return;
+    cancel();
+    longPressTimer = setTimeout(() => {
+      longPressTimer = null;
+      suppressClick = true;
+      reopenTask(taskItem.dataset.taskId);
+    }, LONG_PRESS_MS);
+  });
+  taskList.addEventListener('pointerup', cancel);
+  taskList.addEventListener('pointerleave', cancel);
+  taskList.addEventListener('pointercancel', cancel);
+
+  taskList.addEventListener('contextmenu', (e) => {
+    const taskItem = e.target.closest('.task-item.completed');
+    if (!taskItem) return;
+    e.preventDefault();
+    cancel();
+    reopenTask(taskItem.dataset.taskId);
+  });
+}
+
+async function completeTask(taskId, text) {
+  // The quest is done, so is any session on it
+  if (isFocusing(taskId)) stopFocus();
+
   const { tasks } = store.get();
 
   // Optimistic update
-  const updatedItems = tasks.items.map((item) =>
-    item.id === taskId ? { ...item, completed: true } : item,
-  );
+  const updatedItems = updateQuest(tasks.items, taskId, (item) => (
+    { ...item, completed: true, completedAt: Date.now() }
+  ));
   store.update('tasks', { ...tasks, items: updatedItems });
 
   // Animate the item
-  const el = document.querySelector(`[data-task-id="${taskId}"]`);
+  const el = document.querySelector(`[data-task-id="${CSS.escape(String(taskId))}"]`);
   if (el) {
     el.classList.add('completed', 'just-completed');
+    el.setAttribute('aria-checked', 'true');
     el.querySelector('.task-checkbox').innerHTML = '&#x2713;';
     setTimeout(() => el.classList.remove('just-completed'), 400);
   }
 
+  const undo = { label: t('tasks.undo'), onClick: () => reopenTask(taskId) };
+
+  // A reopen that never left the device cancels out
+  if (await cancelQueued(taskId, 'reopen')) {
+    showToast(t('tasks.completed'), 'success', { action: undo, duration: UNDO_TOAST_MS });
+    return;
+  }
+
   // Send to agent
-  const message = `Task ${taskId} completed: ${text}`;
+  const message = buildCompletionMessage(taskId, text, trackedMinutes(taskId));
   const idempotencyKey = crypto.randomUUID();
 
   if (gateway.isConnected) {
-    gateway
-      .sendMessage(message)
-      .then((res) => {
-        // Response may include updated stats - listen for events
+    const delivery = gateway
+      .sendMessage(message, { idempotencyKey })
+      .then(() => true, (err) => {
+        // Reopened while in flight — only a completion that may have reached
+        // the agent (timed out, or the socket closed after sending) needs undoing
+        if (!findQuest(store.get().tasks.items, taskId)?.completed) {
+          return err.code === TIMEOUT || err.code === CLOSED;
+        }
+
+        if (isTransportError(err)) {
+          // Same idempotency key, so a late delivery won't be counted twice
+          showToast(t('tasks.completeQueued'), 'error');
+          outbox.add({ taskId, kind: 'complete', text: message, idempotencyKey });
+          return false;
+        }
+        showToast(t('tasks.completeRejected', { error: errorMessage(err) }), 'error');
+        revertCompletion(taskId);
+        return false;
       })
-      .catch(() => {
-        showToast('Queued - will send when connected', 'error');
-        store.enqueue({ taskId, text: message, idempotencyKey });
+      .finally(() => inFlight.delete(String(taskId)));
+    inFlight.set(String(taskId), delivery);
+    showToast(t('tasks.completed'), 'success', { action: undo, duration: UNDO_TOAST_MS });
+  } else {
+    outbox.add({ taskId, kind: 'complete', text: message, idempotencyKey });
+    showToast(t('tasks.completedOffline'), 'error', { action: undo, duration: UNDO_TOAST_MS });
+  }
+}
+
+/**
+ * Undo a completion: drop it from the queue if it hasn't gone out yet,
+ * otherwise tell the agent the quest is open again.
+ */
+async function reopenTask(taskId) {
+  const { tasks } = store.get();
+  const item = findQuest(tasks.items, taskId);
+  if (!item || !item.completed || tasks.stale) return;
+
+  revertCompletion(item.id);
+
+  if (await cancelQueued(item.id, 'complete')) {
+    showToast(t('tasks.reopened'), 'info');
+    return;
+  }
+
+  // Wait for an in-flight completion; if it surely never reached the agent there is nothing to undo
+  const delivery = inFlight.get(String(item.id));
+  if (delivery && !(await delivery)) {
+    showToast(t('tasks.reopened'), 'info');
+    return;
+  }
+
+  const message = buildReopenMessage(item.id, item.text);
+  const idempotencyKey = crypto.randomUUID();
+
+  if (gateway.isConnected) {
+    gateway
+      .sendMessage(message, { idempotencyKey })
+      .then(() => showToast(t('tasks.reopened'), 'info'))
+      .catch((err) => {
+        if (isTransportError(err)) {
+          outbox.add({ taskId: item.id, kind: 'reopen', text: message, idempotencyKey });
+          showToast(t('tasks.reopenQueued'), 'error');
+          return;
+        }
+        showToast(t('tasks.reopenRejected', { error: errorMessage(err) }), 'error');
       });
   } else {
-    store.enqueue({ taskId, text: message, idempotencyKey });
-    showToast('Saved offline - will sync when connected', 'error');
+    outbox.add({ taskId: item.id, kind: 'reopen', text: message, idempotencyKey });
+    showToast(t('tasks.reopenedOffline'), 'error');
   }
 }
 
+/**
+ * Ask the agent to add a quest. It shows up straight away as provisional
+ * and stays until an agent list includes it (see reconcileProvisional).
+ */
+async function addQuest(input) {
+  const { tasks } = store.get();
+  const quest = createProvisionalQuest(input, dayKey());
+  store.update('tasks', { ...tasks, provisional: [...(tasks.provisional ?? []), quest] });
+  renderFromState();
+
+  const message = buildAddQuestMessage(quest);
+  const idempotencyKey = crypto.randomUUID();
+
+  if (gateway.isConnected) {
+    gateway
+      .sendMessage(message, { idempotencyKey })
+      .then(() => showToast(t('tasks.addSent'), 'success'))
+      .catch((err) => {
+        // Removed while sending - don't bring it back
+        if (!findProvisional(quest.id)) return;
+        if (isTransportError(err)) {
+          outbox.add({ taskId: quest.id, kind: 'add', text: message, idempotencyKey });
+          showToast(t('tasks.addQueued'), 'error');
+          return;
+        }
+        showToast(t('tasks.addRejected', { error: errorMessage(err) }), 'error');
+        dropProvisional(quest.id);
+      });
+  } else {
+    outbox.add({ taskId: quest.id, kind: 'add', text: message, idempotencyKey });
+    showToast(t('tasks.addedOffline'), 'error');
+  }
+}
+
+function findProvisional(id) {
+  return (store.get().tasks.provisional ?? []).find((quest) => quest.id === id) || null;
+}
+
+function dropProvisional(id) {
+  const { tasks } = store.get();
+  store.update('tasks', { ...tasks, provisional: (tasks.provisional ?? []).filter((quest) => quest.id !== id) });
+  renderFromState();
+}
+
+/**
+ * Take back a provisional quest. An add that already went out can't be
+ * recalled; the agent's next list will show the quest if it kept it.
+ */
+async function removeProvisional(id) {
+  dropProvisional(id);
+  const cancelled = await cancelQueued(id, 'add');
+  showToast(t(cancelled ? 'tasks.removedProvisional' : 'tasks.removedAfterSend'), 'info');
+}
+
+/**
+ * Remove a still-unsent message of the given kind for a task.
+ * Returns true if one was cancelled.
+ */
+async function cancelQueued(taskId, kind) {
+  const queued = store.get().pendingQueue.find(
+    (q) => String(q.taskId) === String(taskId) && q.kind === kind && q.status === 'pending',
+  );
+  return queued ? outbox.cancel(queued.idempotencyKey) : false;
+}
+
+function revertCompletion(taskId) {
+  const { tasks } = store.get();
+  const updatedItems = updateQuest(tasks.items, taskId, (item) => {
+    const { completedAt, ...rest } = item;
+    return { ...rest, completed: false };
+  });
+  store.update('tasks', { ...tasks, items: updatedItems });
+  renderFromState();
+}
+
 let lastConnectionState = null;
 let hasFetchedTasks = false;
 
@@ -176,6 +753,7 @@ function setupConnectionListener() {
     lastConnectionState = state.connection.state;
 
     updateStatusDot();
+    updateOutboxButton();
 
     // Re-render when connection state changes
     if (prev !== state.connection.state) {
@@ -191,62 +769,74 @@ function setupConnectionListener() {
 }
 
 function setupEventListener() {
-  unsubEvents?.();
+  unsubEvents.forEach((unsub) => unsub());
 
-  // Listen for all incoming messages and try to extract task data
-  // Fetch tasks when connected event fires directly
-  gateway.on('connected', () => {
-    console.log('[tasks] connected event received, fetching tasks...');
-    hasFetchedTasks = true;
-    fetchTasks();
-  });
-
-  unsubEvents = gateway.on('*', (frame) => {
-    // Log for debugging during integration
-    console.log('[gateway frame]', frame);
-
-    // Extract text from whatever format the gateway sends
-    const text = frame.text || frame.message?.text || frame.data?.text
-      || frame.content || frame.data?.delta || frame.delta;
-
-    if (text) {
-      accumulator.append(text);
+  unsubEvents = [
+    // Fetch tasks when connected event fires directly
+    gateway.on('connected', () => {
+      console.log('[tasks] connected event received, fetching tasks...');
+      hasFetchedTasks = true;
+      fetchTasks();
+    }),
+  ];
+}
 
-      // Try to parse after each chunk - if it parses, apply it
-      const parsed = accumulator.parse();
-      if (parsed && parsed.items.length > 0) {
-        applyParsedTasks(parsed);
-        accumulator.reset();
-        return;
-      }
+// Reply to our own "Show today's tasks" — only that one may become rawMessage
+let fetchRunId = null;
+let fetchPending = false;
+let questSyncStarted = false;
+
+/**
+ * Apply quest lists from any agent reply, whichever view is open
+ * (replies to chat console messages can carry a new list too).
+ */
+export function startQuestSync() {
+  if (questSyncStarted) return;
+  questSyncStarted = true;
+
+  // Parse each finished agent reply exactly once
+  chatStream.onRunComplete((sessionKey, text, runId) => {
+    const isFetchReply = runId === fetchRunId || (fetchPending && fetchRunId === null);
+    if (isFetchReply) {
+      fetchPending = false;
+      fetchRunId = null;
+    }
+    if (!text) return;
+
+    const parsed = parseTaskMessage(text);
+    if (parsed) {
+      applyParsedTasks(parsed);
+    } else if (isFetchReply) {
+      const { tasks } = store.get();
+      store.update('tasks', { ...tasks, rawMessage: text });
+      renderFromState();
     }
+  });
 
-    // If frame signals end of message, show whatever we have
-    const isDone = frame.type === 'done' || frame.type === 'complete'
-      || frame.done === true || frame.status === 'complete';
-
-    if (isDone && accumulator.text) {
-      const parsed = accumulator.parse();
-      if (parsed) {
-        applyParsedTasks(parsed);
-      } else {
-        const { tasks } = store.get();
-        store.update('tasks', { ...tasks, rawMessage: accumulator.text });
-        renderFromState();
-      }
-      accumulator.reset();
+  chatStream.onRunFailed((sessionKey, { state, error }) => {
+    if (state === 'error') {
+      showToast(t('tasks.agentError', { error: error || t('tasks.agentErrorUnknown') }), 'error');
     }
   });
 }
 
-function fetchTasks() {
+/**
+ * Ask the agent for today's list; the reply is applied by startQuestSync().
+ */
+export function fetchTasks() {
   console.log('[tasks] fetchTasks called');
-  accumulator.reset();
+  fetchPending = true;
+  fetchRunId = null;
   gateway.sendMessage("Show today's tasks")
-    .then(() => console.log('[tasks] chat.send succeeded'))
+    .then((res) => {
+      console.log('[tasks] chat.send accepted', res);
+      // The reply may already have finished before the ack arrived
+      if (fetchPending) fetchRunId = res?.runId ?? null;
+    })
     .catch((err) => {
+      fetchPending = false;
       console.error('[tasks] chat.send failed', err);
-      showToast(`Failed to fetch tasks: ${err.message}`, 'error');
+      showToast(t('tasks.fetchFailed', { error: errorMessage(err) }), 'error');
     });
 }
 
@@ -256,44 +846,76 @@ function applyParsedTasks(parsed) {
 
   if (parsed.day != null) update.day = parsed.day;
   if (parsed.stats) update.stats = { ...update.stats, ...parsed.stats };
-  if (parsed.items.length > 0) update.items = parsed.items;
+  if (parsed.items.length > 0) {
+    const today = dayKey();
+    const previousItems = tasks.date === today ? tasks.items : [];
+    update.items = withCompletionTimes(parsed.items, previousItems);
+    update.date = today;
+    update.stale = false;
+    update.provisional = reconcileProvisional(tasks.provisional ?? [], parsed.items, today);
+    // Ids start over with each day's list
+    if (tasks.date !== today) update.focusTracked = {};
+  }
   update.rawMessage = null;
 
   store.update('tasks', update);
   renderFromState();
 }
 
+/**
+ * Keep the time a quest was ticked off across agent refreshes; quests the
+ * agent reports as done that we never saw completed are stamped now.
+ */
+function withCompletionTimes(items, previousItems, now = Date.now()) {
+  return items.map((item) => {
+    const prev = findQuest(previousItems, item.id);
+    const sameQuest = prev?.text === item.text;
+    const result = item.subtasks
+      ? { ...item, subtasks: withCompletionTimes(item.subtasks, previousItems, now) }
+      : item;
+    if (!item.completed) return result;
+    return { ...result, completedAt: (sameQuest && prev.completedAt) || now };
+  });
+}
+
 function updateStatusDot() {
   const dot = document.getElementById('statusDot');
   if (!dot) return;
 
-  const { connection } = store.get();
+  const { connection, latency } = store.get();
   dot.className = 'status-dot';
 
   switch (connection.state) {
     case 'CONNECTED':
       dot.classList.add('connected');
-      dot.title = 'Connected';
+      if (latency?.quality === 'poor') dot.classList.add('degraded');
+      dot.title = latency
+        ? t('status.connectedLatency', { ms: latency.average, quality: t(`status.quality.${latency.quality}`) })
+        : t('status.connected');
       break;
     case 'CONNECTING':
+    case 'HANDSHAKING':
       dot.classList.add('connecting');
-      dot.title = 'Connecting...';
+      dot.title = t('status.connecting');
       break;
     case 'RECONNECTING':
       dot.classList.add('reconnecting');
-      dot.title = `Reconnecting... ${connection.error || ''}`;
+      dot.title = connection.nextRetryAt
+        ? t('status.reconnecting', { attempt: connection.attempt, error: connection.error ? errorMessage(connection.error) : '' })
+        : t('status.reconnectPaused');
       break;
     case 'PAIRING':
       dot.classList.add('connecting');
-      dot.title = 'Waiting for device approval...';
+      dot.title = t('status.pairing');
+      break;
+    case 'LOCKED':
+      dot.title = t('status.locked');
       break;
     default:
-      dot.title = connection.error || 'Disconnected';
+      dot.title = connection.error ? errorMessage(connection.error) : t('status.disconnected');
   }
-}
 
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+  // The colour alone says nothing to a screen reader
+  const text = document.getElementById('statusText');
+  if (text) text.textContent = t('status.label', { status: dot.title });
 }
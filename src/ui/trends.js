@@ -0,0 +1,116 @@
+import { store } from '../store.js';
+import { listDays, localDateKey } from '../history.js';
+import { heatmapSvg, lineChartSvg } from './charts.js';
+import { formatXP } from './stats.js';
+import { t } from '../i18n.js';
+
+// Used until the archive has seen at least one level-up to learn from
+const DEFAULT_XP_PER_LEVEL = 500;
+
+export async function renderTrends(container) {
+  container.innerHTML = `
+    <div class="view">
+      <div class="header">
+        <button class="icon-btn" onclick="location.hash=''" title="${t('common.back')}">&#x2190;</button>
+        <h1>${t('trends.title')}</h1>
+        <button class="icon-btn" onclick="location.hash='#trophies'" title="${t('trends.trophies')}">&#x1F3C6;</button>
+      </div>
+      <div id="trendsContainer">
+        <div class="loading"><div class="loading-spinner"></div></div>
+      </div>
+    </div>
+  `;
+
+  const trendsContainer = document.getElementById('trendsContainer');
+
+  let days;
+  try {
+    days = (await listDays()).reverse();
+  } catch (err) {
+    console.error('[trends] failed to load history', err);
+    trendsContainer.innerHTML = `<div class="empty-state"><p>${t('trends.loadFailed')}</p></div>`;
+    return;
+  }
+
+  const { stats } = store.get().tasks;
+  const progress = estimateLevelProgress(days, stats);
+
+  const completions = new Map(
+    days.map((entry) => [entry.date, entry.items.filter((item) => item.completed).length]),
+  );
+  const xpPoints = days.map((entry) => ({ time: dateToTime(entry.date), value: entry.stats.xp }));
+  const levelPoints = days.map((entry) => ({ time: dateToTime(entry.date), value: entry.stats.level }));
+
+  trendsContainer.innerHTML = `
+    <section class="chart-card">
+      <h2>${t('trends.level', { level: stats.level })}</h2>
+      <div class="level-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(progress.ratio * 100)}">
+        <div class="level-progress-fill" style="width:${(progress.ratio * 100).toFixed(1)}%"></div>
+      </div>
+      <p class="chart-caption">
+        ${t('trends.toNextLevel', { xp: formatXP(progress.remaining), level: stats.level + 1 })}
+      </p>
+    </section>
+    <section class="chart-card">
+      <h2>${t('trends.questsCompleted')}</h2>
+      ${heatmapSvg(completions, { dateKey: localDateKey })}
+      <div class="heat-legend">
+        ${t('trends.less')}
+        ${[0, 1, 2, 3, 4].map((level) => `<span class="heat-swatch heat-${level}"></span>`).join('')}
+        ${t('trends.more')}
+      </div>
+    </section>
+    <section class="chart-card">
+      <h2>${t('stats.xp')}</h2>
+      ${lineChartSvg(xpPoints, { format: formatXP })}
+    </section>
+    <section class="chart-card">
+      <h2>${t('stats.level')}</h2>
+      ${lineChartSvg(levelPoints)}
+    </section>
+  `;
+}
+
+/**
+ * The agent does not tell us its level curve, so learn it from the archive:
+ * the lowest XP seen at each level approximates that level's threshold.
+ */
+export function estimateLevelProgress(days, stats) {
+  const thresholds = new Map();
+  for (const entry of days) {
+    const { level, xp } = entry.stats;
+    if (!thresholds.has(level) || xp < thresholds.get(level)) {
+      thresholds.set(level, xp);
+    }
+  }
+  if (!thresholds.has(stats.level) || stats.xp < thresholds.get(stats.level)) {
+    thresholds.set(stats.level, stats.xp);
+  }
+
+  const spans = [];
+  for (const [level, xp] of thresholds) {
+    if (thresholds.has(level + 1)) spans.push(thresholds.get(level + 1) - xp);
+  }
+  const perLevel = spans.length > 0
+    ? spans.reduce((sum, span) => sum + span, 0) / spans.length
+    : DEFAULT_XP_PER_LEVEL;
+
+  // The first sample at a level is only close to its start when the level
+  // below was seen too; otherwise place the start on the per-level grid
+  const levelStart = thresholds.has(stats.level - 1)
+    ? thresholds.get(stats.level)
+    : stats.xp - (stats.xp % perLevel);
+  const next = thresholds.get(stats.level + 1) ?? levelStart + perLevel;
+  const span = Math.max(next - levelStart, 1);
+  const earned = Math.min(Math.max(stats.xp - levelStart, 0), span);
+
+  return {
+    ratio: earned / span,
+    remaining: Math.max(Math.round(next - stats.xp), 0),
+  };
+}
+
+function dateToTime(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d).getTime();
+}
@@ -0,0 +1,50 @@
+import { ACHIEVEMENTS, listEarned } from '../achievements.js';
+import { t, formatDate } from '../i18n.js';
+
+export async function renderTrophies(container) {
+  container.innerHTML = `
+    <div class="view">
+      <div class="header">
+        <button class="icon-btn" onclick="location.hash=''" title="${t('common.back')}">&#x2190;</button>
+        <h1>${t('trophies.title')}</h1>
+      </div>
+      <div id="trophiesContainer">
+        <div class="loading"><div class="loading-spinner"></div></div>
+      </div>
+    </div>
+  `;
+
+  const trophiesContainer = document.getElementById('trophiesContainer');
+
+  let earned;
+  try {
+    earned = new Map((await listEarned()).map((badge) => [badge.id, badge]));
+  } catch (err) {
+    console.error('[trophies] failed to load', err);
+    trophiesContainer.innerHTML = `<div class="empty-state"><p>${t('trophies.loadFailed')}</p></div>`;
+    return;
+  }
+
+  const cards = ACHIEVEMENTS
+    .map((achievement) => {
+      const badge = earned.get(achievement.id);
+      const lockedClass = badge ? '' : 'locked';
+      const detail = badge
+        ? `${t('trophies.earned', { date: formatDate(badge.earnedAt, { month: 'short', day: 'numeric', year: 'numeric' }) })}${badge.count > 1 ? ` &middot; &times;${badge.count}` : ''}`
+        : t('trophies.locked');
+      return `
+        <li class="trophy ${lockedClass}">
+          <div class="trophy-icon">${achievement.icon}</div>
+          <div class="trophy-title">${achievement.title}</div>
+          <div class="trophy-description">${achievement.description}</div>
+          <div class="trophy-detail">${detail}</div>
+        </li>
+      `;
+    })
+    .join('');
+
+  trophiesContainer.innerHTML = `
+    <p class="trophy-summary">${t('trophies.summary', { earned: earned.size, total: ACHIEVEMENTS.length })}</p>
+    <ul class="trophy-grid">${cards}</ul>
+  `;
+}
@@ -0,0 +1,38 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectMilestones } from '../src/achievements.js';
+
+const unloaded = { date: null, stats: { streak: 0, hearts: 0, xp: 0, level: 1 }, items: [] };
+
+function loaded(stats, items = [{ id: 1, text: 'Quest', completed: false }]) {
+  return { date: '2026-03-14', stats: { streak: 0, hearts: 3, xp: 0, level: 1, ...stats }, items };
+}
+
+test('the first list only sets the baseline', () => {
+  assert.deepEqual(detectMilestones(unloaded, loaded({ streak: 40, level: 12 })), []);
+});
+
+test('detectMilestones reports streak and level milestones crossed', () => {
+  const events = detectMilestones(loaded({ streak: 6, level: 4 }), loaded({ streak: 7, level: 5 }));
+
+  assert.deepEqual(events, [
+    { id: 'streak-7', badge: 'streak-7' },
+    { id: 'level-up', level: 5, badge: 'level-5' },
+  ]);
+});
+
+test('a jump across several milestone levels earns every badge crossed', () => {
+  const events = detectMilestones(loaded({ level: 4 }), loaded({ level: 12 }));
+
+  assert.deepEqual(events, [
+    { id: 'level-5', badge: 'level-5' },
+    { id: 'level-up', level: 12, badge: 'level-10' },
+  ]);
+});
+
+test('finishing the last open quest is a perfect day', () => {
+  const done = [{ id: 1, text: 'Quest', completed: true }];
+
+  assert.deepEqual(detectMilestones(loaded({}), loaded({}, done)), [{ id: 'perfect-day', badge: 'perfect-day' }]);
+});
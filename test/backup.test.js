@@ -0,0 +1,89 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { store, DEFAULT_PROFILE_ID } from '../src/store.js';
+import {
+  validateBackup, importBackup, BACKUP_FORMAT, BACKUP_VERSION, INVALID_BACKUP,
+} from '../src/backup.js';
+import { getLanguage, setLocale } from '../src/i18n.js';
+
+function backupWith(preferences, profile = {}) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    preferences,
+    profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Default', ...profile }],
+  };
+}
+
+const invalid = (field) => ({ code: 'FIELD_INVALID', params: { field } });
+
+test('validateBackup type-checks known preferences', () => {
+  assert.deepEqual(validateBackup(backupWith({ dayStartHour: 3, locale: 'de' })), []);
+  assert.deepEqual(validateBackup(backupWith({ dayStartHour: 'late', reminders: [] })), [
+    invalid('preferences.dayStartHour'),
+    invalid('preferences.reminders'),
+  ]);
+});
+
+test('validateBackup rejects preferences the settings could not show', () => {
+  assert.deepEqual(validateBackup(backupWith({ dayStartHour: 23, focusMinutes: 7, locale: 'xx' })), [
+    invalid('preferences.dayStartHour'),
+    invalid('preferences.locale'),
+    invalid('preferences.focusMinutes'),
+  ]);
+});
+
+test('validateBackup checks every quest and outbox entry', () => {
+  const quest = { id: 1, text: 'Water plants', completed: false };
+  const errors = validateBackup(backupWith({}, {
+    tasks: { items: [quest, null], stats: {} },
+    history: [{ date: '2026-03-14', items: [{ ...quest, completed: 'yes' }] }],
+    outbox: [{ idempotencyKey: 'k', text: 'Task 1 completed: x', kind: 'undo', status: 'sent' }],
+  }));
+
+  const incompleteQuest = (field) => ({ code: 'ENTRY_INCOMPLETE', params: { field, required: 'id, text, completed' } });
+  assert.deepEqual(errors, [
+    incompleteQuest('profiles[0].tasks.items[1]'),
+    incompleteQuest('profiles[0].history[0].items[0]'),
+    invalid('profiles[0].outbox[0].kind'),
+    invalid('profiles[0].outbox[0].status'),
+    invalid('profiles[0].outbox[0].createdAt'),
+  ]);
+});
+
+test('importBackup takes known preferences but never connection fields', async () => {
+  const before = store.get().settings;
+
+  await importBackup(backupWith({
+    dayStartHour: 4,
+    gatewayUrl: 'wss://evil.example',
+    authToken: 'plaintext',
+    agentId: 'other',
+    injected: true,
+  }));
+
+  const { settings } = store.get();
+  assert.equal(settings.dayStartHour, 4);
+  assert.equal(settings.gatewayUrl, before.gatewayUrl);
+  assert.equal(settings.authToken, before.authToken);
+  assert.equal(settings.agentId, before.agentId);
+  assert.equal('injected' in settings, false);
+});
+
+test('importBackup refuses an invalid backup and lists its problems', async () => {
+  await assert.rejects(importBackup(backupWith({ dayStartHour: 23 })), {
+    code: INVALID_BACKUP,
+    problems: [invalid('preferences.dayStartHour')],
+  });
+});
+
+test('importBackup switches to the restored language', async () => {
+  setLocale('en');
+
+  await importBackup(backupWith({ locale: 'de' }));
+
+  assert.equal(store.get().settings.locale, 'de');
+  assert.equal(getLanguage(), 'de');
+  setLocale('en');
+});
@@ -0,0 +1,247 @@
+import './helpers/browser-env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGateway } from '../mock-gateway/server.js';
+import { store } from '../src/store.js';
+import { gateway } from '../src/gateway/connection.js';
+import { chatStream } from '../src/gateway/chat-stream.js';
+import { RequestError } from '../src/gateway/requests.js';
+import { parseTaskMessage } from '../src/parser.js';
+import { errorMessage } from '../src/i18n.js';
+
+const TOKEN = 'test-token';
+
+let mock;
+let settings;
+
+/**
+ * Resolve once the connection state satisfies `predicate`.
+ */
+function waitForConnection(predicate, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const check = (state) => {
+      if (!predicate(state.connection)) return false;
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(state.connection);
+      return true;
+    };
+    const timer = setTimeout(() => {
+      unsubscribe();
+      reject(new Error(`timed out waiting; state is ${store.get().connection.state}`));
+    }, timeout);
+    const unsubscribe = store.subscribe(check);
+    check(store.get());
+  });
+}
+
+const inState = (name) => (connection) => connection.state === name;
+
+before(async () => {
+  mock = await startMockGateway({ token: TOKEN, chunkDelayMs: 1 });
+  settings = { ...store.get().settings, gatewayUrl: mock.url, authToken: TOKEN, agentId: 'personal' };
+  store.update('settings', settings);
+});
+
+after(async () => {
+  gateway.disconnect();
+  await mock.close();
+});
+
+test('waits for pairing, then connects once the device is approved', async () => {
+  gateway.connect(settings);
+
+  const pairing = await waitForConnection(inState('PAIRING'));
+  assert.equal(pairing.deviceId, gateway.deviceId);
+  assert.equal(pairing.error, null);
+  assert.deepEqual(mock.pendingDevices, [gateway.deviceId]);
+
+  mock.approve(gateway.deviceId);
+  await waitForConnection(inState('CONNECTED'));
+  assert.ok(gateway.isConnected);
+  assert.equal(mock.sessionCount, 1);
+});
+
+test('streams chat.send replies as chat events', async () => {
+  const deltas = [];
+  const offDelta = chatStream.onRunDelta((sessionKey, text) => deltas.push(text));
+  const reply = new Promise((resolve) => {
+    const off = chatStream.onRunComplete((sessionKey, text, runId) => {
+      off();
+      resolve({ sessionKey, text, runId });
+    });
+  });
+
+  const ack = await gateway.sendMessage("Show today's tasks");
+  const { sessionKey, text, runId } = await reply;
+  offDelta();
+
+  assert.equal(runId, ack.runId);
+  assert.equal(sessionKey, 'agent:personal:main');
+  assert.ok(deltas.length > 1);
+  assert.equal(parseTaskMessage(text).items.length, 4);
+});
+
+test('deduplicates retries with the same idempotency key', async () => {
+  const first = await gateway.sendMessage('Task 3 completed: docs', { idempotencyKey: 'retry-1' });
+  const second = await gateway.sendMessage('Task 3 completed: docs', { idempotencyKey: 'retry-1' });
+  assert.equal(second.runId, first.runId);
+});
+
+test('surfaces gateway rejections as RequestError', async () => {
+  mock.setFailures({ reject: { 'chat.send': { code: 'AGENT_BUSY', message: 'agent is busy' } } });
+  try {
+    await assert.rejects(gateway.sendMessage('hello'), (err) => {
+      assert.ok(err instanceof RequestError);
+      assert.equal(err.code, 'AGENT_BUSY');
+      assert.equal(err.message, 'agent is busy');
+      return true;
+    });
+  } finally {
+    mock.resetFailures();
+  }
+});
+
+test('times out requests the gateway never answers', async () => {
+  mock.setFailures({ ignore: ['health'] });
+  try {
+    await assert.rejects(gateway.request('health', {}, { timeout: 200 }), { code: 'TIMEOUT' });
+  } finally {
+    mock.resetFailures();
+  }
+  assert.ok(gateway.isConnected);
+});
+
+test('fails in-flight requests and reconnects when the socket drops', async () => {
+  mock.setFailures({ replyDelayMs: 1000 });
+  const inFlight = gateway.request('health');
+  mock.dropConnections();
+
+  await assert.rejects(inFlight, { code: 'CLOSED' });
+  mock.resetFailures();
+  const reconnecting = await waitForConnection(inState('RECONNECTING'));
+  assert.equal(reconnecting.attempt, 1);
+  assert.equal(reconnecting.error.code, 'CLOSED');
+  assert.ok(reconnecting.nextRetryAt > Date.now());
+
+  const connected = await waitForConnection(inState('CONNECTED'));
+  assert.equal(connected.attempt, 0);
+});
+
+test('rejects requests while disconnected', async () => {
+  gateway.disconnect();
+  await assert.rejects(gateway.request('health'), { code: 'NOT_CONNECTED' });
+});
+
+test('reports a wrong token without retrying', async () => {
+  gateway.connect({ ...settings, authToken: 'wrong' });
+  const failed = await waitForConnection((c) => c.state === 'DISCONNECTED' && c.error);
+  assert.equal(failed.error.code, 'UNAUTHORIZED');
+  assert.equal(failed.error.message, 'invalid auth token');
+  assert.equal(failed.error.retryable, false);
+});
+
+test('testConnection signs the handshake for the mock to verify', async () => {
+  assert.deepEqual(await gateway.testConnection(mock.url, TOKEN), { ok: true });
+
+  const wrong = await gateway.testConnection(mock.url, 'wrong');
+  assert.equal(wrong.ok, false);
+});
+
+test('keeps a transition log and redacted frames for diagnostics', () => {
+  const { transitions, frames } = gateway.diagnostics;
+
+  assert.deepEqual(
+    transitions.slice(0, 4).map((t) => t.to),
+    ['CONNECTING', 'HANDSHAKING', 'PAIRING', 'RECONNECTING'],
+  );
+  const connect = frames.find((f) => f.direction === 'out' && f.frame.method === 'connect');
+  assert.equal(connect.frame.params.auth.token, '[redacted]');
+  assert.equal(connect.frame.params.device.signature, '[redacted]');
+  assert.ok(!JSON.stringify(frames).includes(TOKEN));
+});
+
+test('stores the negotiated capabilities and respects the method list', async () => {
+  const limited = await startMockGateway({
+    token: TOKEN, autoApprove: true, tickIntervalMs: 5000, methods: ['connect', 'chat.send', 'health'],
+  });
+  try {
+    gateway.connect({ ...settings, gatewayUrl: limited.url });
+    await waitForConnection(inState('CONNECTED'));
+
+    const { capabilities } = store.get();
+    assert.equal(capabilities.protocol, 3);
+    assert.equal(capabilities.policy.tickIntervalMs, 5000);
+    assert.deepEqual(capabilities.methods, ['connect', 'chat.send', 'health']);
+
+    assert.ok(gateway.supports('health'));
+    assert.ok(!gateway.supports('chat.history'));
+    await assert.rejects(gateway.request('chat.history', {}), { code: 'UNSUPPORTED' });
+  } finally {
+    gateway.disconnect();
+    await limited.close();
+  }
+});
+
+for (const [protocol, wording] of [[2, 'too old'], [4, 'too new']]) {
+  test(`explains a gateway speaking protocol ${protocol} is ${wording}`, async () => {
+    const other = await startMockGateway({ token: TOKEN, autoApprove: true, protocol });
+    try {
+      gateway.connect({ ...settings, gatewayUrl: other.url });
+      const failed = await waitForConnection((c) => c.state === 'DISCONNECTED' && c.error);
+      assert.equal(failed.error.code, 'PROTOCOL_MISMATCH');
+      assert.match(failed.error.message, new RegExp(wording));
+      assert.equal(failed.error.retryable, false);
+      assert.equal(store.get().capabilities, null);
+
+      assert.match(errorMessage(failed.error), new RegExp(wording));
+
+      const tested = await gateway.testConnection(other.url, TOKEN);
+      assert.equal(tested.error.code, 'PROTOCOL_MISMATCH');
+      assert.match(tested.error.message, new RegExp(wording));
+    } finally {
+      gateway.disconnect();
+      await other.close();
+    }
+  });
+}
+
+test('probes the gateway on connect and publishes the round trip', { timeout: 5000 }, async () => {
+  gateway.connect(settings);
+  await waitForConnection(inState('CONNECTED'));
+
+  const latency = await new Promise((resolve) => {
+    const check = (state) => state.latency && (unsubscribe(), resolve(state.latency));
+    const unsubscribe = store.subscribe(check);
+    check(store.get());
+  });
+  assert.ok(latency.rtt >= 0);
+  assert.equal(latency.quality, 'good');
+  assert.deepEqual(latency.samples, [latency.rtt]);
+});
+
+test('holds reconnects while paused and reconnects at once on resume', async () => {
+  gateway.pause('hidden');
+  mock.dropConnections();
+
+  const held = await waitForConnection(inState('RECONNECTING'));
+  assert.equal(held.nextRetryAt, null);
+  assert.equal(store.get().latency, null);
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+  assert.equal(store.get().connection.state, 'RECONNECTING');
+
+  gateway.resume('visible');
+  await waitForConnection(inState('CONNECTED'));
+});
+
+test('reconnects when a resumed socket no longer answers', async () => {
+  mock.setFailures({ ignore: ['health'] });
+  try {
+    gateway.resume('visible');
+    const lost = await waitForConnection(inState('RECONNECTING'), 8000);
+    assert.equal(lost.error.code, 'PROBE_TIMEOUT');
+  } finally {
+    mock.resetFailures();
+  }
+  await waitForConnection(inState('CONNECTED'), 8000);
+});
@@ -0,0 +1,23 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getOrCreateDeviceIdentity, deleteDeviceIdentity, rotateDeviceIdentity,
+} from '../src/gateway/device-identity.js';
+
+test('concurrent callers after a delete share one new identity', async () => {
+  const before = await getOrCreateDeviceIdentity();
+  await deleteDeviceIdentity();
+
+  const [a, b] = await Promise.all([getOrCreateDeviceIdentity(), getOrCreateDeviceIdentity()]);
+
+  assert.notEqual(a.id, before.id);
+  assert.equal(a.id, b.id);
+  assert.equal((await getOrCreateDeviceIdentity()).id, a.id);
+});
+
+test('a load started with a rotation sees the rotated identity', async () => {
+  const [rotated, loaded] = await Promise.all([rotateDeviceIdentity(), getOrCreateDeviceIdentity()]);
+
+  assert.equal(loaded.id, rotated.id);
+});
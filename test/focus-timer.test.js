@@ -0,0 +1,94 @@
+import './helpers/browser-env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { store } from '../src/store.js';
+import {
+  startFocus, stopFocus, isFocusing, trackedMinutes, focusProgress, formatRemaining, startFocusTimer,
+} from '../src/focus-timer.js';
+import { buildCompletionMessage } from '../src/quests.js';
+import { createQuestAgent } from '../mock-gateway/agent.js';
+
+const MINUTE = 60_000;
+
+beforeEach(() => {
+  const { tasks, settings } = store.get();
+  store.set({
+    settings: { ...settings, focusMinutes: 25 },
+    tasks: { ...tasks, focusSession: null, focusTracked: {} },
+  });
+});
+
+test('focusProgress clamps to the session length', () => {
+  const session = { startedAt: 0, duration: 25 * MINUTE };
+  assert.deepEqual(focusProgress(session, 5 * MINUTE), {
+    elapsed: 5 * MINUTE, remaining: 20 * MINUTE, fraction: 0.2, done: false,
+  });
+  assert.equal(focusProgress(session, 30 * MINUTE).done, true);
+  assert.equal(focusProgress(session, 30 * MINUTE).remaining, 0);
+  assert.equal(focusProgress(session, -MINUTE).elapsed, 0);
+});
+
+test('formatRemaining rounds up to whole seconds', () => {
+  assert.equal(formatRemaining(25 * MINUTE), '25:00');
+  assert.equal(formatRemaining(61_500), '1:02');
+  assert.equal(formatRemaining(400), '0:01');
+});
+
+test('stopping a session keeps the time spent on the quest', () => {
+  startFocus(2, 'Write tests', 0);
+  assert.equal(isFocusing('2'), true);
+  assert.equal(trackedMinutes(2, 10 * MINUTE), 10);
+
+  stopFocus(10 * MINUTE);
+  assert.equal(isFocusing(2), false);
+  assert.equal(trackedMinutes(2), 10);
+
+  startFocus(2, 'Write tests', 20 * MINUTE);
+  stopFocus(25 * MINUTE);
+  assert.equal(trackedMinutes(2), 15);
+});
+
+test('starting a session on another quest ends the running one', () => {
+  startFocus(1, 'Review PR', 0);
+  startFocus(3, 'Update docs', 7 * MINUTE);
+
+  assert.equal(isFocusing(1), false);
+  assert.equal(isFocusing(3), true);
+  assert.equal(trackedMinutes(1), 7);
+});
+
+test('a session that ended while the app was closed is recorded but not announced again', async () => {
+  globalThis.document ??= { title: 'Agent Forge' };
+  globalThis.window ??= {};
+  const finished = [];
+  const { tasks } = store.get();
+  store.set({
+    tasks: { ...tasks, focusSession: { taskId: '4', text: 'Stretch', startedAt: Date.now() - 30 * MINUTE, duration: 25 * MINUTE } },
+  });
+
+  startFocusTimer({ onFinish: (session) => finished.push(session.taskId) });
+  assert.equal(isFocusing(4), false);
+  assert.equal(trackedMinutes(4), 25);
+  assert.deepEqual(finished, []);
+
+  // One that runs out while the app is open still is
+  startFocus(5, 'Read', Date.now() - 25 * MINUTE + 500);
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+  assert.equal(isFocusing(5), false);
+  assert.deepEqual(finished, ['5']);
+});
+
+test('buildCompletionMessage mentions focused minutes only when there are some', () => {
+  assert.equal(buildCompletionMessage(2, 'Write tests'), 'Task 2 completed: Write tests');
+  assert.equal(buildCompletionMessage(2, 'Write tests', 25), 'Task 2 completed: Write tests (focused 25 min)');
+});
+
+test('the mock agent awards focused minutes and takes them back on reopen', () => {
+  const agent = createQuestAgent({ stats: { streak: 1, hearts: 3, xp: 100, level: 1 } });
+
+  assert.match(agent.reply(buildCompletionMessage(3, 'Update docs', 25)), /\+75 XP/);
+  assert.equal(agent.state.stats.xp, 175);
+
+  agent.reply('Task 3 reopened: Update docs');
+  assert.equal(agent.state.stats.xp, 100);
+});
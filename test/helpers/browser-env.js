@@ -0,0 +1,45 @@
+/**
+ * Browser globals the app modules expect, for running them under Node.
+ * Import this before any module from src/.
+ */
+
+import 'fake-indexeddb/auto';
+import { WebSocket } from 'ws';
+
+class MemoryStorage {
+  #items = new Map();
+
+  get length() {
+    return this.#items.size;
+  }
+
+  key(index) {
+    return [...this.#items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+globalThis.localStorage ??= new MemoryStorage();
+globalThis.WebSocket ??= WebSocket;
+globalThis.navigator ??= { language: 'en', platform: 'node' };
+
+// The app logs every frame; keep test output readable unless asked
+if (!process.env.DEBUG) {
+  console.log = () => {};
+  console.warn = () => {};
+}
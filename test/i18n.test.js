@@ -0,0 +1,54 @@
+import './helpers/browser-env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  t, setLocale, resolveLocale, getLocale, formatNumber, errorMessage,
+} from '../src/i18n.js';
+import { messages as en } from '../src/locales/en.js';
+import { messages as de } from '../src/locales/de.js';
+
+afterEach(() => setLocale('en'));
+
+test('resolveLocale follows the browser for auto, with its region', () => {
+  assert.deepEqual(resolveLocale('auto', ['fr-FR', 'de-AT', 'en']), { language: 'de', locale: 'de-AT' });
+  assert.deepEqual(resolveLocale('auto', ['ja']), { language: 'en', locale: 'ja' });
+});
+
+test('resolveLocale honours an explicit language', () => {
+  assert.deepEqual(resolveLocale('de', ['en-GB']), { language: 'de', locale: 'de' });
+  assert.deepEqual(resolveLocale('en', ['de-DE', 'en-GB']), { language: 'en', locale: 'en-GB' });
+  assert.equal(resolveLocale('xx', ['en-US']).language, 'en');
+});
+
+test('t fills placeholders and formats numbers for the locale', () => {
+  setLocale('de');
+  assert.equal(getLocale(), 'de');
+  assert.equal(t('stats.day', { day: 42 }), 'Tag 42');
+  assert.equal(t('tasks.xpReward', { xp: 1500 }), '+1.500 XP');
+  assert.equal(formatNumber(1250.5), '1.250,5');
+});
+
+test('t picks plural forms', () => {
+  assert.equal(t('settings.importedRecords', { count: 1 }), '1 record');
+  assert.equal(t('settings.importedRecords', { count: 3 }), '3 records');
+  setLocale('de');
+  assert.equal(t('settings.importedProfiles', { count: 2 }), '2 neue Profile');
+});
+
+test('t returns the key when no catalog has it', () => {
+  setLocale('de');
+  assert.equal(t('no.such.key'), 'no.such.key');
+});
+
+test('errorMessage translates known codes and falls back to the message', () => {
+  setLocale('de');
+  const closed = { code: 'CLOSED', message: 'Connection closed (1006)', params: { variant: 'withCode', closeCode: '1006' } };
+  assert.equal(errorMessage(closed), 'Verbindung geschlossen (1006)');
+  assert.equal(errorMessage({ code: 'CLOSED', message: 'Connection closed' }), 'Verbindung geschlossen');
+  assert.equal(errorMessage({ code: 'AGENT_BUSY', message: 'agent is busy' }), 'agent is busy');
+  assert.equal(errorMessage(new Error('plain')), 'plain');
+});
+
+test('every catalog translates every English string', () => {
+  assert.deepEqual(Object.keys(en).filter((key) => !(key in de)), []);
+});
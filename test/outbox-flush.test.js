@@ -0,0 +1,113 @@
+import './helpers/browser-env.js';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockGateway } from '../mock-gateway/server.js';
+import { runInProfile } from '../src/idb.js';
+import { putDeviceSecret } from '../src/gateway/device-identity.js';
+import { encryptToken } from '../src/gateway/token-vault.js';
+import { flushOutboxInBackground, SYNC_TARGET_KEY, OUTBOX_STORE } from '../src/outbox-flush.js';
+
+const TOKEN = 'flush-token';
+const PROFILE = 'flush-test';
+
+let mock;
+const sent = [];
+
+const getAll = () => runInProfile(PROFILE, OUTBOX_STORE, 'readonly', (store) => store.getAll());
+const clear = () => runInProfile(PROFILE, OUTBOX_STORE, 'readwrite', (store) => store.clear());
+const put = (entry) => runInProfile(PROFILE, OUTBOX_STORE, 'readwrite', (store) => store.put(entry));
+
+function entry(taskId, createdAt, overrides = {}) {
+  return {
+    idempotencyKey: `key-${taskId}`,
+    taskId,
+    kind: 'complete',
+    text: `Task ${taskId} completed: quest ${taskId}`,
+    createdAt,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    nextAttemptAt: Date.now() + 60_000,
+    ...overrides,
+  };
+}
+
+before(async () => {
+  mock = await startMockGateway({
+    token: TOKEN,
+    autoApprove: true,
+    chunkDelayMs: 1,
+    agent: { reply: (text) => (sent.push(text), 'ok') },
+  });
+  await putDeviceSecret(SYNC_TARGET_KEY, {
+    profileId: PROFILE,
+    gatewayUrl: mock.url,
+    authToken: await encryptToken(TOKEN),
+    agentId: 'personal',
+  });
+});
+
+after(() => mock.close());
+
+beforeEach(async () => {
+  sent.length = 0;
+  mock.resetFailures();
+  await clear();
+});
+
+test('has nothing to do with an empty outbox', async () => {
+  assert.equal((await flushOutboxInBackground()).status, 'idle');
+});
+
+test('sends pending entries in order, ignoring backoff, and removes them', async () => {
+  await put(entry(2, 2000));
+  await put(entry(1, 1000));
+  await put(entry(3, 3000, { status: 'dead', attempts: 5 }));
+
+  const result = await flushOutboxInBackground();
+
+  assert.deepEqual(result, { status: 'done', sent: 2, remaining: 0, error: null, retry: false });
+  assert.deepEqual(sent, ['Task 1 completed: quest 1', 'Task 2 completed: quest 2']);
+  assert.deepEqual((await getAll()).map((e) => e.taskId), [3]);
+});
+
+test('holds later entries for a quest whose completion was dead-lettered', async () => {
+  await put(entry(4, 1000, { status: 'dead', attempts: 5 }));
+  await put(entry(4, 2000, { idempotencyKey: 'key-4-reopen', kind: 'reopen', text: 'Task 4 reopened: quest 4' }));
+  await put(entry(5, 3000));
+
+  const result = await flushOutboxInBackground();
+
+  assert.equal(result.sent, 1);
+  assert.deepEqual(sent, ['Task 5 completed: quest 5']);
+  assert.deepEqual((await getAll()).map((e) => [e.idempotencyKey, e.status]), [
+    ['key-4', 'dead'], ['key-4-reopen', 'pending'],
+  ]);
+});
+
+test('stops at a rejected entry and records the attempt', async () => {
+  await put(entry(1, 1000));
+  await put(entry(2, 2000));
+  mock.setFailures({ reject: { 'chat.send': { code: 'AGENT_BUSY', message: 'agent is busy' } } });
+
+  const result = await flushOutboxInBackground();
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.remaining, 2);
+  assert.equal(result.retry, false);
+  const [first, second] = (await getAll()).sort((a, b) => a.createdAt - b.createdAt);
+  assert.equal(first.attempts, 1);
+  assert.equal(first.lastError, 'AGENT_BUSY: agent is busy');
+  assert.equal(second.attempts, 0);
+});
+
+test('asks for a retry when the gateway is unreachable', async () => {
+  await put(entry(1, 1000));
+  mock.setFailures({ dropOn: ['chat.send'] });
+
+  const result = await flushOutboxInBackground();
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.retry, true);
+  assert.equal((await getAll())[0].status, 'pending');
+});
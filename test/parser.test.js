@@ -0,0 +1,151 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTaskMessage, validateQuestPayload, parseItemHints, createDeltaAccumulator,
+} from '../src/parser.js';
+
+const EMOJI_MESSAGE = `Day 42 | Streak: 5 | Hearts: 3 | XP: 1,250 | Level: 7
+
+Today's Quests:
+1. ✅ Review PR for auth module
+2. ⬜️ 🔥 Complete API integration tests (+50 XP) #backend by 9:30
+   2.1 ✅ Auth endpoints
+   - ⬜️ Billing endpoints
+3. [ ] Update documentation`;
+
+test('parses stats and quests from the emoji format', () => {
+  const parsed = parseTaskMessage(EMOJI_MESSAGE);
+
+  assert.equal(parsed.day, 42);
+  assert.deepEqual(parsed.stats, { streak: 5, hearts: 3, xp: 1250, level: 7 });
+  assert.deepEqual(parsed.items.map((i) => [i.id, i.completed]), [[1, true], [2, false], [3, false]]);
+});
+
+test('lifts hints and subtasks out of quest lines', () => {
+  const quest = parseTaskMessage(EMOJI_MESSAGE).items[1];
+
+  assert.equal(quest.text, 'Complete API integration tests');
+  assert.equal(quest.priority, 'high');
+  assert.equal(quest.xp, 50);
+  assert.equal(quest.due, '09:30');
+  assert.deepEqual(quest.tags, ['backend']);
+  assert.deepEqual(quest.subtasks, [
+    { id: '2.1', completed: true, text: 'Auth endpoints' },
+    { id: '2.2', completed: false, text: 'Billing endpoints' },
+  ]);
+});
+
+test('only indented bullets are subtasks', () => {
+  const parsed = parseTaskMessage(`Today's Quests:
+1. ⬜️ Plan the week
+- ⬜️ Not a subtask
+2. ⬜️ Write the report
+   - ⬜️ Outline`);
+
+  assert.equal(parsed.items[0].subtasks, undefined);
+  assert.deepEqual(parsed.items[1].subtasks, [{ id: '2.1', completed: false, text: 'Outline' }]);
+});
+
+test('N.M lines only attach to quest N and keep their number', () => {
+  const parsed = parseTaskMessage(`Today's Quests:
+1. ⬜️ Plan the week
+   2.1 ⬜️ Belongs elsewhere
+2. ⬜️ Write the report
+   2.3 ✅ Proofread`);
+
+  assert.equal(parsed.items[0].subtasks, undefined);
+  assert.deepEqual(parsed.items[1].subtasks, [{ id: '2.3', completed: true, text: 'Proofread' }]);
+});
+
+test('returns null for text without stats or quests', () => {
+  assert.equal(parseTaskMessage('Sure, I can help with that.'), null);
+  assert.equal(parseTaskMessage(''), null);
+  assert.equal(parseTaskMessage(undefined), null);
+});
+
+test('prefers a valid fenced quest block over the emoji format', () => {
+  const text = `${EMOJI_MESSAGE}
+
+\`\`\`quest
+{ "day": 7, "stats": { "streak": 2 },
+  "items": [{ "id": "a", "text": " Stretch ", "completed": true, "priority": "low",
+              "subtasks": [{ "id": "a.1", "text": "Neck" }] }] }
+\`\`\``;
+
+  assert.deepEqual(parseTaskMessage(text), {
+    day: 7,
+    stats: { streak: 2 },
+    items: [{
+      id: 'a',
+      text: 'Stretch',
+      completed: true,
+      priority: 'low',
+      subtasks: [{ id: 'a.1', text: 'Neck', completed: false }],
+    }],
+  });
+});
+
+test('falls back to the emoji format when the block is invalid', () => {
+  const text = `${EMOJI_MESSAGE}\n\n\`\`\`json\n{ "items": [{ "id": 1 }] }\n\`\`\``;
+  assert.equal(parseTaskMessage(text).day, 42);
+});
+
+test('validateQuestPayload reports shape problems', () => {
+  assert.deepEqual(validateQuestPayload({ stats: { xp: 10 } }), []);
+  assert.deepEqual(validateQuestPayload([]), ['payload must be an object']);
+  assert.deepEqual(validateQuestPayload({}), ['payload needs stats or items']);
+  assert.ok(validateQuestPayload({ day: -1, stats: {} }).includes('day must be a non-negative integer'));
+  assert.ok(validateQuestPayload({ items: 'nope' }).includes('items must be an array'));
+
+  const duplicate = validateQuestPayload({
+    items: [{ id: 'x', text: 'One' }, { id: 'x', text: 'Two' }],
+  });
+  assert.equal(duplicate.length, 1);
+});
+
+test('parseItemHints keeps the raw text when only hints are present', () => {
+  assert.deepEqual(parseItemHints('#chores'), { text: '#chores', tags: ['chores'] });
+  assert.deepEqual(parseItemHints('Ship it !!'), { text: 'Ship it', priority: 'high' });
+});
+
+test('delta accumulator joins chunks and parses the result', () => {
+  const acc = createDeltaAccumulator();
+  for (const chunk of EMOJI_MESSAGE.match(/[\s\S]{1,10}/g)) acc.append(chunk);
+
+  assert.equal(acc.text, EMOJI_MESSAGE);
+  assert.equal(acc.parse().items.length, 3);
+  acc.reset();
+  assert.equal(acc.text, '');
+});
+
+test('parses a localized stats line, keeping only the stats it names', () => {
+  const parsed = parseTaskMessage(`Tag 42 | Serie: 5 | Herzen: 3
+
+1. ⬜️ Steuererklärung abschicken`);
+
+  assert.equal(parsed.day, 42);
+  assert.deepEqual(parsed.stats, { streak: 5, hearts: 3 });
+  assert.equal(parsed.items[0].text, 'Steuererklärung abschicken');
+});
+
+test('reads grouped numbers and other languages in one stats line', () => {
+  const parsed = parseTaskMessage('Día 7 | Racha: 2 | Vidas: 4 | XP: 12.500 | Nivel: 9');
+  assert.deepEqual(parsed.stats, { streak: 2, hearts: 4, xp: 12500, level: 9 });
+
+  assert.equal(parseTaskMessage('Jour 3 | Série : 1 | Cœurs : 2')?.day, 3);
+});
+
+test('lifts localized reward and due hints', () => {
+  assert.deepEqual(parseItemHints('API-Tests fertigstellen (+50 EP) bis um 9:30'), {
+    text: 'API-Tests fertigstellen', xp: 50, due: '09:30',
+  });
+  assert.deepEqual(parseItemHints('Enviar factura antes de las 17:00'), {
+    text: 'Enviar factura', due: '17:00',
+  });
+});
+
+test('needs a stat next to the day before treating a line as stats', () => {
+  assert.equal(parseTaskMessage('Day 3 of the trip was great.'), null);
+  assert.equal(parseTaskMessage('Today: streak 5 looks good'), null);
+});
@@ -0,0 +1,45 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { negotiateHello, describeProtocolMismatch } from '../src/gateway/protocol.js';
+
+test('negotiateHello reads protocol, features and policy', () => {
+  const caps = negotiateHello({
+    type: 'hello-ok',
+    protocol: 3,
+    server: { version: '2026.3.1' },
+    features: { methods: ['chat.send'], events: ['tick'] },
+    policy: { tickIntervalMs: 15000, maxPayload: 1048576 },
+  });
+  assert.deepEqual(caps, {
+    protocol: 3,
+    server: '2026.3.1',
+    methods: ['chat.send'],
+    events: ['tick'],
+    policy: { tickIntervalMs: 15000, maxPayload: 1048576 },
+  });
+});
+
+test('negotiateHello assumes everything when the gateway advertises nothing', () => {
+  const caps = negotiateHello({ type: 'hello-ok' });
+  assert.equal(caps.protocol, 3);
+  assert.equal(caps.methods, null);
+  assert.equal(caps.policy.tickIntervalMs, null);
+});
+
+test('negotiateHello refuses a protocol outside the supported range', () => {
+  assert.throws(() => negotiateHello({ protocol: 5 }), {
+    code: 'PROTOCOL_MISMATCH',
+    message: /too new/,
+    params: { variant: 'gatewayTooNew', gateway: '5', app: '3' },
+  });
+});
+
+test('describeProtocolMismatch falls back to the version in the message', () => {
+  const tooOld = describeProtocolMismatch(null, 'server speaks protocol 2');
+  assert.match(tooOld.message, /too old \(protocol 2/);
+  assert.equal(tooOld.params.variant, 'gatewayTooOld');
+  const unknown = describeProtocolMismatch(null, 'protocol mismatch');
+  assert.match(unknown.message, /could not agree/);
+  assert.equal(unknown.params.variant, null);
+});
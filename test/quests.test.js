@@ -0,0 +1,68 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createProvisionalQuest, buildAddQuestMessage, reconcileProvisional, ADD_QUEST_BLOCK,
+  buildCompletionMessage, buildReopenMessage,
+} from '../src/quests.js';
+import { createQuestAgent } from '../mock-gateway/agent.js';
+import { parseTaskMessage } from '../src/parser.js';
+
+test('createProvisionalQuest lifts hints out of the typed text', () => {
+  const quest = createProvisionalQuest('🔥 Call the bank #admin by 16:00', '2026-03-14');
+
+  assert.match(quest.id, /^app-/);
+  assert.equal(quest.text, 'Call the bank');
+  assert.equal(quest.priority, 'high');
+  assert.deepEqual(quest.tags, ['admin']);
+  assert.equal(quest.due, '16:00');
+  assert.equal(quest.completed, false);
+  assert.equal(quest.date, '2026-03-14');
+});
+
+test('buildAddQuestMessage carries the fields in a fenced block', () => {
+  const quest = createProvisionalQuest('Water plants (+20 XP)', '2026-03-14');
+  const message = buildAddQuestMessage(quest);
+
+  assert.match(message, /^Add quest: Water plants\n/);
+  const block = message.match(new RegExp(`\`\`\`${ADD_QUEST_BLOCK}\\n(.*)\\n\`\`\``))[1];
+  assert.deepEqual(JSON.parse(block), { ref: quest.id, text: 'Water plants', xp: 20 });
+});
+
+test('reconcileProvisional drops quests the list picked up or that belong to an earlier day', () => {
+  const byText = { id: 'app-1', text: 'Call  the bank', date: '2026-03-14' };
+  const byId = { id: 'app-2', text: 'Renamed by the agent', date: '2026-03-14' };
+  const missing = { id: 'app-3', text: 'Water plants', date: '2026-03-14' };
+  const yesterday = { id: 'app-4', text: 'Old one', date: '2026-03-13' };
+  const items = [
+    { id: 1, text: 'call the bank', completed: false },
+    { id: 2, text: 'Chores', completed: false, subtasks: [{ id: 'app-2', text: 'Plants', completed: false }] },
+  ];
+
+  assert.deepEqual(reconcileProvisional([byText, byId, missing, yesterday], items, '2026-03-14'), [missing]);
+});
+
+test('the mock agent adds the quest so the next list reconciles it', () => {
+  const agent = createQuestAgent();
+  const quest = createProvisionalQuest('🔥 Call the bank #admin by 16:00', '2026-03-14');
+
+  const parsed = parseTaskMessage(agent.reply(buildAddQuestMessage(quest)));
+  const added = parsed.items.at(-1);
+
+  assert.equal(added.id, 5);
+  assert.equal(added.text, 'Call the bank');
+  assert.equal(added.priority, 'high');
+  assert.equal(added.due, '16:00');
+  assert.deepEqual(reconcileProvisional([quest], parsed.items, '2026-03-14'), []);
+});
+
+test('buildReopenMessage undoes what the matching completion awarded', () => {
+  const agent = createQuestAgent({ stats: { streak: 1, hearts: 3, xp: 100, level: 1 } });
+
+  agent.reply(buildCompletionMessage(3, 'Update docs'));
+  assert.notEqual(agent.state.stats.xp, 100);
+
+  assert.equal(buildReopenMessage(3, 'Update docs'), 'Task 3 reopened: Update docs');
+  agent.reply(buildReopenMessage(3, 'Update docs'));
+  assert.equal(agent.state.stats.xp, 100);
+});
@@ -0,0 +1,30 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dayKey, nextDayStart, isStaleList } from '../src/rollover.js';
+
+const at = (y, m, d, h = 0, min = 0) => new Date(y, m - 1, d, h, min);
+
+test('dayKey is the calendar date when days start at midnight', () => {
+  assert.equal(dayKey(at(2026, 3, 14, 0, 0), 0), '2026-03-14');
+  assert.equal(dayKey(at(2026, 3, 14, 23, 59), 0), '2026-03-14');
+});
+
+test('dayKey keeps the small hours on the previous day for night owls', () => {
+  assert.equal(dayKey(at(2026, 3, 14, 2, 30), 3), '2026-03-13');
+  assert.equal(dayKey(at(2026, 3, 14, 3, 0), 3), '2026-03-14');
+  assert.equal(dayKey(at(2026, 1, 1, 1, 0), 4), '2025-12-31');
+});
+
+test('nextDayStart is the next boundary after now', () => {
+  assert.deepEqual(nextDayStart(at(2026, 3, 14, 22, 0), 0), at(2026, 3, 15));
+  assert.deepEqual(nextDayStart(at(2026, 3, 14, 1, 0), 3), at(2026, 3, 14, 3));
+  assert.deepEqual(nextDayStart(at(2026, 3, 14, 3, 0), 3), at(2026, 3, 15, 3));
+});
+
+test('isStaleList flags lists from earlier days only', () => {
+  const now = at(2026, 3, 14, 9, 0);
+  assert.equal(isStaleList({ date: '2026-03-13' }, now), true);
+  assert.equal(isStaleList({ date: '2026-03-14' }, now), false);
+  assert.equal(isStaleList({ date: null }, now), false);
+});
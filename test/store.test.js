@@ -0,0 +1,81 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { store, DEFAULT_PROFILE_ID } from '../src/store.js';
+
+const STORAGE_KEY = 'forge_state';
+
+function persisted() {
+  return JSON.parse(localStorage.getItem(STORAGE_KEY));
+}
+
+test('starts from defaults with a default profile', () => {
+  const state = store.get();
+
+  assert.equal(state.connection.state, 'DISCONNECTED');
+  assert.deepEqual(state.pendingQueue, []);
+  assert.equal(state.activeProfileId, DEFAULT_PROFILE_ID);
+  assert.equal(state.profiles.length, 1);
+  assert.ok(state.deviceId);
+});
+
+test('set merges, persists and notifies subscribers', () => {
+  const seen = [];
+  const unsubscribe = store.subscribe((state) => seen.push(state.tasks.day));
+
+  store.set({ tasks: { ...store.get().tasks, day: 3 } });
+  unsubscribe();
+  store.set({ tasks: { ...store.get().tasks, day: 4 } });
+
+  assert.deepEqual(seen, [3]);
+  assert.equal(persisted().tasks.day, 4);
+});
+
+test('update replaces a nested path without mutating the old state', () => {
+  const before = store.get();
+  store.update('tasks.stats.streak', 9);
+  const after = store.get();
+
+  assert.equal(after.tasks.stats.streak, 9);
+  assert.notEqual(after.tasks, before.tasks);
+  assert.notEqual(before.tasks.stats.streak, 9);
+  assert.equal(after.settings, before.settings);
+});
+
+test('connection and outbox mirror are never persisted', () => {
+  store.update('connection', { state: 'CONNECTED', error: null });
+  store.set({ pendingQueue: [{ idempotencyKey: 'k' }] });
+
+  const saved = persisted();
+  assert.equal(saved.connection, undefined);
+  assert.equal(saved.pendingQueue, undefined);
+  assert.equal(saved.tasks.stats.streak, 9);
+});
+
+test('wraps a legacy single-gateway state into the default profile', async () => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({
+    settings: { gatewayUrl: 'wss://vm.example', authToken: 'secret', agentId: 'work' },
+    connection: { state: 'CONNECTED', error: null },
+  }));
+
+  // A fresh module instance loads from the legacy state
+  const { store: legacy } = await import('../src/store.js?legacy');
+  const state = legacy.get();
+
+  assert.equal(state.connection.state, 'DISCONNECTED');
+  assert.deepEqual(state.profiles, [{
+    id: DEFAULT_PROFILE_ID,
+    name: 'Default',
+    gatewayUrl: 'wss://vm.example',
+    authToken: 'secret',
+    agentId: 'work',
+  }]);
+});
+
+test('ignores corrupt saved state', async () => {
+  localStorage.setItem(STORAGE_KEY, '{not json');
+  const { store: fresh } = await import('../src/store.js?corrupt');
+
+  assert.equal(fresh.get().settings.gatewayUrl, '');
+  assert.equal(fresh.get().profiles.length, 1);
+});
@@ -0,0 +1,22 @@
+import './helpers/browser-env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateLevelProgress } from '../src/ui/trends.js';
+
+const day = (level, xp) => ({ stats: { level, xp } });
+
+test('without history the level is placed on the default grid', () => {
+  assert.deepEqual(estimateLevelProgress([], { level: 3, xp: 1250 }), { ratio: 0.5, remaining: 250 });
+});
+
+test('a short history at one level does not pin the level start to its first sample', () => {
+  const progress = estimateLevelProgress([day(3, 1100)], { level: 3, xp: 1250 });
+
+  assert.deepEqual(progress, { ratio: 0.5, remaining: 250 });
+});
+
+test('an observed level-up gives both the level start and its size', () => {
+  const progress = estimateLevelProgress([day(2, 400), day(3, 600)], { level: 3, xp: 700 });
+
+  assert.deepEqual(progress, { ratio: 0.5, remaining: 100 });
+});
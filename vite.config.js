@@ -6,6 +6,10 @@ export default defineConfig({
   plugins: [
     VitePWA({
       registerType: 'autoUpdate',
+      // Our own service worker (src/sw.js) so it can run Background Sync
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
       manifest: {
         name: 'Agent Forge Quest Streak Tracker',
         short_name: 'Forge Streak',
@@ -28,7 +32,7 @@ export default defineConfig({
           },
         ],
       },
-      workbox: {
+      injectManifest: {
         globPatterns: ['**/*.{js,css,html,svg}'],
       },
     }),